@@ -23,8 +23,16 @@ const app = express();
 const businessesRoutes = require('./routes/businesses/businesses');
 const locationsRoutes = require('./routes/businesses/locations/locations');
 const hoursRoutes = require('./routes/businesses/hours/hours');
+const hourExceptionsRoutes = require('./routes/businesses/hours/exceptions/exceptions');
+const hoursCalendarRoutes = require('./routes/businesses/hours/calendar');
 const reviewsRoutes = require('./routes/businesses/reviews/reviews');
+const reviewResponseRoutes = require('./routes/businesses/reviews/response');
+const reviewFeedbackRoutes = require('./routes/businesses/reviews/feedback');
 const servicesRoutes = require('./routes/businesses/services/services');
+const bookingsRoutes = require('./routes/businesses/bookings/bookings');
+const usersRoutes = require('./routes/users/users');
+const moderationReviewsRoutes = require('./routes/moderation/reviews');
+const autocompleteRoutes = require('./routes/autocomplete/autocomplete');
 const defaultRoutes = require('./routes/default');
 
 app.use(bodyParser.json());
@@ -33,9 +41,18 @@ app.use(cors());    // Note: Typically we would want to be more restrictive here
 
 app.use('/businesses', businessesRoutes);
 app.use('/businesses/:businessId/locations', locationsRoutes);
+// the exceptions must be routed ahead of the hours, which would otherwise take 'exceptions' to be the id of an Hour
+app.use('/businesses/:businessId/hours/exceptions', hourExceptionsRoutes);
 app.use('/businesses/:businessId/hours', hoursRoutes);
+app.use('/businesses/:businessId/hours.ics', hoursCalendarRoutes);
 app.use('/businesses/:businessId/reviews', reviewsRoutes);
+app.use('/businesses/:businessId/reviews/:reviewId/response', reviewResponseRoutes);
+app.use('/businesses/:businessId/reviews/:reviewId', reviewFeedbackRoutes);
 app.use('/businesses/:businessId/services', servicesRoutes);
+app.use('/businesses/:businessId/bookings', bookingsRoutes);
+app.use('/users', usersRoutes);
+app.use('/moderation/reviews', moderationReviewsRoutes);
+app.use('/autocomplete', autocompleteRoutes);
 
 // Swagger set up
 const options = {
@@ -66,8 +83,16 @@ const options = {
         './routes/businesses/businesses.js',
         './routes/businesses/locations/locations.js',
         './routes/businesses/hours/hours.js',
+        './routes/businesses/hours/exceptions/exceptions.js',
+        './routes/businesses/hours/calendar.js',
         './routes/businesses/reviews/reviews.js',
-        './routes/businesses/services/services.js'
+        './routes/businesses/reviews/response.js',
+        './routes/businesses/reviews/feedback.js',
+        './routes/businesses/services/services.js',
+        './routes/businesses/bookings/bookings.js',
+        './routes/users/users.js',
+        './routes/moderation/reviews.js',
+        './routes/autocomplete/autocomplete.js'
     ]
 };
 const specs = swaggerJsdoc(options);
@@ -0,0 +1,110 @@
+'use strict';
+
+const { MINUTES_PER_DAY, DEFAULT_TIME_ZONE, formatTime, addDays, localTime, zonedInstant, scheduledOn } = require('./schedule');
+
+/*
+ Bookings are made in slots laid end to end from the start of each of the intervals a Business keeps on a date (per its
+ Hours and any Hour exceptions, in its own time zone), each as long as the slotMinutes of the Service being booked.  A
+ slot is available unless it has already begun or it overlaps one of the Business' confirmed Bookings of the same
+ Service (Bookings made without a Service are likewise only kept from overlapping one another), as each Service is
+ attended to separately.
+ */
+
+const DEFAULT_SLOT_MINUTES = 60;
+const MAX_AVAILABILITY_DAYS = 31;
+
+/**
+ * Returns a validation message if the slotMinutes of a Service is invalid, otherwise undefined.  It is optional, and
+ * null restores the default.
+ */
+const invalidSlotMinutes = (slotMinutes) => {
+    if (slotMinutes === undefined || slotMinutes === null) {
+        return undefined;
+    }
+    if (!Number.isInteger(slotMinutes) || slotMinutes < 5 || slotMinutes > MINUTES_PER_DAY) {
+        return `Service slotMinutes is invalid; an integer 5 <= slotMinutes <= ${MINUTES_PER_DAY} is expected`;
+    }
+    return undefined;
+}
+
+// The message with which the bookings triggers refuse a confirmed Booking that overlaps another
+const DOUBLE_BOOKED = 'The Booking overlaps another Booking';
+
+/**
+ * The triggers refusing any confirmed Booking that overlaps another confirmed Booking of the Business (whatever its
+ * Service), keyed by name.
+ */
+const overlapTriggers = () => {
+    const overlapping = (booking, other = '') => `${booking}.status = 'confirmed' AND EXISTS (
+        SELECT 1 FROM bookings
+        WHERE bookings.businessId = ${booking}.businessId AND bookings.status = 'confirmed'
+          AND bookings.startsAt < ${booking}.endsAt AND ${booking}.startsAt < bookings.endsAt ${other})`;
+
+    return {
+        bookings_overlap_insert: `BEFORE INSERT ON bookings WHEN ${overlapping('new')}
+            BEGIN SELECT RAISE(ABORT, '${DOUBLE_BOOKED}'); END`,
+        bookings_overlap_update: `BEFORE UPDATE ON bookings WHEN ${overlapping('new', 'AND bookings.id <> new.id')}
+            BEGIN SELECT RAISE(ABORT, '${DOUBLE_BOOKED}'); END`
+    };
+}
+
+const overlapsBooking = (startsAt, endsAt, bookings) =>
+    bookings.some((booking) => booking.startsAt < endsAt && startsAt < booking.endsAt);
+
+/**
+ * The slots of slotMinutes that a Business with the stored hours, exceptions and (confirmed) bookings has available
+ * on the "YYYY-MM-DD" dates from through to (inclusive) in its time zone, as of the instant (a Date).  Each slot is
+ * {date, time, startsAt, endsAt}, with the local date and "HH:MM" time it starts at along with the ISO 8601 (UTC)
+ * timestamps of its start and end.  The slots on the from date include those of any overnight interval from the day
+ * before, so the hours and exceptions must cover that day as well.
+ */
+const availableSlots = ({hours, exceptions, bookings, timeZone, from, to, slotMinutes, instant}) => {
+    const zone = timeZone || DEFAULT_TIME_ZONE;
+    const now = instant.toISOString();
+    const slots = [];
+    for (let date = addDays(from, -1); date <= to; date = addDays(date, 1)) {
+        scheduledOn(date, hours, exceptions)
+            // an overnight interval runs on past midnight
+            .map((hour) => ({open: hour.open, close: hour.close <= hour.open ? hour.close + MINUTES_PER_DAY : hour.close}))
+            .sort((a, b) => a.open - b.open)
+            .forEach(({open, close}) => {
+                for (let start = open; start + slotMinutes <= close; start += slotMinutes) {
+                    const startsOn = addDays(date, Math.floor(start / MINUTES_PER_DAY));
+                    const startsAt = zonedInstant(date, start, zone).toISOString();
+                    const endsAt = zonedInstant(date, start + slotMinutes, zone).toISOString();
+                    if (startsOn >= from && startsAt > now && !overlapsBooking(startsAt, endsAt, bookings)) {
+                        slots.push({
+                            date: startsOn,
+                            time: formatTime(start % MINUTES_PER_DAY),
+                            startsAt,
+                            endsAt
+                        });
+                    }
+                }
+            });
+    }
+    return slots;
+}
+
+/**
+ * The slot of slotMinutes (available or not) that starts at the instant (a Date) for a Business with the stored hours
+ * and exceptions, or undefined if none does.  A slot may belong to an overnight interval of the previous date.
+ */
+const slotStartingAt = ({hours, exceptions, timeZone, slotMinutes}, startsAt) => {
+    const date = localTime(startsAt, timeZone || DEFAULT_TIME_ZONE).date;
+    return availableSlots({
+        hours, exceptions, bookings: [], timeZone, from: date, to: date, slotMinutes,
+        instant: new Date(startsAt.getTime() - 1)
+    }).find((slot) => slot.startsAt === startsAt.toISOString());
+}
+
+module.exports = {
+    DEFAULT_SLOT_MINUTES,
+    MAX_AVAILABILITY_DAYS,
+    DOUBLE_BOOKED,
+    overlapTriggers,
+    invalidSlotMinutes,
+    overlapsBooking,
+    availableSlots,
+    slotStartingAt
+};
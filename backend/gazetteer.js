@@ -0,0 +1,96 @@
+'use strict';
+
+const zipcodes = require('zipcodes');
+
+/*
+ An offline gazetteer backed by the ZIP (and Canadian FSA) code centroid data bundled with the zipcodes package, so no
+ external geocoding service is needed.  Please note that a centroid is only an approximation of an address' location;
+ callers that know better coordinates are free to specify them directly.
+ */
+
+const sameName = (a, b) => String(a).trim().toUpperCase() === String(b).trim().toUpperCase();
+
+const lookupPostal = (postal) => {
+    // ZIP+4 codes are resolved by their 5 digit ZIP code
+    const zip = /^(\d{5})-\d{4}$/.exec(postal);
+    return zipcodes.lookup(zip ? zip[1] : postal);
+}
+
+/**
+ * Resolves the postal code and/or city and state of an address against the bundled centroid data.  Returns undefined
+ * when there is not enough of an address to resolve, {error} when the address can not be valid (an unknown postal code
+ * or a city/state that does not match it or does not exist), and otherwise the normalized
+ * {city, state, latitude, longitude}.
+ */
+const resolveAddress = ({postal, city, state}) => {
+    if (postal) {
+        const place = lookupPostal(String(postal).trim());
+        if (!place) {
+            return {error: `The postal code ${postal} does not exist`};
+        }
+        if ((state && !sameName(state, place.state)) || (city && !sameName(city, place.city))) {
+            return {error: `The city/state ${city || ''}, ${state || ''} does not match the postal code ${postal} (${place.city}, ${place.state})`};
+        }
+        return {city: place.city, state: place.state, latitude: place.latitude, longitude: place.longitude};
+    }
+
+    if (city && state) {
+        const places = zipcodes.lookupByName(String(city).trim(), String(state).trim());
+        if (!places.length) {
+            return {error: `The city/state ${city}, ${state} does not exist`};
+        }
+        // A city spanning several postal codes is located at the average of their centroids
+        return {
+            city: places[0].city,
+            state: places[0].state,
+            latitude: places.reduce((sum, place) => sum + place.latitude, 0) / places.length,
+            longitude: places.reduce((sum, place) => sum + place.longitude, 0) / places.length
+        };
+    }
+
+    return undefined;
+}
+
+/*
+ The IANA time zone observed across (most of) each US state and territory and each Canadian province and territory, as
+ named by the bundled postal code data (which has no time zones of its own).  TODO: Note: a state or province that spans
+ several time zones (e.g. Kentucky or Ontario) is given the one observed by the majority of its population; Businesses
+ elsewhere in it need their timeZone to be specified explicitly.
+ */
+const TIME_ZONES = {
+    AL: 'America/Chicago', AK: 'America/Anchorage', AZ: 'America/Phoenix', AR: 'America/Chicago',
+    CA: 'America/Los_Angeles', CO: 'America/Denver', CT: 'America/New_York', DE: 'America/New_York',
+    DC: 'America/New_York', FL: 'America/New_York', GA: 'America/New_York', HI: 'Pacific/Honolulu',
+    ID: 'America/Boise', IL: 'America/Chicago', IN: 'America/Indiana/Indianapolis', IA: 'America/Chicago',
+    KS: 'America/Chicago', KY: 'America/New_York', LA: 'America/Chicago', ME: 'America/New_York',
+    MD: 'America/New_York', MA: 'America/New_York', MI: 'America/Detroit', MN: 'America/Chicago',
+    MS: 'America/Chicago', MO: 'America/Chicago', MT: 'America/Denver', NE: 'America/Chicago',
+    NV: 'America/Los_Angeles', NH: 'America/New_York', NJ: 'America/New_York', NM: 'America/Denver',
+    NY: 'America/New_York', NC: 'America/New_York', ND: 'America/Chicago', OH: 'America/New_York',
+    OK: 'America/Chicago', OR: 'America/Los_Angeles', PA: 'America/New_York', RI: 'America/New_York',
+    SC: 'America/New_York', SD: 'America/Chicago', TN: 'America/Chicago', TX: 'America/Chicago',
+    UT: 'America/Denver', VT: 'America/New_York', VA: 'America/New_York', WA: 'America/Los_Angeles',
+    WV: 'America/New_York', WI: 'America/Chicago', WY: 'America/Denver',
+    PR: 'America/Puerto_Rico', VI: 'America/St_Thomas', GU: 'Pacific/Guam', AS: 'Pacific/Pago_Pago',
+    MP: 'Pacific/Saipan', AA: 'America/New_York', AE: 'Europe/Berlin', AP: 'Pacific/Guam',
+    'ALBERTA': 'America/Edmonton', 'BRITISH COLUMBIA': 'America/Vancouver', 'MANITOBA': 'America/Winnipeg',
+    'NEW BRUNSWICK': 'America/Moncton', 'NEWFOUNDLAND AND LABRADOR': 'America/St_Johns',
+    'NORTHWEST TERRITORY': 'America/Yellowknife', 'NOVA SCOTIA': 'America/Halifax', 'NUNAVUT TERRITORY': 'America/Iqaluit',
+    'ONTARIO': 'America/Toronto', 'PRINCE EDWARD ISLAND': 'America/Halifax', 'QUEBEC': 'America/Montreal',
+    'SASKATCHEWAN': 'America/Regina', 'YUKON': 'America/Whitehorse'
+};
+
+/**
+ * The default IANA time zone (e.g. America/Denver) of an address, per its postal code (when it resolves) or else its
+ * state.  Returns undefined when neither is known.
+ */
+const timeZoneFor = ({postal, state}) => {
+    const place = postal ? lookupPostal(String(postal).trim()) : undefined;
+    const name = place ? place.state : state;
+    return name ? TIME_ZONES[String(name).trim().toUpperCase()] : undefined;
+}
+
+module.exports = {
+    resolveAddress,
+    timeZoneFor
+};
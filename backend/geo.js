@@ -0,0 +1,40 @@
+'use strict';
+
+// Mean radius of the earth, which is more than accurate enough for the distances we are concerned with here
+const EARTH_RADIUS_MILES = 3958.8;
+
+/**
+ * Returns a validation message if the latitude/longitude pair is invalid, otherwise undefined.  Coordinates are
+ * optional, but whenever one of them is specified the other must be as well.
+ */
+const invalidCoordinates = (latitude, longitude) => {
+    if (latitude === undefined && longitude === undefined) {
+        return undefined;
+    }
+    if (latitude === undefined || longitude === undefined) {
+        return `Both the latitude and longitude must be specified whenever either of them is specified`;
+    }
+    if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) {
+        return `The latitude is invalid; -90 <= latitude <= 90 is expected`;
+    }
+    if (typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+        return `The longitude is invalid; -180 <= longitude <= 180 is expected`;
+    }
+    return undefined;
+}
+
+/**
+ * A knex raw SQL expression for the haversine distance in miles between the latColumn/lngColumn coordinates and the
+ * specified point (NULL whenever the columns are NULL).  This relies upon the SQLite math functions.
+ */
+const distanceSql = (db, latColumn, lngColumn, lat, lng) => {
+    return db.raw(`${EARTH_RADIUS_MILES} * 2 * asin(sqrt(` +
+        `pow(sin(radians(?? - ?) / 2), 2) + ` +
+        `cos(radians(?)) * cos(radians(??)) * pow(sin(radians(?? - ?) / 2), 2)))`,
+        [latColumn, lat, lat, latColumn, lngColumn, lng]);
+}
+
+module.exports = {
+    invalidCoordinates,
+    distanceSql
+};
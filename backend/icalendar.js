@@ -0,0 +1,196 @@
+'use strict';
+
+const { MINUTES_PER_DAY, DEFAULT_TIME_ZONE, localTime, offsetAt, addDays, dayOfWeekOf } = require('./schedule');
+
+/*
+ Renders a Business' Hours as an RFC 5545 (iCalendar) calendar that calendar clients can subscribe to.  Each weekly Hour
+ becomes a weekly recurring event kept in the Business' time zone, from which the dates of its Hour exceptions are
+ excluded; each (upcoming) Hour exception then becomes an event of its own, with closures as all day events.
+ */
+
+const PRODUCT_ID = '-//HomeAdvisor//Business Hours//EN';
+const UID_DOMAIN = 'homeadvisor.businesses';
+const DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_LINE_OCTETS = 75;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// TEXT values escape their backslashes, semicolons, commas and newlines (RFC 5545 3.3.11)
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Content lines longer than 75 octets are folded onto continuation lines that begin with a space (RFC 5545 3.1)
+const foldLine = (line) => {
+    const lines = [];
+    let current = '';
+    for (const character of line) {
+        const limit = lines.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+        if (Buffer.byteLength(current + character) > limit) {
+            lines.push(current);
+            current = '';
+        }
+        current += character;
+    }
+    return lines.concat([current]).join('\r\n ');
+}
+
+const formatDate = (date) => date.replace(/-/g, '');
+
+// The local DATE-TIME of the time (minutes since midnight, possibly 24:00 or later) on the date
+const formatLocal = (date, time) => {
+    const day = addDays(date, Math.floor(time / MINUTES_PER_DAY));
+    const minutes = time % MINUTES_PER_DAY;
+    return `${formatDate(day)}T${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}00`;
+}
+
+const formatUtc = (instant) => instant.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const formatOffset = (minutes) => {
+    const sign = minutes < 0 ? '-' : '+';
+    return `${sign}${pad(Math.floor(Math.abs(minutes) / 60))}${pad(Math.abs(minutes) % 60)}`;
+}
+
+// A DATE-TIME property in the time zone, which needs no TZID when that is UTC
+const dateTimeProperty = (name, date, time, timeZone) => timeZone === DEFAULT_TIME_ZONE ?
+    `${name}:${formatLocal(date, time)}Z` : `${name};TZID=${timeZone}:${formatLocal(date, time)}`;
+
+const offsetMinutes = (instant, timeZone) => Math.round(offsetAt(instant, timeZone) / 60000);
+
+/*
+ Describes the time zone by its UTC offset transitions during the year, each of which is assumed to recur yearly on the
+ same weekday of the month (e.g. the second Sunday of March).  TODO: Note: this holds for North America and Europe,
+ but the few time zones whose transitions follow other rules are only described accurately for the one year.
+ */
+const timeZoneComponent = (timeZone, year) => {
+    const transitions = [];
+    let previous = new Date(Date.UTC(year, 0, 1));
+    for (let day = 1; day <= 366; day++) {
+        const next = new Date(Date.UTC(year, 0, 1 + day));
+        if (offsetMinutes(next, timeZone) !== offsetMinutes(previous, timeZone)) {
+            // narrow the transition down to the minute
+            let [before, after] = [previous.getTime(), next.getTime()];
+            while (after - before > 60000) {
+                const middle = before + Math.floor((after - before) / 120000) * 60000;
+                if (offsetMinutes(new Date(middle), timeZone) === offsetMinutes(previous, timeZone)) {
+                    before = middle;
+                } else {
+                    after = middle;
+                }
+            }
+            transitions.push({
+                at: new Date(after),
+                from: offsetMinutes(previous, timeZone),
+                to: offsetMinutes(new Date(after), timeZone)
+            });
+        }
+        previous = next;
+    }
+
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+    if (!transitions.length) {
+        const offset = formatOffset(offsetMinutes(previous, timeZone));
+        lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`,
+            'END:STANDARD');
+    }
+    transitions.forEach((transition) => {
+        // an observance starts at the local time the transition takes place at, as reckoned before it takes place
+        const wall = new Date(transition.at.getTime() + transition.from * 60000);
+        const date = wall.toISOString().slice(0, 10);
+        const dayOfMonth = wall.getUTCDate();
+        const daysInMonth = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth() + 1, 0)).getUTCDate();
+        const week = dayOfMonth + 7 > daysInMonth ? -1 : Math.ceil(dayOfMonth / 7);
+        const kind = transition.to > transition.from ? 'DAYLIGHT' : 'STANDARD';
+        lines.push(`BEGIN:${kind}`,
+            `DTSTART:${formatLocal(date, wall.getUTCHours() * 60 + wall.getUTCMinutes())}`,
+            `RRULE:FREQ=YEARLY;BYMONTH=${wall.getUTCMonth() + 1};BYDAY=${week}${DAYS[dayOfWeekOf(date)]}`,
+            `TZOFFSETFROM:${formatOffset(transition.from)}`,
+            `TZOFFSETTO:${formatOffset(transition.to)}`,
+            `END:${kind}`);
+    });
+    lines.push('END:VTIMEZONE');
+    return lines;
+}
+
+const addressOf = (business) => [
+    business.addressLine1,
+    business.addressLine2,
+    business.city,
+    [business.state, business.postal].filter((part) => part).join(' ')
+].filter((part) => part).join(', ');
+
+/**
+ * Renders the iCalendar (RFC 5545) text of the business' stored hours and (upcoming) exceptions as of the instant (a
+ * Date), with CRLF line endings as the RFC requires.
+ */
+const hoursCalendar = (business, hours, exceptions, instant = new Date()) => {
+    const timeZone = business.timeZone || DEFAULT_TIME_ZONE;
+    const today = localTime(instant, timeZone).date;
+    const upcoming = exceptions.filter((exception) => exception.date >= today);
+    const exceptedDates = Array.from(new Set(upcoming.map((exception) => exception.date))).sort();
+    const location = addressOf(business);
+    const common = (uid) => [
+        `UID:${uid}@${UID_DOMAIN}`,
+        `DTSTAMP:${formatUtc(instant)}`
+    ].concat(location ? [`LOCATION:${escapeText(location)}`] : []);
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(`${business.name} Hours`)}`,
+        `X-WR-TIMEZONE:${timeZone}`
+    ];
+    if (timeZone !== DEFAULT_TIME_ZONE) {
+        lines.push(...timeZoneComponent(timeZone, Number(today.slice(0, 4))));
+    }
+
+    hours.forEach((hour) => {
+        // each weekly Hour recurs from its first occurrence on or after today
+        const start = addDays(today, (hour.dayOfWeek - dayOfWeekOf(today) + 7) % 7);
+        const excluded = exceptedDates.filter((date) => dayOfWeekOf(date) === hour.dayOfWeek);
+        lines.push('BEGIN:VEVENT', ...common(hour.id));
+        if (hour.allDay) {
+            lines.push(`DTSTART;VALUE=DATE:${formatDate(start)}`, `DTEND;VALUE=DATE:${formatDate(addDays(start, 1))}`);
+            excluded.forEach((date) => lines.push(`EXDATE;VALUE=DATE:${formatDate(date)}`));
+        } else {
+            const close = hour.close <= hour.open ? hour.close + MINUTES_PER_DAY : hour.close;
+            lines.push(dateTimeProperty('DTSTART', start, hour.open, timeZone), dateTimeProperty('DTEND', start, close, timeZone));
+            excluded.forEach((date) => lines.push(dateTimeProperty('EXDATE', date, hour.open, timeZone)));
+        }
+        lines.push(`RRULE:FREQ=WEEKLY;BYDAY=${DAYS[hour.dayOfWeek]}`, `SUMMARY:${escapeText(`${business.name} open`)}`,
+            'END:VEVENT');
+    });
+
+    upcoming.forEach((exception) => {
+        lines.push('BEGIN:VEVENT', ...common(exception.id));
+        if (exception.closed || exception.allDay) {
+            lines.push(`DTSTART;VALUE=DATE:${formatDate(exception.date)}`,
+                `DTEND;VALUE=DATE:${formatDate(addDays(exception.date, 1))}`);
+        } else {
+            const close = exception.close <= exception.open ? exception.close + MINUTES_PER_DAY : exception.close;
+            lines.push(dateTimeProperty('DTSTART', exception.date, exception.open, timeZone),
+                dateTimeProperty('DTEND', exception.date, close, timeZone));
+        }
+        // a closure does not make anyone busy, so it should not block out their calendar
+        if (exception.closed) {
+            lines.push('TRANSP:TRANSPARENT');
+        }
+        lines.push(`SUMMARY:${escapeText(`${business.name} ${exception.closed ? 'closed' : 'open'}`)}`);
+        if (exception.description) {
+            lines.push(`DESCRIPTION:${escapeText(exception.description)}`);
+        }
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    hoursCalendar
+};
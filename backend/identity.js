@@ -0,0 +1,44 @@
+'use strict';
+
+const db = require('./db');
+
+/*
+ Identifies the User acting on a request by the id in its X-User-Id header.  TODO: Note: authenticating the User (e.g. by
+ a session or bearer token) is out of scope for this exercise, so the header is simply taken at its word.  It stands in
+ for whatever identity an authentication layer would eventually provide.
+ */
+
+const USER_HEADER = 'X-User-Id';
+
+// The attributes of a User that may be presented publicly (e.g. alongside their Reviews)
+const PUBLIC_USER_FIELDS = ['id', 'displayName', 'businessId', 'admin', 'created_at'];
+
+/**
+ * Resolves to the stored User identified by the request's X-User-Id header, or undefined if there is none (or it does
+ * not identify a User).
+ */
+const actingUser = async (req) => {
+    const id = req.get(USER_HEADER);
+    if (!id) {
+        return undefined;
+    }
+    const users = await db('users').where({id});
+    return users[0];
+}
+
+/**
+ * Whether the user may act on behalf of the business (i.e. is an admin, or acts on behalf of the business itself).
+ */
+const actsFor = (user, businessId) => !!user && (!!user.admin || user.businessId === businessId);
+
+const presentedUser = (user) => PUBLIC_USER_FIELDS.reduce((presented, name) => {
+    presented[name] = name === 'admin' ? !!user[name] : user[name];
+    return presented;
+}, {});
+
+module.exports = {
+    USER_HEADER,
+    actingUser,
+    actsFor,
+    presentedUser
+};
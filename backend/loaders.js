@@ -0,0 +1,89 @@
+'use strict';
+
+const db = require('./db');
+const { presentedHour, addDays, openingStatus } = require('./schedule');
+const { REVIEW_ORDER, publishedReviewsQuery, presentedReview } = require('./reviews');
+
+/*
+ The child collections that are embedded within Business responses, along with the order in which the items of each
+ are presented (and how each item is read and presented, when that differs from how it is stored).  Rather than
+ querying each collection once per Business (N+1 queries), each collection is loaded for all of the Businesses at once
+ and stitched into place in memory, so the number of queries remains constant regardless of how many Businesses are
+ being read.
+ */
+const COLLECTIONS = {
+    locations: {table: 'locations', orderBy: 'name'},
+    hours: {table: 'hours', orderBy: ['dayOfWeek', 'open'], present: presentedHour},
+    services: {table: 'services', orderBy: 'name'},
+    reviews: {table: 'reviews', query: publishedReviewsQuery, orderBy: REVIEW_ORDER, present: presentedReview}
+};
+
+const COLLECTION_NAMES = Object.keys(COLLECTIONS);
+
+const groupByBusiness = (items) => {
+    return items.reduce((groups, item) => {
+        (groups[item.businessId] = groups[item.businessId] || []).push(item);
+        return groups;
+    }, {});
+}
+
+/**
+ * Loads each of the included child collections (all of them by default) for all of the specified businesses with a
+ * single query per collection and attaches them to each business (a collection is left undefined for any business
+ * without items in it, as has always been the case).  Resolves to the same businesses array for convenience.
+ */
+const loadCollections = async (businesses, include = COLLECTION_NAMES) => {
+    const ids = businesses.map((b) => b.id);
+    if (!ids.length) {
+        return businesses;
+    }
+
+    await Promise.all(include.map(async (name) => {
+        const collection = COLLECTIONS[name];
+        const items = await (collection.query ? collection.query() : db(collection.table))
+            .whereIn(`${collection.table}.businessId`, ids)
+            .orderBy(collection.orderBy);
+        const groups = groupByBusiness(collection.present ? items.map(collection.present) : items);
+
+        businesses.forEach((b) => {
+            b[name] = groups[b.id];
+        });
+    }));
+
+    return businesses;
+}
+
+/**
+ * Computes whether each of the businesses is open at the instant (now by default) in its own time zone and, if not, when
+ * it next opens (see openingStatus), attaching them as isOpenNow and nextOpenAt.  The Hours and any upcoming Hour
+ * exceptions are loaded for all of the businesses at once, just as the collections are.  Resolves to the same businesses
+ * array for convenience.
+ */
+const loadOpeningStatus = async (businesses, instant = new Date()) => {
+    const ids = businesses.map((b) => b.id);
+    if (!ids.length) {
+        return businesses;
+    }
+
+    // local dates trail UTC by at most a day, so an exception from before yesterday (in UTC) can no longer apply
+    const [hours, exceptions] = await Promise.all([
+        db('hours').whereIn('businessId', ids),
+        db('hour_exceptions')
+            .whereIn('businessId', ids)
+            .where('date', '>=', addDays(instant.toISOString().slice(0, 10), -2))
+    ]);
+    const hoursOf = groupByBusiness(hours);
+    const exceptionsOf = groupByBusiness(exceptions);
+
+    businesses.forEach((b) => {
+        Object.assign(b, openingStatus(hoursOf[b.id] || [], exceptionsOf[b.id] || [], b.timeZone, instant));
+    });
+
+    return businesses;
+}
+
+module.exports = {
+    COLLECTION_NAMES,
+    loadCollections,
+    loadOpeningStatus
+};
@@ -0,0 +1,74 @@
+'use strict';
+
+const synonyms = require('./synonyms.json');
+
+/*
+ Typo-tolerant and synonym-aware matching of search terms against names (e.g. of Services and Locations).
+
+ Each group within synonyms.json lists names and phrases that are considered equivalent to one another (e.g. "movers"
+ and "Moving Services"), and may be extended without any code changes.  A search term is expanded into every member of
+ any group it (approximately) equals, and a name matches when any of those expanded terms approximately appears within
+ it.  "Approximately" means within a small edit distance that grows with the length of the term, so that
+ e.g. "maid servce" still matches "Maid Services" while short terms must match exactly.
+ */
+
+const normalize = (text) => String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+
+const maxEdits = (term) => term.length < 4 ? 0 : (term.length < 8 ? 1 : 2);
+
+/*
+ The edit distance (Levenshtein, plus the transposition of adjacent characters as a single edit since that is such a
+ common typo) between the term and the whole of the text or, when anywhere is true, between the term and the closest
+ substring of the text (i.e. Sellers' algorithm, which simply allows the match to begin and end anywhere within the
+ text for free).
+ */
+const editDistance = (term, text, anywhere = false) => {
+    let beforePrevious;
+    let previous = Array.from({length: text.length + 1}, (value, j) => anywhere ? 0 : j);
+    for (let i = 1; i <= term.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= text.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (term[i - 1] === text[j - 1] ? 0 : 1));
+            if (i > 1 && j > 1 && term[i - 1] === text[j - 2] && term[i - 2] === text[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+        }
+        beforePrevious = previous;
+        previous = current;
+    }
+    return anywhere ? Math.min(...previous) : previous[text.length];
+}
+
+/**
+ * Expands the term into itself plus all of the members of any synonym group (of the specified kind, i.e. 'services'
+ * or 'locations') that it approximately equals.
+ */
+const expand = (term, kind) => {
+    const normalized = normalize(term);
+    const terms = new Set([normalized]);
+    (synonyms[kind] || []).forEach((group) => {
+        const members = group.map(normalize);
+        if (members.some((member) => editDistance(normalized, member) <= maxEdits(member))) {
+            members.forEach((member) => terms.add(member));
+        }
+    });
+    return [...terms];
+}
+
+/**
+ * Returns those of the names that the term (or any of its synonyms) approximately appears within.
+ */
+const matchNames = (term, names, kind) => {
+    const terms = expand(term, kind);
+    return names.filter((name) => {
+        const normalized = normalize(name);
+        return terms.some((t) => editDistance(t, normalized, true) <= maxEdits(t));
+    });
+}
+
+module.exports = {
+    matchNames
+};
@@ -0,0 +1,45 @@
+/*
+ Adds the geographic coordinates (WGS84 decimal degrees) used for radius based searches to both the Businesses
+ themselves and the Locations they serve.  Both are optional as not every Business or Location will have been located.
+ */
+
+exports.up = (knex) => {
+    const alterPromises = [];
+
+    alterPromises.push(
+        knex.schema
+            .table('businesses', (table) => {
+                table.float('latitude');
+                table.float('longitude');
+            })
+            .then(() => {
+                // console.log('added businesses coordinates');
+            }));
+
+    alterPromises.push(
+        knex.schema
+            .table('locations', (table) => {
+                table.float('latitude');
+                table.float('longitude');
+            })
+            .then(() => {
+                // console.log('added locations coordinates');
+            }));
+
+    return Promise.all(alterPromises);
+};
+
+exports.down = async (knex) => {
+    // the columns are dropped by rebuilding each table, which must be done one table at a time within the transaction
+    await knex.schema.table('businesses', (table) => {
+        table.dropColumn('latitude');
+        table.dropColumn('longitude');
+    });
+    console.log('dropped businesses coordinates');
+
+    await knex.schema.table('locations', (table) => {
+        table.dropColumn('latitude');
+        table.dropColumn('longitude');
+    });
+    console.log('dropped locations coordinates');
+};
@@ -0,0 +1,44 @@
+/*
+ Adds a SQLite FTS5 full-text index over each Business' name, the names of the Services it offers and the comments of
+ the Reviews it has received (one index row per Business).  The index is kept in sync by triggers whenever any of those
+ are inserted, updated or deleted, so no application code needs to remember to maintain it.
+
+ FTS5 can only efficiently locate its rows by rowid, so business_search_rows assigns each Business a stable integer
+ rowid within the index (we do not rely upon the rowids of the businesses table itself as a VACUUM may change them).
+
+ The triggers themselves are shared with the later migrations that change what is indexed (see search.js).
+ */
+
+const { reindex, dropIndexTriggers } = require('../search');
+
+exports.up = async (knex) => {
+    await knex.schema.createTable('business_search_rows', (table) => {
+        table.increments('id');
+        table.uuid('businessId').notNullable().unique();
+    });
+    await knex.raw(`CREATE VIRTUAL TABLE business_search USING fts5(name, services, comments, tokenize = 'porter unicode61')`);
+
+    // the triggers aggregate services and reviews by Business, which would otherwise require a full scan each time
+    await knex.schema.table('services', (table) => {
+        table.index('businessId');
+    });
+    await knex.schema.table('reviews', (table) => {
+        table.index('businessId');
+    });
+
+    // keep the index in sync from here on, indexing any Businesses that already exist
+    await reindex(knex);
+};
+
+exports.down = async (knex) => {
+    await dropIndexTriggers(knex);
+    await knex.schema.table('services', (table) => {
+        table.dropIndex('businessId');
+    });
+    await knex.schema.table('reviews', (table) => {
+        table.dropIndex('businessId');
+    });
+    await knex.raw(`DROP TABLE IF EXISTS business_search`);
+    await knex.schema.dropTable('business_search_rows');
+    console.log('dropped business_search');
+};
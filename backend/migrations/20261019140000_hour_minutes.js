@@ -0,0 +1,21 @@
+/*
+ Converts the Hours open and close times from whole hours to minutes since midnight so that times such as 08:30 can be
+ represented.  The columns remain integers, so only the existing values need converting.
+ */
+
+exports.up = (knex) => {
+    return knex('hours')
+        .update({
+            open: knex.raw('?? * 60', ['open']),
+            close: knex.raw('?? * 60', ['close'])
+        });
+};
+
+exports.down = (knex) => {
+    // TODO: Note: any times that are not on the hour are necessarily truncated to the hour when migrating back down
+    return knex('hours')
+        .update({
+            open: knex.raw('?? / 60', ['open']),
+            close: knex.raw('?? / 60', ['close'])
+        });
+};
@@ -0,0 +1,25 @@
+/*
+ Allows a Business to have several Hours (i.e. open intervals) per day, such as split shifts, by replacing the unique
+ (businessId, dayOfWeek) constraint with a plain index, and adds the allDay flag for Hours that are open around the
+ clock.  Intervals that cross midnight need no schema change, as they are simply those that close before they open.
+ */
+
+exports.up = (knex) => {
+    return knex.schema
+        .alterTable('hours', (table) => {
+            table.dropUnique(['businessId', 'dayOfWeek']);
+            table.index(['businessId', 'dayOfWeek']);
+            table.boolean('allDay').notNullable().defaultTo(false);
+        });
+};
+
+exports.down = (knex) => {
+    // TODO: Note: this will fail for any Business that has several Hours on the same day, which would need to be
+    // resolved by hand before migrating back down
+    return knex.schema
+        .alterTable('hours', (table) => {
+            table.dropColumn('allDay');
+            table.dropIndex(['businessId', 'dayOfWeek']);
+            table.unique(['businessId', 'dayOfWeek']);
+        });
+};
@@ -0,0 +1,28 @@
+/*
+ Adds the date-specific Hour exceptions that replace a Business' weekly Hours on holidays and other special dates.  Each
+ is either a closure for the whole date, or one of the (possibly several) alternate intervals the Business is open.
+ */
+
+exports.up = (knex) => {
+    return knex.schema
+        .createTable('hour_exceptions', (table) => {
+            table.uuid('id').primary();
+            table.uuid('businessId').notNullable();
+
+            table.string('date').notNullable();         // "YYYY-MM-DD", which sorts and compares as a date would
+            table.boolean('closed').notNullable().defaultTo(false);
+            table.integer('open');                      // minutes since midnight, as for Hours (NULL when closed)
+            table.integer('close');
+            table.boolean('allDay').notNullable().defaultTo(false);
+            table.string('description');
+            table.timestamps(true, true);
+
+            table.index(['businessId', 'date']);
+            table.foreign('businessId').references('id').inTable('businesses')
+                .onDelete('CASCADE');
+        });
+};
+
+exports.down = (knex) => {
+    return knex.schema.dropTable('hour_exceptions');
+};
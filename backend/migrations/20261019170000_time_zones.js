@@ -0,0 +1,23 @@
+const { timeZoneFor } = require('../gazetteer');
+const { dropColumns } = require('../schema');
+
+/*
+ Adds the IANA time zone (e.g. America/Denver) in which each Business keeps its Hours, defaulting those of the existing
+ Businesses from their postal code or state.  It remains optional, as not every Business has an address that resolves.
+ */
+
+exports.up = (knex) => {
+    return knex.schema
+        .table('businesses', (table) => {
+            table.string('timeZone');
+        })
+        .then(() => knex('businesses').select('id', 'postal', 'state'))
+        .then((businesses) => Promise.all(businesses
+            .map((business) => ({id: business.id, timeZone: timeZoneFor(business)}))
+            .filter((business) => business.timeZone)
+            .map((business) => knex('businesses').update({timeZone: business.timeZone}).where({id: business.id}))));
+};
+
+exports.down = (knex) => {
+    return dropColumns(knex, 'businesses', ['timeZone']);
+};
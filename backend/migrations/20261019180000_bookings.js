@@ -0,0 +1,45 @@
+/*
+ Adds the Bookings homeowners make of a Business' time, along with the length of the slots in which each of its Services
+ is booked (NULL for the default length).  A Business attends to one Booking at a time, whatever its Service, which the
+ triggers enforce by refusing any confirmed Booking that overlaps another; this holds however the Bookings are written,
+ concurrent requests included.
+ */
+
+const { dropColumns } = require('../schema');
+const { overlapTriggers } = require('../availability');
+
+exports.up = async (knex) => {
+    await knex.schema.table('services', (table) => {
+        table.integer('slotMinutes');
+    });
+
+    await knex.schema.createTable('bookings', (table) => {
+        table.uuid('id').primary();
+        table.uuid('businessId').notNullable();
+        table.uuid('serviceId');
+
+        // ISO 8601 UTC timestamps, which sort and compare as the instants they are
+        table.string('startsAt').notNullable();
+        table.string('endsAt').notNullable();
+        table.string('status').notNullable().defaultTo('confirmed');    // confirmed or cancelled
+        table.uuid('userId');       // the User who made the Booking, if any, who may change it
+        table.string('customerName').notNullable();
+        table.string('customerEmail');
+        table.string('notes');
+        table.timestamps(true, true);
+
+        table.index(['businessId', 'startsAt']);
+        table.foreign('businessId').references('id').inTable('businesses')
+            .onDelete('CASCADE');
+    });
+
+    const triggers = overlapTriggers();
+    for (const name of Object.keys(triggers)) {
+        await knex.raw(`CREATE TRIGGER ${name} ${triggers[name]}`);
+    }
+};
+
+exports.down = async (knex) => {
+    await knex.schema.dropTable('bookings');
+    await dropColumns(knex, 'services', ['slotMinutes']);
+};
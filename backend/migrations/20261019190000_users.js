@@ -0,0 +1,39 @@
+/*
+ Adds the Users who review Businesses, each of whom may review a Business just the once.  A User may also act on behalf of
+ a Business (e.g. its owner or office staff) or administer the site, either of whom may mark the Reviews of a Business
+ as verified once they have confirmed that the job reviewed took place.  The Reviews written before Users were added
+ remain anonymous (a NULL userId, which the unique index does not consider equal to any other).
+ */
+
+const { dropColumns } = require('../schema');
+
+exports.up = async (knex) => {
+    await knex.schema.createTable('users', (table) => {
+        table.uuid('id').primary();
+        table.string('displayName').notNullable();
+        table.string('email').notNullable().unique();
+        table.uuid('businessId');
+        table.boolean('admin').notNullable().defaultTo(false);
+        table.timestamps(true, true);
+
+        table.foreign('businessId').references('id').inTable('businesses')
+            .onDelete('SET NULL');
+    });
+
+    await knex.schema.table('reviews', (table) => {
+        table.uuid('userId');
+        table.boolean('verified').notNullable().defaultTo(false);
+        table.timestamp('verifiedAt');
+        table.uuid('verifiedBy');
+
+        table.unique(['businessId', 'userId'], {indexName: 'reviews_business_user_unique'});
+    });
+};
+
+exports.down = async (knex) => {
+    await knex.schema.table('reviews', (table) => {
+        table.dropUnique(['businessId', 'userId'], 'reviews_business_user_unique');
+    });
+    await dropColumns(knex, 'reviews', ['userId', 'verified', 'verifiedAt', 'verifiedBy']);
+    await knex.schema.dropTable('users');
+};
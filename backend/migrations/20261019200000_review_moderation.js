@@ -0,0 +1,33 @@
+/*
+ Adds the moderation of Reviews, which enter as pending until an admin approves or rejects them (with a reason), along
+ with the flags an automatic pre-screen raised against each (a JSON array of the reasons, empty if none).  The Reviews
+ that were already live are approved as of now.
+
+ Only the comments of approved Reviews are searchable, so the search index triggers (and the index itself) are rebuilt
+ to leave out those of any other Reviews.
+ */
+
+const { reindex } = require('../search');
+const { dropColumns } = require('../schema');
+
+const APPROVED = `reviews.status = 'approved'`;
+
+exports.up = async (knex) => {
+    await knex.schema.table('reviews', (table) => {
+        table.string('status').notNullable().defaultTo('pending');     // pending, approved or rejected
+        table.string('prescreenFlags').notNullable().defaultTo('[]');
+        table.string('moderationReason');
+        table.timestamp('moderatedAt');
+        table.uuid('moderatedBy');
+    });
+    await knex('reviews').update({status: 'approved', moderatedAt: knex.fn.now()});
+
+    await reindex(knex, APPROVED);
+};
+
+exports.down = async (knex) => {
+    // the triggers must no longer refer to the status before it can be dropped
+    await reindex(knex);
+
+    await dropColumns(knex, 'reviews', ['status', 'prescreenFlags', 'moderationReason', 'moderatedAt', 'moderatedBy']);
+};
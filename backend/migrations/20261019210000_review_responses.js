@@ -0,0 +1,24 @@
+/*
+ Adds the public Responses of Businesses to the Reviews they have received; a Review has at most one Response, which
+ the Business may revise (its updated_at tracks the latest revision).
+ */
+
+exports.up = async (knex) => {
+    await knex.schema.createTable('review_responses', (table) => {
+        table.uuid('id').primary();
+        table.uuid('reviewId').notNullable().unique();
+        table.uuid('businessId').notNullable();
+        table.uuid('userId').notNullable();     // the User who (last) wrote the Response on behalf of the Business
+        table.string('comment').notNullable();
+        table.timestamps(true, true);
+
+        table.foreign('reviewId').references('id').inTable('reviews')
+            .onDelete('CASCADE');
+        table.foreign('businessId').references('id').inTable('businesses')
+            .onDelete('CASCADE');
+    });
+};
+
+exports.down = async (knex) => {
+    await knex.schema.dropTable('review_responses');
+};
@@ -0,0 +1,59 @@
+/*
+ Adds the feedback Users give on Reviews: whether they found each helpful or not (one vote per User, which they may
+ change), and abuse flags with a reason (one per User).  Once enough flags are raised against a Review it is hidden,
+ i.e. unpublished, until an admin clears its flags (marking them cleared rather than deleting them, so that the history
+ remains and the same Users cannot flag it again).
+
+ Hidden Reviews are no longer searchable either, so the search index triggers (and the index itself) are rebuilt once
+ more to leave out their comments.
+ */
+
+const { reindex } = require('../search');
+const { dropColumns } = require('../schema');
+
+const APPROVED = `reviews.status = 'approved'`;
+const APPROVED_AND_SHOWN = `reviews.status = 'approved' AND NOT reviews.hidden`;
+
+exports.up = async (knex) => {
+    await knex.schema.createTable('review_votes', (table) => {
+        table.uuid('id').primary();
+        table.uuid('reviewId').notNullable();
+        table.uuid('userId').notNullable();
+        table.boolean('helpful').notNullable();
+        table.timestamps(true, true);
+
+        table.unique(['reviewId', 'userId']);
+        table.foreign('reviewId').references('id').inTable('reviews')
+            .onDelete('CASCADE');
+    });
+
+    await knex.schema.createTable('review_flags', (table) => {
+        table.uuid('id').primary();
+        table.uuid('reviewId').notNullable();
+        table.uuid('userId').notNullable();
+        table.string('reason').notNullable();
+        table.timestamp('clearedAt');
+        table.uuid('clearedBy');
+        table.timestamps(true, true);
+
+        table.unique(['reviewId', 'userId']);
+        table.foreign('reviewId').references('id').inTable('reviews')
+            .onDelete('CASCADE');
+    });
+
+    await knex.schema.table('reviews', (table) => {
+        table.boolean('hidden').notNullable().defaultTo(false);
+        table.timestamp('hiddenAt');
+    });
+
+    await reindex(knex, APPROVED_AND_SHOWN);
+};
+
+exports.down = async (knex) => {
+    // the triggers must no longer refer to hidden before it can be dropped
+    await reindex(knex, APPROVED);
+
+    await dropColumns(knex, 'reviews', ['hidden', 'hiddenAt']);
+    await knex.schema.dropTable('review_flags');
+    await knex.schema.dropTable('review_votes');
+};
@@ -0,0 +1,82 @@
+/*
+ Adds the index autocomplete suggests names from, so that it is fast enough to be called on every keystroke.  Matching
+ names by a case-insensitive LIKE on any word within them requires a full scan of the businesses, services and locations
+ tables, so instead name_suggestion_rows holds each distinct Business, Service and Location name (by type) and the
+ name_suggestions FTS5 index over it locates those having a word that begins with the prefix typed.  The FTS5 prefix
+ indexes cover the shortest (and most common) prefixes, which would otherwise have to scan the most terms.
+
+ Both are kept in sync by triggers: a name is added as the first Business, Service or Location with it is written, and
+ removed as the last is.  name_suggestion_rows assigns each name the stable integer rowid it is indexed by (see the
+ search_index migration), and the Businesses counted with each name are found by the name indexes on the tables.
+ */
+
+const SOURCES = {
+    business: 'businesses',
+    service: 'services',
+    location: 'locations'
+};
+
+const triggers = () => {
+    const suggest = (type, name) => `INSERT OR IGNORE INTO name_suggestion_rows (type, name) VALUES ('${type}', ${name});`;
+    const unsuggest = (type, name) => `DELETE FROM name_suggestion_rows WHERE type = '${type}' AND name = ${name}
+        AND NOT EXISTS (SELECT 1 FROM ${SOURCES[type]} WHERE ${SOURCES[type]}.name = ${name});`;
+
+    const definitions = {
+        name_suggestions_insert: `AFTER INSERT ON name_suggestion_rows BEGIN
+            INSERT INTO name_suggestions (rowid, name) VALUES (new.id, new.name);
+        END`,
+        name_suggestions_delete: `AFTER DELETE ON name_suggestion_rows BEGIN
+            INSERT INTO name_suggestions (name_suggestions, rowid, name) VALUES ('delete', old.id, old.name);
+        END`
+    };
+    Object.keys(SOURCES).forEach((type) => {
+        const table = SOURCES[type];
+        definitions[`name_suggestions_${table}_insert`] = `AFTER INSERT ON ${table} BEGIN ${suggest(type, 'new.name')} END`;
+        definitions[`name_suggestions_${table}_update`] =
+            `AFTER UPDATE OF name ON ${table} BEGIN ${unsuggest(type, 'old.name')} ${suggest(type, 'new.name')} END`;
+        definitions[`name_suggestions_${table}_delete`] = `AFTER DELETE ON ${table} BEGIN ${unsuggest(type, 'old.name')} END`;
+    });
+    return definitions;
+}
+
+exports.up = async (knex) => {
+    await knex.schema.createTable('name_suggestion_rows', (table) => {
+        table.increments('id');
+        table.string('type').notNullable();     // business, service or location
+        table.string('name').notNullable();
+
+        table.unique(['type', 'name']);
+    });
+    await knex.raw(`CREATE VIRTUAL TABLE name_suggestions USING fts5(name, content = 'name_suggestion_rows', ` +
+        `content_rowid = 'id', tokenize = 'unicode61', prefix = '1 2 3')`);
+
+    // the Businesses with each suggested name are counted by it (businesses.name is already unique, and so indexed)
+    for (const table of ['services', 'locations']) {
+        await knex.schema.table(table, (builder) => {
+            builder.index('name');
+        });
+    }
+
+    const definitions = triggers();
+    for (const name of Object.keys(definitions)) {
+        await knex.raw(`CREATE TRIGGER ${name} ${definitions[name]}`);
+    }
+
+    // suggest the names that already exist
+    for (const type of Object.keys(SOURCES)) {
+        await knex.raw(`INSERT OR IGNORE INTO name_suggestion_rows (type, name) SELECT ?, name FROM ??`, [type, SOURCES[type]]);
+    }
+};
+
+exports.down = async (knex) => {
+    for (const name of Object.keys(triggers())) {
+        await knex.raw(`DROP TRIGGER IF EXISTS ${name}`);
+    }
+    for (const table of ['services', 'locations']) {
+        await knex.schema.table(table, (builder) => {
+            builder.dropIndex('name');
+        });
+    }
+    await knex.raw(`DROP TABLE IF EXISTS name_suggestions`);
+    await knex.schema.dropTable('name_suggestion_rows');
+};
@@ -0,0 +1,85 @@
+'use strict';
+
+const moderation = require('./moderation.json');
+
+/*
+ Reviews enter as pending and are only published once an admin approves them.  As each is written, an automatic
+ pre-screen flags those that an admin should take a closer look at before approving them: comments containing any of
+ the banned words configured in moderation.json, or (as each is enabled there) URLs or phone numbers, which reviews
+ have no need of and spam relies upon.  Flagged reviews are not rejected outright, as a pre-screen cannot weigh context.
+
+ Once published, a review that Users flag for abuse as many times as moderation.json's flags.hideAfter is hidden from
+ the public (and its business' ratings) until an admin clears its flags.
+ */
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+const HIDE_AFTER_FLAGS = moderation.flags.hideAfter;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Each banned word (or phrase) as a whole word, whatever its case
+const BANNED_WORDS = moderation.prescreen.bannedWords
+    .map((word) => ({word, pattern: new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(word)}(?=$|[^\\p{L}\\p{N}])`, 'iu')}));
+
+// Links with a scheme or leading www., along with bare domains under the common top level domains
+const URL = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|biz|info|io|co|us)\b/i;
+
+// North American numbers (e.g. 303-555-0100, (303) 555 0100, +1.303.555.0100) and international numbers with a + prefix
+const PHONE_NUMBER = /(?:\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b|\+\d{1,3}(?:[\s.-]?\d{2,4}){2,4}\b/;
+
+/**
+ * The reasons (if any) that the automatic pre-screen flags a review's comment for, in the order they were found.
+ */
+const prescreen = (comment) => {
+    if (typeof comment !== 'string' || !comment.trim()) {
+        return [];
+    }
+    const flags = BANNED_WORDS
+        .filter(({pattern}) => pattern.test(comment))
+        .map(({word}) => `contains the banned word "${word}"`);
+    if (moderation.prescreen.urls && URL.test(comment)) {
+        flags.push('contains a URL');
+    }
+    if (moderation.prescreen.phoneNumbers && PHONE_NUMBER.test(comment)) {
+        flags.push('contains a phone number');
+    }
+    return flags;
+}
+
+/**
+ * The review (as it is to be stored) submitted for moderation afresh: pending, with the flags of its pre-screen and
+ * without any earlier moderation decision.
+ */
+const submittedReview = (review) => ({
+    ...review,
+    status: 'pending',
+    prescreenFlags: JSON.stringify(prescreen(review.comment)),
+    moderationReason: null,
+    moderatedAt: null,
+    moderatedBy: null
+});
+
+/**
+ * Returns a validation message if the moderation decision ({status, reason}) is invalid, otherwise undefined.  A
+ * review may be approved or rejected (or returned to pending), and a rejection must give its reason.
+ */
+const invalidDecision = (decision) => {
+    if (!REVIEW_STATUSES.includes(decision.status)) {
+        return `Review status must be one of ${REVIEW_STATUSES.join(', ')}`;
+    }
+    if (decision.reason !== undefined && decision.reason !== null && typeof decision.reason !== 'string') {
+        return `Moderation reason must be a string`;
+    }
+    if (decision.status === 'rejected' && !(decision.reason || '').trim()) {
+        return `Moderation reason must be specified when rejecting a Review`;
+    }
+    return undefined;
+}
+
+module.exports = {
+    REVIEW_STATUSES,
+    HIDE_AFTER_FLAGS,
+    prescreen,
+    submittedReview,
+    invalidDecision
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+const ranking = require('./ranking.json');
+const { publishedSql } = require('./reviews');
+
+/*
+ A confidence-weighted rating that ranks a Business with many good reviews above one with only a few great ones, since
+ a plain average rating says nothing about how much it can be trusted.  ranking.json selects one of two methods:
+
+ - bayesian: the average rating with priorWeight virtual reviews at the network-wide average rating (the prior) mixed
+   in, so that a Business' rating starts out at the prior and moves toward its own average as its reviews accumulate.
+ - wilson: the lower bound of the Wilson score interval (at the z-score for the desired confidence) around the average
+   rating taken as a fraction of the 5 star maximum, which is undefined until a Business has been reviewed.
+
+ Either way, only published reviews are considered.
+ */
+
+const MAX_RATING = 5;
+
+const bayesianSql = (db, {priorWeight}) => {
+    // the prior only considers the reviews of Businesses that still exist
+    const prior = db('reviews as all_reviews')
+        .join('businesses as reviewed', 'reviewed.id', '=', 'all_reviews.businessId')
+        .whereRaw(publishedSql('all_reviews'))
+        .avg('all_reviews.rating');
+    return db.raw(`(select round((? * ? + coalesce(sum(rating), 0)) / (? + count(rating)), 2) ` +
+        `from reviews where reviews.businessId = businesses.id and ${publishedSql()})`, [priorWeight, prior, priorWeight]);
+}
+
+const wilsonSql = (db, {z}) => {
+    const p = `(avg(rating) / ${MAX_RATING})`;
+    const n = 'count(rating)';
+    return db.raw(`(select round(${MAX_RATING} * ` +
+        `(${p} + ? / (2 * ${n}) - ? * sqrt((${p} * (1 - ${p}) + ? / (4 * ${n})) / ${n})) / (1 + ? / ${n}), 2) ` +
+        `from reviews where reviews.businessId = businesses.id and ${publishedSql()})`, [z * z, z, z * z, z * z]);
+}
+
+const METHODS = {
+    bayesian: bayesianSql,
+    wilson: wilsonSql
+};
+
+/**
+ * A knex raw SQL expression for the weightedRating (rounded to 2 decimal places) of the businesses row being selected,
+ * per the method configured in ranking.json.
+ */
+const weightedRatingSql = (db) => {
+    const {method} = ranking.weightedRating;
+    if (!METHODS[method]) {
+        throw new Error(`Unsupported weightedRating method '${method}' in ranking.json: only ${Object.keys(METHODS).map((m) => `'${m}'`).join(', ')} are supported`);
+    }
+    return METHODS[method](db, ranking.weightedRating[method]);
+}
+
+module.exports = {
+    weightedRatingSql
+};
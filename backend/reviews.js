@@ -0,0 +1,143 @@
+'use strict';
+
+const db = require('./db');
+
+/*
+ Reviews are presented along with the display information of the User who wrote them (the reviewer) and the Response of
+ the Business to them (if any), which are joined in as they are read rather than looked up per Review.  Reviews that
+ predate Users have no reviewer.
+
+ Only published Reviews (i.e. those an admin has approved, and that have not since been hidden for the abuse flags
+ raised against them, see moderation.js) are presented publicly or count toward a Business' ratings.
+ */
+
+/**
+ * The SQL condition that a Review (of the reviews table, or the alias given) is published.
+ */
+const publishedSql = (alias = 'reviews') => `${alias}.status = 'approved' and not ${alias}.hidden`;
+
+/**
+ * Whether the stored Review is published, as publishedSql would have it.
+ */
+const isPublished = (review) => review.status === 'approved' && !review.hidden;
+
+/**
+ * Resolves to the stored Review identified by reviewId and associated with businessId, provided it is published.
+ */
+const publishedReview = async (businessId, reviewId) => {
+    const reviews = await db('reviews')
+        .where({id: reviewId, businessId})
+        .whereRaw(publishedSql());
+    return reviews[0];
+}
+
+// Reviews are presented in the order they were written (those written at the same time in the order they were stored)
+const REVIEW_ORDER = ['reviews.created_at', 'reviews.rowid'];
+
+// The orders in which Reviews may be sorted; the order they were written (the default), or the most helpful first
+const REVIEW_SORTS = {
+    created: REVIEW_ORDER,
+    helpful: [{column: 'helpfulCount', order: 'desc'}, ...REVIEW_ORDER]
+};
+
+// The counts of the votes cast for a Review as helpful and as unhelpful
+const voteCount = (helpful) => db.raw(
+    '(select count(*) from review_votes where review_votes.reviewId = reviews.id and review_votes.helpful = ?) as ??',
+    [helpful, helpful ? 'helpfulCount' : 'unhelpfulCount']);
+
+// The columns of a Response, which are selected alongside those of its Review with a prefix to tell them apart
+const RESPONSE_COLUMNS = ['id', 'reviewId', 'businessId', 'userId', 'comment', 'created_at', 'updated_at'];
+const RESPONSE_PREFIX = 'response_';
+
+/**
+ * A query of the review_responses table joined to the display information of the Users who wrote them (the responders).
+ */
+const responsesQuery = () => db('review_responses')
+    .leftJoin('users as responders', 'responders.id', 'review_responses.userId')
+    .select('review_responses.*', 'responders.displayName as responderDisplayName');
+
+/**
+ * Presents a Response read by responsesQuery, with its responder as {id, displayName}.
+ */
+const presentedResponse = (response) => {
+    const presented = {
+        ...response,
+        responder: {id: response.userId, displayName: response.responderDisplayName}
+    };
+    delete presented.responderDisplayName;
+    return presented;
+}
+
+/**
+ * A query of the reviews table joined to the display information of their reviewers and to their Responses, along with
+ * their helpfulCount and unhelpfulCount, ready for further where and orderBy clauses (whose columns should be qualified
+ * by their table).
+ */
+const reviewsQuery = () => db('reviews')
+    .leftJoin('users', 'users.id', 'reviews.userId')
+    .leftJoin('review_responses', 'review_responses.reviewId', 'reviews.id')
+    .leftJoin('users as responders', 'responders.id', 'review_responses.userId')
+    .select('reviews.*', 'users.displayName as reviewerDisplayName',
+        ...RESPONSE_COLUMNS.map((column) => `review_responses.${column} as ${RESPONSE_PREFIX}${column}`),
+        `responders.displayName as ${RESPONSE_PREFIX}responderDisplayName`,
+        voteCount(true), voteCount(false));
+
+/**
+ * A reviewsQuery of only the published Reviews.
+ */
+const publishedReviewsQuery = () => reviewsQuery().whereRaw(publishedSql());
+
+/**
+ * Presents a Review read by reviewsQuery, with its reviewer as {id, displayName} (null if anonymous) and its response
+ * as presentedResponse does (null if none).  The flags its pre-screen raised are left to moderators (see moderatedReview).
+ */
+const presentedReview = (review) => {
+    const presented = {
+        ...review,
+        verified: !!review.verified,
+        hidden: !!review.hidden,
+        reviewer: review.userId ? {id: review.userId, displayName: review.reviewerDisplayName} : null
+    };
+    const response = {};
+    Object.keys(review).filter((column) => column.startsWith(RESPONSE_PREFIX)).forEach((column) => {
+        response[column.slice(RESPONSE_PREFIX.length)] = review[column];
+        delete presented[column];
+    });
+    presented.response = response.id ? presentedResponse(response) : null;
+    delete presented.reviewerDisplayName;
+    delete presented.prescreenFlags;
+    return presented;
+}
+
+/**
+ * Presents a Review read by reviewsQuery to moderators, which includes the prescreenFlags it was flagged with.
+ */
+const moderatedReview = (review) => ({
+    ...presentedReview(review),
+    prescreenFlags: JSON.parse(review.prescreenFlags || '[]')
+});
+
+/**
+ * Returns a validation message if the rating of a Review is invalid, otherwise undefined.
+ */
+const invalidRating = (rating) => {
+    if (typeof rating !== 'number' || !(rating >= 0 && rating <= 5)) {
+        return `Review rating must be specified: 0 <= rating <= 5`;
+    }
+    return undefined;
+}
+
+module.exports = {
+    REVIEW_ORDER,
+    REVIEW_SORTS,
+    publishedSql,
+    isPublished,
+    publishedReview,
+    reviewsQuery,
+    publishedReviewsQuery,
+    responsesQuery,
+    presentedResponse,
+    presentedReview,
+    moderatedReview,
+    invalidRating
+};
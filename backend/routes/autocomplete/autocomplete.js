@@ -0,0 +1,174 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router({mergeParams: true});
+const db = require('../../db')
+
+const DEFAULT_SUGGESTIONS = 10;
+const MAX_SUGGESTIONS = 50;
+
+// The tables holding the names that can be suggested for each type, along with how to identify the Business each
+// belongs to
+const SOURCES = {
+    business: {table: 'businesses', businessId: 'businesses.id'},
+    service: {table: 'services', businessId: 'services.businessId'},
+    location: {table: 'locations', businessId: 'locations.businessId'}
+};
+
+/**
+ * @swagger
+ *  components:
+ *    schemas:
+ *      Suggestion:
+ *        type: object
+ *        required:
+ *          - type
+ *          - name
+ *          - count
+ *        properties:
+ *          type:
+ *            type: string
+ *            description: The type of name being suggested; one of business, service or location
+ *          name:
+ *            type: string
+ *            description: The suggested Business, Service or Location name
+ *          count:
+ *            type: integer
+ *            description: The number of Businesses with the name (business) or offering/serving the name (service/location)
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Autocomplete
+ *   description: Search box type-ahead API
+ */
+
+// Escapes the LIKE wildcards so that they are matched literally when typed
+const escapeLike = (text) => text.replace(/[\\%_]/g, (c) => `\\${c}`);
+
+/*
+ Converts the prefix into an FTS5 query matching the names with a word that begins with it (i.e. with its words in turn,
+ the last of which may be the beginning of a longer word).  The words are quoted as a phrase so that nothing typed can be
+ interpreted as FTS5 query syntax.  Returns undefined if the prefix has no words at all.
+ */
+const prefixQuery = (prefix) => {
+    const words = prefix.match(/[\p{L}\p{N}]+/gu);
+    return words ? `"${words.join(' ')}"*` : undefined;
+}
+
+// The names of the type matching the prefix (per the name_suggestions index) along with the Businesses counted for each
+const suggestions = (type, prefix) => {
+    const source = SOURCES[type];
+
+    // SQLite never reorders a CROSS JOIN, which keeps it from scanning every name of the type in place of the index
+    return db('name_suggestions')
+        .crossJoin('name_suggestion_rows as suggested', 'suggested.id', '=', 'name_suggestions.rowid')
+        .join(source.table, `${source.table}.name`, '=', 'suggested.name')
+        .select(db.raw('? as type', [type]), 'suggested.name',
+                db.raw('count(distinct ??) as count', [source.businessId]),
+                // names beginning with the prefix rank ahead of those with a later word beginning with it
+                db.raw(`min(suggested.name like ? escape '\\') as startsWith`, [`${escapeLike(prefix)}%`]))
+        .modify((query) => {
+            if (type !== 'business') {
+                // only count Services and Locations belonging to Businesses that still exist
+                query.join('businesses', 'businesses.id', '=', source.businessId);
+            }
+        })
+        .whereRaw('name_suggestions MATCH ?', [prefixQuery(prefix)])
+        .where('suggested.type', type)
+        .groupBy('suggested.name');
+}
+
+/**
+ * @swagger
+ * path:
+ *  /autocomplete:
+ *    get:
+ *      summary: Retrieve ranked Business, Service and/or Location name suggestions for a search box prefix
+ *      tags: [Autocomplete]
+ *      parameters:
+ *        - in: query
+ *          name: prefix
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The text typed so far; names beginning with it (or with a word beginning with it) are suggested, case-insensitively
+ *        - in: query
+ *          name: type
+ *          schema:
+ *            type: string
+ *            enum: [business, service, location]
+ *          required: false
+ *          description: The type of names to suggest.  If not specified, all types are suggested.
+ *        - in: query
+ *          name: limit
+ *          schema:
+ *            type: integer
+ *          required: false
+ *          description: The maximum number of suggestions to return (1 <= limit <= 50).  If not specified, this will default to 10.
+ *      responses:
+ *        "200":
+ *          description: The suggestions, those beginning with the prefix first and then by descending count (possibly empty)
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: array
+ *                items:
+ *                  $ref: '#/components/schemas/Suggestion'
+ *        "400":
+ *          description: Bad Request - the prefix is missing (or specified more than once) or an invalid type or limit has been specified
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.get('/', async (req, resp, next) => {
+    // each parameter is an array when repeated in the query string, which is rejected along with any other invalid value
+    const prefix = typeof req.query.prefix === 'string' ? req.query.prefix.trim() : undefined;
+    const type = req.query.type;
+    const limit = req.query.limit === undefined ? DEFAULT_SUGGESTIONS :
+        (typeof req.query.limit === 'string' && req.query.limit.trim() !== '' ? Number(req.query.limit) : NaN);
+
+    if (!prefix) {
+        resp.status(400).send(`The prefix must be specified, just the once`);
+        return;
+    }
+    if (type !== undefined && !Object.keys(SOURCES).includes(type)) {
+        resp.status(400).send(`Invalid type: only ${Object.keys(SOURCES).map((t) => `'${t}'`).join(', ')} are supported at this time`);
+        return;
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUGGESTIONS) {
+        resp.status(400).send(`The limit is invalid; 1 <= limit <= ${MAX_SUGGESTIONS} is expected`);
+        return;
+    }
+
+    // suggestions are requested on every keystroke, so allow them to be briefly cached
+    resp.set('Cache-Control', 'public, max-age=60');
+    if (!prefixQuery(prefix)) {
+        // nothing but punctuation has been typed, which no name has a word beginning with
+        resp.status(200).json([]);
+        return;
+    }
+
+    try {
+        // each type's (grouped) suggestions are wrapped as a subquery as SQLite does not allow parenthesized unions
+        const [first, ...rest] = (type ? [type] : Object.keys(SOURCES))
+            .map((t) => db.select('*').from(suggestions(t, prefix).as(t)));
+        const results = await db
+            .select('type', 'name', 'count')
+            .from((rest.length ? first.unionAll(rest) : first).as('suggestions'))
+            .orderBy([
+                {column: 'startsWith', order: 'desc'},
+                {column: 'count', order: 'desc'},
+                {column: 'name'},
+                {column: 'type'}
+            ])
+            .limit(limit);
+
+        resp.status(200).json(results);
+    } catch (err) {
+        console.error(`Error while retrieving suggestions for ${prefix} ${JSON.stringify(err)}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+module.exports = router;
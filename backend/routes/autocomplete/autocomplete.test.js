@@ -0,0 +1,127 @@
+'use strict';
+
+const db = require('../../db')
+const autocomplete = require('./autocomplete');
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+
+const app = express();
+
+app.use(bodyParser.json());
+app.use('/autocomplete', autocomplete);
+
+const resetDb = async (done) => {
+    // We want to have a known starting point before each test, so we clear out any previous data and begin with
+    // a known initial set of seed data
+    await db.migrate.latest();
+    await db.table('businesses').del();
+    await db.seed.run();
+
+    done();
+}
+
+beforeAll(() => {
+    process.env.NODE_ENV = 'test';
+});
+
+beforeEach(async (done) => {
+    await resetDb(done);
+});
+
+/*
+ TODO: General global note: I do not like the brittle way that the below tests reference the initial seed data by specific hard
+ coded values and array indices.  This could be avoided by enhancing the seed initialization process to read its values
+ from a separate common data-only module that these tests also reference as well.  However, for simplification of this
+ exercise and as this does not appear to be it's intent, this has not been done.
+ */
+
+test('GET /autocomplete?prefix=serv&type=service for initial seed data', async (done) => {
+    await request(app).get('/autocomplete?prefix=serv&type=service')
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.length).toEqual(2);
+            expect(res.body[0]).toEqual({type: 'service', name: 'Moving Services', count: 3});
+            expect(res.body[1]).toEqual({type: 'service', name: 'Maid Services', count: 2});
+            done();
+        });
+});
+
+test('GET /autocomplete?prefix=C for initial seed data (all types, names beginning with the prefix first)', async (done) => {
+    await request(app).get('/autocomplete?prefix=C')
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.length).toEqual(3);
+            expect(res.body[0]).toEqual({type: 'location', name: 'Centennial', count: 2});
+            expect(res.body[1]).toEqual({type: 'location', name: 'Commerce City', count: 1});
+            expect(res.body[2]).toEqual({type: 'service', name: 'House Cleaning', count: 2});
+            done();
+        });
+});
+
+test('GET /autocomplete?prefix=sample&type=business&limit=2 for initial seed data', async (done) => {
+    await request(app).get('/autocomplete?prefix=sample&type=business&limit=2')
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.length).toEqual(2);
+            expect(res.body[0].name).toEqual('Sample Business #1');
+            expect(res.body[1].name).toEqual('Sample Business #2');
+            done();
+        });
+});
+
+test('GET /autocomplete?prefix=% for initial seed data (wildcards are matched literally)', async (done) => {
+    await request(app).get('/autocomplete?prefix=%25')
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body).toEqual([]);
+            done();
+        });
+});
+
+test('GET /autocomplete with a missing prefix or invalid type or limit - Should be rejected', async (done) => {
+    await request(app).get('/autocomplete')
+        .expect(400);
+    await request(app).get('/autocomplete?prefix=s&type=review')
+        .expect(400);
+    await request(app).get('/autocomplete?prefix=s&limit=0')
+        .expect(400);
+
+    // repeated parameters are rejected rather than taken as lists
+    await request(app).get('/autocomplete?prefix=a&prefix=b')
+        .expect(400)
+        .expect((res) => {
+            expect(res.text).toMatch(/prefix/);
+        });
+    await request(app).get('/autocomplete?prefix=s&type=service&type=location')
+        .expect(400);
+    await request(app).get('/autocomplete?prefix=s&limit=5&limit=6')
+        .expect(400);
+    done();
+});
+
+test('GET /autocomplete suggests names as they are added, renamed and removed', async (done) => {
+    const suggested = async (prefix) => (await request(app).get(`/autocomplete?prefix=${prefix}&type=service`).expect(200)).body;
+
+    const business = (await db('businesses').orderBy('name'))[0];
+    await db('services').insert({id: 'autocomplete-service', businessId: business.id, name: 'Window Washing'});
+    expect(await suggested('wash')).toEqual([{type: 'service', name: 'Window Washing', count: 1}]);
+
+    await db('services').update({name: 'Gutter Cleaning'}).where({id: 'autocomplete-service'});
+    expect(await suggested('wash')).toEqual([]);
+    expect(await suggested('gut')).toEqual([{type: 'service', name: 'Gutter Cleaning', count: 1}]);
+
+    await db('services').del().where({id: 'autocomplete-service'});
+    expect(await suggested('gut')).toEqual([]);
+    expect(await db('name_suggestion_rows').where({type: 'service', name: 'Gutter Cleaning'})).toEqual([]);
+
+    // a name remains suggested as long as any Service has it
+    await db('services').del().where({businessId: business.id, name: 'Moving Services'});
+    expect(await suggested('mov')).toEqual([{type: 'service', name: 'Moving Services', count: 2}]);
+    done();
+});
@@ -0,0 +1,722 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router({mergeParams: true});
+const uuid = require('uuid');
+const db = require('../../../db')
+const { DEFAULT_TIME_ZONE, parseDate, parseInstant, addDays, zonedInstant } = require('../../../schedule');
+const { DEFAULT_SLOT_MINUTES, MAX_AVAILABILITY_DAYS, DOUBLE_BOOKED, availableSlots, slotStartingAt } = require('../../../availability');
+const { actingUser, actsFor } = require('../../../identity');
+
+/**
+ * @swagger
+ *  components:
+ *    schemas:
+ *      Booking:
+ *        type: object
+ *        required:
+ *          - id
+ *          - businessId
+ *          - startsAt
+ *          - customerName
+ *        properties:
+ *          id:
+ *            type: string
+ *            description: Unique id for the Booking.
+ *          businessId:
+ *            type: string
+ *            description: The id of the business the Booking has been made with.
+ *          serviceId:
+ *            type: string
+ *            description: The id of the business' Service that has been booked, whose slotMinutes determine the length of the Booking.  Optional, in which case the Booking is of the default length (60 minutes).
+ *          startsAt:
+ *            type: string
+ *            description: The ISO 8601 timestamp at which the Booking starts, which must be the start of one of the business' available slots (see the availability endpoint).  Any UTC offset may be specified, but it is presented in UTC.
+ *          endsAt:
+ *            type: string
+ *            description: The ISO 8601 (UTC) timestamp at which the Booking ends; determined by the slotMinutes of the Service.
+ *          userId:
+ *            type: string
+ *            description: The id of the User who made the Booking (per the X-User-Id header), who may reschedule or cancel it.  Absent if the Booking was made anonymously.  Only presented to that User and the User acting on behalf of the business (or an admin).
+ *          status:
+ *            type: string
+ *            enum: [confirmed, cancelled]
+ *            description: Whether the Booking is confirmed or has been cancelled.  Only confirmed Bookings occupy their slot.
+ *          customerName:
+ *            type: string
+ *            description: The name of the homeowner the Booking has been made for.
+ *          customerEmail:
+ *            type: string
+ *            description: An optional email address at which to reach the homeowner.  Only presented to the User who made the Booking and the User acting on behalf of the business (or an admin).
+ *          notes:
+ *            type: string
+ *            description: Optional notes for the business about the Booking.  Only presented to the User who made the Booking and the User acting on behalf of the business (or an admin).
+ *          created_at:
+ *            type: string
+ *            description: Timestamp of creation
+ *          updated_at:
+ *            type: string
+ *            description: Timestamp of last update
+ *      Availability:
+ *        type: object
+ *        properties:
+ *          timeZone:
+ *            type: string
+ *            description: The IANA time zone of the business, in which the slot dates and times are local.
+ *          slotMinutes:
+ *            type: integer
+ *            description: The length of each slot, per the slotMinutes of the Service (if any).
+ *          slots:
+ *            type: array
+ *            description: The available slots, in the order they start.
+ *            items:
+ *              type: object
+ *              properties:
+ *                date:
+ *                  type: string
+ *                  description: The local "YYYY-MM-DD" date the slot starts on
+ *                time:
+ *                  type: string
+ *                  description: The local "HH:MM" time the slot starts at
+ *                startsAt:
+ *                  type: string
+ *                  description: The ISO 8601 (UTC) timestamp at which the slot starts; specify this as the startsAt of a Booking to book it
+ *                endsAt:
+ *                  type: string
+ *                  description: The ISO 8601 (UTC) timestamp at which the slot ends
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Bookings
+ *   description: Business Booking (appointment) API
+ */
+
+/*
+ Whether the user may see all of the Booking and change it, i.e. made the Booking or may act on behalf of the business.
+ */
+const mayChangeBooking = (user, booking) =>
+    actsFor(user, booking.businessId) || (!!user && !!booking.userId && booking.userId === user.id);
+
+/*
+ The presented form of a stored Booking, which includes who made it, along with the homeowner's contact details and
+ notes, only when the user made the Booking or may act on behalf of the business.
+ */
+const presentedBooking = (booking, user) => {
+    if (mayChangeBooking(user, booking)) {
+        return booking;
+    }
+    const { userId, customerEmail, notes, ...presented } = booking;
+    return presented;
+}
+
+/*
+ The form of a stored Booking listed among the others of the business, from which the id and the homeowner's name are
+ also withheld unless the user made the Booking or may act on behalf of the business.
+ */
+const listedBooking = (booking, user) => {
+    if (mayChangeBooking(user, booking)) {
+        return booking;
+    }
+    const { id, userId, customerName, customerEmail, notes, ...listed } = booking;
+    return listed;
+}
+
+const alreadyBooked = (slot) => `The slot starting at ${slot.startsAt} has already been booked; please choose one of the available slots`;
+
+/*
+ Resolves the slot of the business' Service (of the default length when no Service is specified) that the Booking is to
+ start at.  Returns {status, error} if no such slot can be booked, otherwise {business, slot}.
+ */
+const resolveSlot = async (businessId, serviceId, startsAt) => {
+    const businesses = await db('businesses').where({id: businessId});
+    if (!businesses.length) {
+        return {status: 404, error: `The specified business does not exist`};
+    }
+
+    let slotMinutes = DEFAULT_SLOT_MINUTES;
+    if (serviceId !== undefined && serviceId !== null) {
+        const services = await db('services').where({id: serviceId, businessId});
+        if (!services.length) {
+            return {status: 400, error: `The Service ${serviceId} is not offered by the specified business`};
+        }
+        slotMinutes = services[0].slotMinutes || DEFAULT_SLOT_MINUTES;
+    }
+    if (startsAt <= new Date()) {
+        return {status: 400, error: `The Booking startsAt must be in the future`};
+    }
+
+    const [hours, exceptions] = await Promise.all([
+        db('hours').where({businessId}),
+        db('hour_exceptions').where({businessId})
+    ]);
+    const slot = slotStartingAt({hours, exceptions, timeZone: businesses[0].timeZone, slotMinutes}, startsAt);
+    if (!slot) {
+        return {
+            status: 400,
+            error: `The business has no ${slotMinutes} minute slot starting at ${startsAt.toISOString()}; please choose one of the available slots`
+        };
+    }
+    return {business: businesses[0], slot};
+}
+
+/*
+ Writes the Booking of the slot, unless the slot overlaps one of the business' other confirmed Bookings (whatever their
+ Service), within a single transaction.  Resolves to whether it has been written.  The triggers on bookings refuse any
+ overlapping Booking that gets past the check regardless, which is likewise reported as not having been written.
+ */
+const writeBooking = async (booking, write) => {
+    try {
+        return await db.transaction(async (trx) => {
+            const overlapping = await db('bookings')
+                .count('* as c')
+                .where({businessId: booking.businessId, status: 'confirmed'})
+                .where('startsAt', '<', booking.endsAt)
+                .where('endsAt', '>', booking.startsAt)
+                .whereNot({id: booking.id})
+                .transacting(trx);
+            if (overlapping[0]['c'] > 0) {
+                return false;
+            }
+            await write(trx);
+            return true;
+        });
+    } catch (err) {
+        if (String(err && err.message).includes(DOUBLE_BOOKED)) {
+            return false;
+        }
+        throw err;
+    }
+}
+
+/**
+ * @swagger
+ * path:
+ *  /businesses/{businessId}/bookings:
+ *    get:
+ *      summary: Retrieve the Bookings made with the {businessId}
+ *      tags: [Bookings]
+ *      parameters:
+ *        - in: path
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the business
+ *        - in: query
+ *          name: from
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: An optional "YYYY-MM-DD" date (local to the business) limiting the Bookings to those starting on or after it
+ *        - in: query
+ *          name: to
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: An optional "YYYY-MM-DD" date (local to the business) limiting the Bookings to those starting on or before it
+ *        - in: query
+ *          name: status
+ *          schema:
+ *            type: string
+ *            enum: [confirmed, cancelled]
+ *          required: false
+ *          description: An optional status limiting the Bookings to those with it
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: The id of the User acting on behalf of the business (or an admin), to whom the id, userId, customerName, customerEmail and notes of the Bookings are presented (as they are to the User who made each Booking)
+ *      responses:
+ *        "200":
+ *          description: Bookings made with the specified business, in the order they start.  Only their times, Service and status are presented publicly, so the public can tell which slots have been booked but not by whom
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: array
+ *                items:
+ *                  $ref: '#/components/schemas/Booking'
+ *        "400":
+ *          description: Bad Request - the from or to date or the status is invalid
+ *        "404":
+ *          description: business identified by {businessId} not found
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.get('/', async (req, resp, next) => {
+    const businessId = req.params.businessId;
+
+    const invalidDate = ['from', 'to'].find((bound) => req.query[bound] !== undefined && !parseDate(req.query[bound]));
+    if (invalidDate) {
+        resp.status(400).send(`The ${invalidDate} date is invalid; a "YYYY-MM-DD" date is expected`);
+        return;
+    }
+    if (req.query.status !== undefined && !['confirmed', 'cancelled'].includes(req.query.status)) {
+        resp.status(400).send(`The status is invalid; confirmed or cancelled is expected`);
+        return;
+    }
+
+    try {
+        const businesses = await db('businesses').where({id: businessId});
+        if (!businesses.length) {
+            resp.status(404).send(`The specified business does not exist`);
+            return;
+        }
+        const timeZone = businesses[0].timeZone || DEFAULT_TIME_ZONE;
+
+        const bookings = await db('bookings')
+            .where({businessId})
+            .where((builder) => {
+                if (req.query.from !== undefined) {
+                    builder.where('startsAt', '>=', zonedInstant(parseDate(req.query.from), 0, timeZone).toISOString());
+                }
+                if (req.query.to !== undefined) {
+                    builder.where('startsAt', '<', zonedInstant(addDays(parseDate(req.query.to), 1), 0, timeZone).toISOString());
+                }
+                if (req.query.status !== undefined) {
+                    builder.where('status', '=', req.query.status);
+                }
+            })
+            .orderBy(['startsAt', 'created_at']);
+
+        const user = await actingUser(req);
+        resp.status(200).json(bookings.map((booking) => listedBooking(booking, user)));
+    } catch (err) {
+        console.error(`Error while retrieving bookings for businessId ${businessId}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+/**
+ * @swagger
+ * path:
+ *  /businesses/{businessId}/bookings/availability:
+ *    get:
+ *      summary: Retrieve the slots the {businessId} has available to be booked over a range of dates
+ *      tags: [Bookings]
+ *      parameters:
+ *        - in: path
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the business
+ *        - in: query
+ *          name: from
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The first "YYYY-MM-DD" date (local to the business) of the range
+ *        - in: query
+ *          name: to
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: The last "YYYY-MM-DD" date (local to the business) of the range, which may span at most 31 dates.  Defaults to the from date.
+ *        - in: query
+ *          name: serviceId
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: The id of the business' Service to be booked, whose slotMinutes determine the length of the slots.  If not specified, the slots are of the default length (60 minutes).
+ *      responses:
+ *        "200":
+ *          description: The slots laid out from the start of each interval the business keeps per its Hours and Hour exceptions, less those that have already begun or that overlap any of its confirmed Bookings (whatever their Service).  The slots on the from date include those of any overnight interval kept from the day before
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: '#/components/schemas/Availability'
+ *        "400":
+ *          description: Bad Request - the from or to date is missing or invalid, the range is too long, or the Service is not offered by the business
+ *        "404":
+ *          description: business identified by {businessId} not found
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.get('/availability', async (req, resp, next) => {
+    const businessId = req.params.businessId;
+
+    const from = parseDate(req.query.from);
+    const to = req.query.to === undefined ? from : parseDate(req.query.to);
+    if (!from || !to) {
+        resp.status(400).send(`The ${!from ? 'from' : 'to'} date is invalid; a "YYYY-MM-DD" date is expected`);
+        return;
+    }
+    if (to < from || addDays(from, MAX_AVAILABILITY_DAYS) <= to) {
+        resp.status(400).send(`The from and to dates are invalid; from <= to spanning at most ${MAX_AVAILABILITY_DAYS} dates is expected`);
+        return;
+    }
+
+    try {
+        const businesses = await db('businesses').where({id: businessId});
+        if (!businesses.length) {
+            resp.status(404).send(`The specified business does not exist`);
+            return;
+        }
+
+        let slotMinutes = DEFAULT_SLOT_MINUTES;
+        if (req.query.serviceId !== undefined) {
+            const services = await db('services').where({id: req.query.serviceId, businessId});
+            if (!services.length) {
+                resp.status(400).send(`The Service ${req.query.serviceId} is not offered by the specified business`);
+                return;
+            }
+            slotMinutes = services[0].slotMinutes || DEFAULT_SLOT_MINUTES;
+        }
+
+        const instant = new Date();
+        const [hours, exceptions, bookings] = await Promise.all([
+            db('hours').where({businessId}),
+            db('hour_exceptions').where({businessId}).whereBetween('date', [addDays(from, -1), to]),
+            db('bookings')
+                .where({businessId, status: 'confirmed'})
+                .where('endsAt', '>', instant.toISOString())
+        ]);
+        const timeZone = businesses[0].timeZone || DEFAULT_TIME_ZONE;
+
+        resp.status(200).json({
+            timeZone,
+            slotMinutes,
+            slots: availableSlots({hours, exceptions, bookings, timeZone, from, to, slotMinutes, instant})
+        });
+    } catch (err) {
+        console.error(`Error while retrieving availability for businessId ${businessId}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+/**
+ * @swagger
+ * path:
+ *  /businesses/{businessId}/bookings/{id}:
+ *    get:
+ *      summary: Retrieve the unique Booking identified by {id} and made with {businessId}
+ *      tags: [Bookings]
+ *      parameters:
+ *        - in: path
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the business
+ *        - in: path
+ *          name: id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the Booking
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: The id of the User who made the Booking or acts on behalf of the business (or an admin), to whom the userId, customerEmail and notes of the Booking are presented
+ *      responses:
+ *        "200":
+ *          description: The Booking identified by {id} and made with business {businessId}
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: '#/components/schemas/Booking'
+ *        "404":
+ *          description: Booking identified by {id} and made with business {businessId} not found
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.get('/:id', async (req, resp, next) => {
+    const businessId = req.params.businessId;
+    const id = req.params.id;
+
+    try {
+        const bookings = await db('bookings').where({id, businessId});
+
+        if (bookings && bookings.length) {
+            resp.status(200).json(presentedBooking(bookings[0], await actingUser(req)));
+        } else {
+            resp.status(404).send(`The specified business/booking combination does not exist`);
+        }
+    } catch (err) {
+        console.error(`Error while retrieving bookings for businessId ${businessId}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+/**
+ * @swagger
+ * path:
+ *  /businesses/{businessId}/bookings:
+ *    post:
+ *      summary: Book one of the available slots of the {businessId} business
+ *      tags: [Bookings]
+ *      parameters:
+ *        - in: path
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the business
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: The id of the User making the Booking, who may then reschedule or cancel it.  Bookings may be made anonymously, but only the business (or an admin) may then change them
+ *      requestBody:
+ *        description: A sparse Booking object (i.e. only the startsAt and customerName must be specified, while the serviceId, customerEmail and notes are optional.  All other attributes are ignored if specified)
+ *        required: true
+ *        content:
+ *          application/json:
+ *            schema:
+ *              $ref: '#/components/schemas/Booking'
+ *      responses:
+ *        "200":
+ *          description: The slot has been booked
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: '#/components/schemas/Booking'
+ *        "400":
+ *          description: Bad Request - the startsAt or customerName is missing or invalid, the Service is not offered by the business, or startsAt is not the start of one of the business' upcoming slots
+ *        "404":
+ *          description: business identified by {businessId} not found
+ *        "409":
+ *          description: Conflict - the slot overlaps another of the business' Bookings (even if only just made, by a concurrent request)
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.post('/', async (req, resp, next) => {
+    const businessId = req.params.businessId;
+
+    const startsAt = parseInstant(req.body.startsAt);
+    if (!startsAt) {
+        resp.status(400).send(`Booking startsAt must be specified as an ISO 8601 timestamp with a UTC offset (e.g. 2026-10-19T15:30:00Z)`);
+        return;
+    }
+    if (typeof req.body.customerName !== 'string' || !req.body.customerName.trim()) {
+        resp.status(400).send(`Booking customerName must be specified`);
+        return;
+    }
+
+    try {
+        const user = await actingUser(req);
+        const resolved = await resolveSlot(businessId, req.body.serviceId, startsAt);
+        if (resolved.error) {
+            resp.status(resolved.status).send(resolved.error);
+            return;
+        }
+
+        const booking = {
+            id: uuid.v4(),
+            businessId,
+            serviceId: req.body.serviceId,
+            startsAt: resolved.slot.startsAt,
+            endsAt: resolved.slot.endsAt,
+            status: 'confirmed',
+            userId: user ? user.id : null,
+            customerName: req.body.customerName.trim(),
+            customerEmail: req.body.customerEmail,
+            notes: req.body.notes
+        };
+        const written = await writeBooking(booking, (trx) => db('bookings').insert(booking).transacting(trx));
+        if (!written) {
+            resp.status(409).send(alreadyBooked(resolved.slot));
+            return;
+        }
+
+        resp.status(200).json((await db('bookings').where({id: booking.id}))[0]);
+    } catch (err) {
+        console.error(`Error while adding booking for businessId ${businessId} ${JSON.stringify(err)}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+/**
+ * @swagger
+ * path:
+ *  /businesses/{businessId}/bookings/{id}:
+ *    put:
+ *      summary: Reschedule the unique Booking identified by {id} and made with {businessId} to another of the business' available slots
+ *      tags: [Bookings]
+ *      parameters:
+ *        - in: path
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the business
+ *        - in: path
+ *          name: id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the Booking
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The id of the User who made the Booking or acts on behalf of the business (or an admin), who alone may reschedule it
+ *      requestBody:
+ *        description: A sparse Booking object (i.e. only the startsAt must be specified, while the serviceId may optionally be changed as well.  All other attributes are ignored if specified)
+ *        required: true
+ *        content:
+ *          application/json:
+ *            schema:
+ *              $ref: '#/components/schemas/Booking'
+ *      responses:
+ *        "200":
+ *          description: The Booking has been successfully rescheduled
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: '#/components/schemas/Booking'
+ *        "400":
+ *          description: Bad Request - the startsAt is missing or invalid, the Service is not offered by the business, startsAt is not the start of one of the business' upcoming slots, or the Booking has been cancelled or has already started
+ *        "401":
+ *          description: Unauthorized - no User has been identified by the X-User-Id header
+ *        "403":
+ *          description: Forbidden - the User neither made the Booking nor may act on behalf of the business
+ *        "404":
+ *          description: Booking identified by {id} and made with business {businessId} not found
+ *        "409":
+ *          description: Conflict - the slot overlaps another of the business' Bookings (even if only just made, by a concurrent request)
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.put('/:id', async (req, resp, next) => {
+    const businessId = req.params.businessId;
+    const id = req.params.id;
+
+    const startsAt = parseInstant(req.body.startsAt);
+    if (!startsAt) {
+        resp.status(400).send(`Booking startsAt must be specified as an ISO 8601 timestamp with a UTC offset (e.g. 2026-10-19T15:30:00Z)`);
+        return;
+    }
+
+    try {
+        const user = await actingUser(req);
+        if (!user) {
+            resp.status(401).send(`The User must be identified by the X-User-Id header`);
+            return;
+        }
+
+        const existing = await db('bookings').where({id, businessId});
+        if (!existing.length) {
+            resp.status(404).send(`The specified business/booking combination does not exist`);
+            return;
+        }
+        if (!mayChangeBooking(user, existing[0])) {
+            resp.status(403).send(`Only the User who made the Booking, the business or an admin may reschedule it`);
+            return;
+        }
+        if (existing[0].status !== 'confirmed') {
+            resp.status(400).send(`The Booking has been cancelled, so it can not be rescheduled`);
+            return;
+        }
+        if (existing[0].startsAt <= new Date().toISOString()) {
+            resp.status(400).send(`The Booking has already started, so it can not be rescheduled`);
+            return;
+        }
+
+        const serviceId = req.body.serviceId !== undefined ? req.body.serviceId : existing[0].serviceId;
+        const resolved = await resolveSlot(businessId, serviceId, startsAt);
+        if (resolved.error) {
+            resp.status(resolved.status).send(resolved.error);
+            return;
+        }
+
+        const rescheduled = {serviceId, startsAt: resolved.slot.startsAt, endsAt: resolved.slot.endsAt, 'updated_at': db.fn.now()};
+        // the Booking may of course be rescheduled to a slot overlapping the one it currently occupies
+        const written = await writeBooking(Object.assign({}, existing[0], rescheduled),
+            (trx) => db('bookings').update(rescheduled).where({id, businessId}).transacting(trx));
+        if (!written) {
+            resp.status(409).send(alreadyBooked(resolved.slot));
+            return;
+        }
+
+        resp.status(200).json((await db('bookings').where({id}))[0]);
+    } catch (err) {
+        console.error(`Error while rescheduling booking for businessId ${businessId} ${JSON.stringify(err)}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+/**
+ * @swagger
+ * path:
+ *  /businesses/{businessId}/bookings/{id}:
+ *    delete:
+ *      summary: Cancel the unique Booking identified by {id} and made with {businessId}, freeing up its slot
+ *      tags: [Bookings]
+ *      parameters:
+ *        - in: path
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the business
+ *        - in: path
+ *          name: id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the Booking
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The id of the User who made the Booking or acts on behalf of the business (or an admin), who alone may cancel it
+ *      responses:
+ *        "200":
+ *          description: The Booking has been cancelled (it is kept, with a cancelled status, for the business' records).  Cancelling a cancelled Booking has no further effect.
+ *        "400":
+ *          description: Bad Request - the Booking has already started
+ *        "401":
+ *          description: Unauthorized - no User has been identified by the X-User-Id header
+ *        "403":
+ *          description: Forbidden - the User neither made the Booking nor may act on behalf of the business
+ *        "404":
+ *          description: Booking identified by {id} and made with business {businessId} not found
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.delete('/:id', async (req, resp, next) => {
+    const businessId = req.params.businessId;
+    const id = req.params.id;
+
+    try {
+        const user = await actingUser(req);
+        if (!user) {
+            resp.status(401).send(`The User must be identified by the X-User-Id header`);
+            return;
+        }
+
+        const existing = await db('bookings').where({id, businessId});
+        if (!existing.length) {
+            resp.status(404).send(`The specified business/booking combination does not exist`);
+            return;
+        }
+        if (!mayChangeBooking(user, existing[0])) {
+            resp.status(403).send(`Only the User who made the Booking, the business or an admin may cancel it`);
+            return;
+        }
+        if (existing[0].status === 'confirmed' && existing[0].startsAt <= new Date().toISOString()) {
+            resp.status(400).send(`The Booking has already started, so it can not be cancelled`);
+            return;
+        }
+
+        await db('bookings')
+            .update({status: 'cancelled', 'updated_at': db.fn.now()})
+            .where({id, businessId, status: 'confirmed'});
+
+        resp.status(200).end();
+    } catch (err) {
+        console.error(`Error while cancelling booking for businessId ${businessId} ${JSON.stringify(err)}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+module.exports = router;
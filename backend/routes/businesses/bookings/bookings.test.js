@@ -0,0 +1,370 @@
+'use strict';
+
+const db = require('../../../db')
+const bookings = require('./bookings');
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+
+const app = express();
+
+app.use(bodyParser.json());
+app.use('/businesses/:businessId/bookings', bookings);
+
+let testBusiness;
+let testService;
+let office;
+
+const resetDb = async (done) => {
+    // We want to have a known starting point before each test, so we clear out any previous data and begin with
+    // a known initial set of seed data
+    await db.migrate.latest();
+    await db.table('businesses').del();
+    await db.seed.run();
+
+    // As the ids are dynamically determined and assigned, we cannot rely upon pre-determined values to
+    // identify a business.  However, the booking based operations are all relative to a known business id.  Therefore,
+    // for testing purposes, we will arbitrarily choose one of the initial seed data businesses (open Monday through
+    // Friday from 09:00 to 17:00 in Denver) to fulfill this need and enable proper testing.
+    const businesses = await db('businesses').orderBy('name');
+    testBusiness = businesses[0];
+
+    // Likewise, we will arbitrarily choose one of its services to be booked in 90 minute slots
+    const services = await db('services').where({businessId: testBusiness.id}).orderBy('name');
+    testService = services[0];
+    await db('services').update({slotMinutes: 90}).where({id: testService.id});
+
+    // Likewise, a User acting on behalf of the business, who alone may see the homeowners' contact details and notes
+    office = {
+        id: 'office', displayName: 'Sample Business #1 Office', email: 'office@samplebusiness1.example', businessId: testBusiness.id
+    };
+    await db('users').insert(office);
+
+    done();
+}
+
+beforeAll(() => {
+    process.env.NODE_ENV = 'test';
+});
+
+beforeEach(async (done) => {
+    await resetDb(done);
+});
+
+/*
+ The bookings are all made well into the future so that their slots have not begun no matter when this is run.
+ 2099-11-02 is a Monday, on which Denver keeps Mountain Standard Time (i.e. 09:00 there is 16:00 UTC).
+ */
+const MONDAY = '2099-11-02';
+const MONDAY_AT_10 = '2099-11-02T17:00:00.000Z';
+
+const book = (startsAt, extra = {}) => request(app).post(`/businesses/${testBusiness.id}/bookings`)
+    .send(Object.assign({startsAt, customerName: 'Pat Homeowner', customerEmail: 'pat@example.com'}, extra));
+
+test('GET /businesses/<testBusiness.id>/bookings/availability lays out the slots of each service over its hours', async (done) => {
+    await request(app).get(`/businesses/${testBusiness.id}/bookings/availability?from=${MONDAY}`)
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.timeZone).toEqual('America/Denver');
+            expect(res.body.slotMinutes).toEqual(60);
+            expect(res.body.slots.map((slot) => slot.time))
+                .toEqual(['09:00', '10:00', '11:00', '12:00', '13:00', '14:00', '15:00', '16:00']);
+            expect(res.body.slots[0]).toEqual({
+                date: MONDAY, time: '09:00', startsAt: '2099-11-02T16:00:00.000Z', endsAt: '2099-11-02T17:00:00.000Z'
+            });
+        });
+    await request(app).get(`/businesses/${testBusiness.id}/bookings/availability?from=${MONDAY}&to=2099-11-08&serviceId=${testService.id}`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.slotMinutes).toEqual(90);
+            // Monday through Friday, but not the weekend
+            expect(res.body.slots.length).toEqual(5 * 5);
+            expect(res.body.slots.filter((slot) => slot.date === MONDAY).map((slot) => slot.time))
+                .toEqual(['09:00', '10:30', '12:00', '13:30', '15:00']);
+            expect(res.body.slots.filter((slot) => slot.date > '2099-11-06')).toEqual([]);
+            done();
+        });
+});
+
+test('GET /businesses/<testBusiness.id>/bookings/availability includes the overnight hours of the day before', async (done) => {
+    await db('hours').insert({id: 'overnight', businessId: testBusiness.id, dayOfWeek: 0, open: 22 * 60, close: 2 * 60});
+
+    await request(app).get(`/businesses/${testBusiness.id}/bookings/availability?from=${MONDAY}`)
+        .expect(200)
+        .expect((res) => {
+            // Sunday's slots before midnight are not on Monday, while those after it are
+            expect(res.body.slots.map((slot) => `${slot.date} ${slot.time}`).slice(0, 3))
+                .toEqual([`${MONDAY} 00:00`, `${MONDAY} 01:00`, `${MONDAY} 09:00`]);
+        });
+    await book('2099-11-02T08:00:00Z').expect(200);     // Monday at 01:00 in Denver
+    done();
+});
+
+test('POST /businesses/<testBusiness.id>/bookings to book an available slot', async (done) => {
+    const res = await book(MONDAY_AT_10, {notes: 'Gate code 1234'})
+        .expect('Content-Type', /json/)
+        .expect(200);
+    expect(res.body).toEqual(expect.objectContaining({
+        businessId: testBusiness.id,
+        startsAt: MONDAY_AT_10,
+        endsAt: '2099-11-02T18:00:00.000Z',
+        status: 'confirmed',
+        customerName: 'Pat Homeowner',
+        notes: 'Gate code 1234'
+    }));
+
+    await request(app).get(`/businesses/${testBusiness.id}/bookings/${res.body.id}`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.startsAt).toEqual(MONDAY_AT_10);
+        });
+    // the slot is no longer available, nor are the slots of the 90 minute service that overlap it
+    await request(app).get(`/businesses/${testBusiness.id}/bookings/availability?from=${MONDAY}`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.slots.map((slot) => slot.time))
+                .toEqual(['09:00', '11:00', '12:00', '13:00', '14:00', '15:00', '16:00']);
+        });
+    await request(app).get(`/businesses/${testBusiness.id}/bookings/availability?from=${MONDAY}&serviceId=${testService.id}`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.slots.map((slot) => slot.time)).toEqual(['12:00', '13:30', '15:00']);
+            done();
+        });
+});
+
+test('GET /businesses/<testBusiness.id>/bookings presents the homeowners\' contact details and notes to the business alone', async (done) => {
+    const booked = await book(MONDAY_AT_10, {notes: 'Gate code 1234'}).expect(200);
+    const reviewer = (await db('users').whereNull('businessId').where({admin: false}))[0];
+
+    for (const userId of [undefined, reviewer.id, 'unknown']) {
+        const listed = await request(app).get(`/businesses/${testBusiness.id}/bookings`)
+            .set(userId ? {'X-User-Id': userId} : {})
+            .expect(200);
+        expect(listed.body.length).toEqual(1);
+        expect(listed.body[0]).toEqual(expect.objectContaining({startsAt: MONDAY_AT_10, status: 'confirmed'}));
+        expect(listed.body[0]).not.toHaveProperty('id');
+        expect(listed.body[0]).not.toHaveProperty('customerName');
+        expect(listed.body[0]).not.toHaveProperty('customerEmail');
+        expect(listed.body[0]).not.toHaveProperty('notes');
+
+        const one = await request(app).get(`/businesses/${testBusiness.id}/bookings/${booked.body.id}`)
+            .set(userId ? {'X-User-Id': userId} : {})
+            .expect(200);
+        expect(one.body).not.toHaveProperty('customerEmail');
+        expect(one.body).not.toHaveProperty('notes');
+    }
+
+    const admin = (await db('users').where({admin: true}))[0];
+    for (const userId of [office.id, admin.id]) {
+        await request(app).get(`/businesses/${testBusiness.id}/bookings`)
+            .set('X-User-Id', userId)
+            .expect(200)
+            .expect((res) => {
+                expect(res.body[0]).toEqual(expect.objectContaining({
+                    id: booked.body.id, customerName: 'Pat Homeowner', customerEmail: 'pat@example.com', notes: 'Gate code 1234'
+                }));
+            });
+    }
+    done();
+});
+
+test('POST /businesses/<testBusiness.id>/bookings to double book a slot - Should be rejected', async (done) => {
+    await book(MONDAY_AT_10).expect(200);
+    await book(MONDAY_AT_10).expect(409);
+    // the business attends to one booking at a time, whatever the service, so the 09:00 - 10:30 slot of the 90 minute
+    // service overlapping the 10:00 - 11:00 booking may not be booked, nor may the 13:00 - 14:00 slot overlapping its
+    // 12:00 - 13:30 one
+    await book('2099-11-02T09:00:00-07:00', {serviceId: testService.id}).expect(409);
+    await book('2099-11-02T12:00:00-07:00', {serviceId: testService.id}).expect(200);
+    await book('2099-11-02T13:00:00-07:00').expect(409);
+
+    // concurrent requests for the same slot book it just the once
+    const statuses = (await Promise.all([1, 2, 3, 4, 5].map(() => book('2099-11-02T22:00:00Z')))).map((res) => res.status);
+    expect(statuses.sort()).toEqual([200, 409, 409, 409, 409]);
+
+    // nor can an overlapping booking be written directly, bypassing the API
+    await expect(db('bookings').insert({
+        id: 'overlapping', businessId: testBusiness.id, startsAt: '2099-11-02T17:30:00.000Z',
+        endsAt: '2099-11-02T18:30:00.000Z', customerName: 'Sneaky'
+    })).rejects.toThrow(/overlaps another Booking/);
+    await expect(db('bookings').insert({
+        id: 'overlapping', businessId: testBusiness.id, serviceId: testService.id, startsAt: '2099-11-02T17:00:00.000Z',
+        endsAt: '2099-11-02T18:30:00.000Z', customerName: 'Sneaky'
+    })).rejects.toThrow(/overlaps another Booking/);
+
+    const confirmed = await db('bookings').where({businessId: testBusiness.id, status: 'confirmed'});
+    expect(confirmed.length).toEqual(3);
+    done();
+});
+
+test('POST /businesses/<testBusiness.id>/bookings with invalid bookings - Should be rejected', async (done) => {
+    await book('2099-11-02T17:30:00Z').expect(400);         // not the start of a slot
+    await book('2099-11-07T17:00:00Z').expect(400);         // a Saturday, on which the business is closed
+    await book('2000-01-03T17:00:00Z').expect(400);         // long past
+    await book('2099-11-02T10:00:00').expect(400);          // no UTC offset
+    await book(MONDAY_AT_10, {customerName: ' '}).expect(400);
+    await book(MONDAY_AT_10, {serviceId: 'unknown'}).expect(400);
+    await request(app).post(`/businesses/unknown/bookings`)
+        .send({startsAt: MONDAY_AT_10, customerName: 'Pat Homeowner'})
+        .expect(404);
+
+    await request(app).get(`/businesses/${testBusiness.id}/bookings/availability`).expect(400);
+    await request(app).get(`/businesses/${testBusiness.id}/bookings/availability?from=${MONDAY}&to=2099-11-01`).expect(400);
+    await request(app).get(`/businesses/${testBusiness.id}/bookings/availability?from=${MONDAY}&to=2099-12-31`).expect(400);
+    await request(app).get(`/businesses/unknown/bookings/availability?from=${MONDAY}`).expect(404);
+
+    expect(await db('bookings').where({businessId: testBusiness.id})).toEqual([]);
+    done();
+});
+
+test('PUT /businesses/<testBusiness.id>/bookings/<id> to reschedule a booking', async (done) => {
+    const first = await book(MONDAY_AT_10).expect(200);
+    const second = await book('2099-11-02T19:00:00Z', {serviceId: testService.id}).expect(200);
+
+    // a booking may move to an overlapping slot of its own, but not onto another booking (whatever its service)
+    await request(app).put(`/businesses/${testBusiness.id}/bookings/${first.body.id}`)
+        .set('X-User-Id', office.id)
+        .send({startsAt: '2099-11-02T16:30:00Z', serviceId: testService.id})
+        .expect(400);   // not the start of a 90 minute slot
+    await request(app).put(`/businesses/${testBusiness.id}/bookings/${first.body.id}`)
+        .set('X-User-Id', office.id)
+        .send({startsAt: '2099-11-02T16:00:00Z', serviceId: testService.id})
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.startsAt).toEqual('2099-11-02T16:00:00.000Z');
+            expect(res.body.endsAt).toEqual('2099-11-02T17:30:00.000Z');
+            expect(res.body.serviceId).toEqual(testService.id);
+        });
+    await request(app).put(`/businesses/${testBusiness.id}/bookings/${first.body.id}`)
+        .set('X-User-Id', office.id)
+        .send({startsAt: '2099-11-02T12:00:00-07:00'})
+        .expect(409);
+    await request(app).put(`/businesses/${testBusiness.id}/bookings/unknown`)
+        .set('X-User-Id', office.id)
+        .send({startsAt: '2099-11-03T16:00:00Z'})
+        .expect(404);
+
+    await request(app).get(`/businesses/${testBusiness.id}/bookings?from=${MONDAY}&to=${MONDAY}`)
+        .set('X-User-Id', office.id)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.map((booking) => [booking.id, booking.startsAt])).toEqual([
+                [first.body.id, '2099-11-02T16:00:00.000Z'],
+                [second.body.id, '2099-11-02T19:00:00.000Z']
+            ]);
+            done();
+        });
+});
+
+test('DEL /businesses/<testBusiness.id>/bookings/<id> to cancel a booking', async (done) => {
+    const booked = await book(MONDAY_AT_10).expect(200);
+
+    await request(app).del(`/businesses/${testBusiness.id}/bookings/${booked.body.id}`)
+        .set('X-User-Id', office.id)
+        .expect(200);
+    // cancelling it again changes nothing
+    await request(app).del(`/businesses/${testBusiness.id}/bookings/${booked.body.id}`)
+        .set('X-User-Id', office.id)
+        .expect(200);
+    await request(app).get(`/businesses/${testBusiness.id}/bookings/${booked.body.id}`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.status).toEqual('cancelled');
+        });
+    await request(app).put(`/businesses/${testBusiness.id}/bookings/${booked.body.id}`)
+        .set('X-User-Id', office.id)
+        .send({startsAt: '2099-11-03T16:00:00Z'})
+        .expect(400);
+
+    // its slot is free to be booked again
+    await book(MONDAY_AT_10).expect(200);
+    await request(app).get(`/businesses/${testBusiness.id}/bookings?status=cancelled`)
+        .set('X-User-Id', office.id)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.map((booking) => booking.id)).toEqual([booked.body.id]);
+        });
+    await request(app).del(`/businesses/${testBusiness.id}/bookings/unknown`)
+        .set('X-User-Id', office.id)
+        .expect(404);
+    done();
+});
+
+test('PUT and DEL /businesses/<testBusiness.id>/bookings/<id> of an anonymous booking on behalf of anyone but the business - Should be rejected', async (done) => {
+    const booked = await book(MONDAY_AT_10).expect(200);
+    const reviewer = (await db('users').whereNull('businessId').where({admin: false}))[0];
+
+    await request(app).put(`/businesses/${testBusiness.id}/bookings/${booked.body.id}`)
+        .send({startsAt: '2099-11-03T16:00:00Z'})
+        .expect(401);
+    await request(app).del(`/businesses/${testBusiness.id}/bookings/${booked.body.id}`)
+        .expect(401);
+    await request(app).put(`/businesses/${testBusiness.id}/bookings/${booked.body.id}`)
+        .set('X-User-Id', reviewer.id)
+        .send({startsAt: '2099-11-03T16:00:00Z'})
+        .expect(403);
+    await request(app).del(`/businesses/${testBusiness.id}/bookings/${booked.body.id}`)
+        .set('X-User-Id', reviewer.id)
+        .expect(403);
+
+    const unchanged = await db('bookings').where({id: booked.body.id});
+    expect(unchanged[0]).toEqual(expect.objectContaining({startsAt: MONDAY_AT_10, status: 'confirmed'}));
+
+    // an admin may act on behalf of any business
+    const admin = (await db('users').where({admin: true}))[0];
+    await request(app).del(`/businesses/${testBusiness.id}/bookings/${booked.body.id}`)
+        .set('X-User-Id', admin.id)
+        .expect(200);
+    done();
+});
+
+test('PUT and DEL /businesses/<testBusiness.id>/bookings/<id> on behalf of the User who made the booking', async (done) => {
+    const [homeowner, neighbour] = await db('users').whereNull('businessId').where({admin: false}).orderBy('displayName');
+    const booked = await book(MONDAY_AT_10).set('X-User-Id', homeowner.id).expect(200);
+    expect(booked.body.userId).toEqual(homeowner.id);
+
+    // the homeowner alone (besides the business) sees who made the booking and their contact details
+    await request(app).get(`/businesses/${testBusiness.id}/bookings/${booked.body.id}`)
+        .set('X-User-Id', homeowner.id)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body).toEqual(expect.objectContaining({userId: homeowner.id, customerEmail: 'pat@example.com'}));
+        });
+    await request(app).get(`/businesses/${testBusiness.id}/bookings/${booked.body.id}`)
+        .set('X-User-Id', neighbour.id)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body).not.toHaveProperty('userId');
+            expect(res.body).not.toHaveProperty('customerEmail');
+        });
+
+    await request(app).put(`/businesses/${testBusiness.id}/bookings/${booked.body.id}`)
+        .set('X-User-Id', neighbour.id)
+        .send({startsAt: '2099-11-03T16:00:00Z'})
+        .expect(403);
+    await request(app).put(`/businesses/${testBusiness.id}/bookings/${booked.body.id}`)
+        .set('X-User-Id', homeowner.id)
+        .send({startsAt: '2099-11-03T16:00:00Z'})
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.startsAt).toEqual('2099-11-03T16:00:00.000Z');
+            expect(res.body.userId).toEqual(homeowner.id);
+        });
+    await request(app).del(`/businesses/${testBusiness.id}/bookings/${booked.body.id}`)
+        .set('X-User-Id', neighbour.id)
+        .expect(403);
+    await request(app).del(`/businesses/${testBusiness.id}/bookings/${booked.body.id}`)
+        .set('X-User-Id', homeowner.id)
+        .expect(200);
+
+    // whereas nobody but the business may change a booking made anonymously
+    const anonymous = await book(MONDAY_AT_10).expect(200);
+    expect(anonymous.body.userId).toBeNull();
+    await request(app).del(`/businesses/${testBusiness.id}/bookings/${anonymous.body.id}`)
+        .set('X-User-Id', homeowner.id)
+        .expect(403);
+    done();
+});
@@ -56,292 +56,1252 @@ test('GET /businesses/<testBusiness.id> for initial seed data', async (done) =>
             expect(res.body.hours.length).toEqual(6);
             expect(res.body.services.length).toEqual(4);
             expect(res.body.reviews.length).toEqual(3);
+            expect(res.body.reviews[0].reviewer.displayName).toEqual('Jordan P.');
+            expect(res.body.reviews[0].verified).toEqual(false);
             expect(res.body.avgRating).toBeCloseTo(3.7);
             done();
         });
 });
 
+test('GET /businesses/<testBusiness.id>?include=hours,services for initial seed data', async (done) => {
+    await request(app).get(`/businesses/${testBusiness.id}?include=hours,services`)
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.name).toEqual(testBusiness.name);
+            expect(res.body.hours.length).toEqual(6);
+            expect(res.body.services.length).toEqual(4);
+            expect(res.body.locations).toBeUndefined();
+            expect(res.body.reviews).toBeUndefined();
+            done();
+        });
+});
+
+test('GET /businesses/<testBusiness.id>?fields=name,avgRating for initial seed data', async (done) => {
+    await request(app).get(`/businesses/${testBusiness.id}?fields=name,avgRating`)
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(Object.keys(res.body).sort()).toEqual(['avgRating', 'id', 'name']);
+            expect(res.body.id).toEqual(testBusiness.id);
+            expect(res.body.avgRating).toBeCloseTo(3.7);
+            done();
+        });
+});
+
+test('GET /businesses/<testBusiness.id> with invalid include or fields - Should be rejected', async (done) => {
+    await request(app).get(`/businesses/${testBusiness.id}?include=owners`)
+        .expect(400);
+    await request(app).get(`/businesses/${testBusiness.id}?fields=name,secret`)
+        .expect(400);
+    done();
+});
+
 test('Search for initial seed data (no filters, default order)', async (done) => {
     await request(app).post('/businesses/search')
         .expect('Content-Type', /json/)
         .expect(200)
         .expect((res) => {
-            expect(res.body.length).toEqual(3);
-            expect(res.body[0].name).toEqual('Sample Business #1');
-            expect(res.body[0].locations.length).toEqual(7);
-            expect(res.body[0].hours.length).toEqual(5);
-            expect(res.body[0].services.length).toEqual(3);
-            expect(res.body[0].reviews.length).toEqual(3);
-            expect(res.body[1].name).toEqual('Sample Business #2');
-            expect(res.body[1].locations.length).toEqual(6);
-            expect(res.body[1].hours.length).toEqual(6);
-            expect(res.body[1].services.length).toEqual(4);
-            expect(res.body[1].reviews.length).toEqual(3);
-            expect(res.body[2].name).toEqual('Sample Business #3');
-            expect(res.body[2].locations.length).toEqual(5);
-            expect(res.body[2].hours.length).toEqual(6);
-            expect(res.body[2].services.length).toEqual(2);
-            expect(res.body[2].reviews.length).toEqual(1);
+            expect(res.body.businesses.length).toEqual(3);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #1');
+            expect(res.body.businesses[0].locations.length).toEqual(7);
+            expect(res.body.businesses[0].hours.length).toEqual(5);
+            expect(res.body.businesses[0].services.length).toEqual(3);
+            expect(res.body.businesses[0].reviews.length).toEqual(3);
+            expect(res.body.businesses[1].name).toEqual('Sample Business #2');
+            expect(res.body.businesses[1].locations.length).toEqual(6);
+            expect(res.body.businesses[1].hours.length).toEqual(6);
+            expect(res.body.businesses[1].services.length).toEqual(4);
+            expect(res.body.businesses[1].reviews.length).toEqual(3);
+            expect(res.body.businesses[2].name).toEqual('Sample Business #3');
+            expect(res.body.businesses[2].locations.length).toEqual(5);
+            expect(res.body.businesses[2].hours.length).toEqual(6);
+            expect(res.body.businesses[2].services.length).toEqual(2);
+            expect(res.body.businesses[2].reviews.length).toEqual(1);
+            done();
+        });
+});
+
+test('Search for initial seed data (no filters, desc name sort order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            sortDirection: 'desc'
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.length).toEqual(3);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #3');
+            expect(res.body.businesses[0].locations.length).toEqual(5);
+            expect(res.body.businesses[0].hours.length).toEqual(6);
+            expect(res.body.businesses[0].services.length).toEqual(2);
+            expect(res.body.businesses[0].reviews.length).toEqual(1);
+            expect(res.body.businesses[1].name).toEqual('Sample Business #2');
+            expect(res.body.businesses[1].locations.length).toEqual(6);
+            expect(res.body.businesses[1].hours.length).toEqual(6);
+            expect(res.body.businesses[1].services.length).toEqual(4);
+            expect(res.body.businesses[1].reviews.length).toEqual(3);
+            expect(res.body.businesses[2].name).toEqual('Sample Business #1');
+            expect(res.body.businesses[2].locations.length).toEqual(7);
+            expect(res.body.businesses[2].hours.length).toEqual(5);
+            expect(res.body.businesses[2].services.length).toEqual(3);
+            expect(res.body.businesses[2].reviews.length).toEqual(3);
+            done();
+        });
+});
+
+test('Search for initial seed data (no filters, asc rating sort order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            sortBy: 'rating',
+            sortDirection: 'asc'
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.length).toEqual(3);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #2');
+            expect(res.body.businesses[0].locations.length).toEqual(6);
+            expect(res.body.businesses[0].hours.length).toEqual(6);
+            expect(res.body.businesses[0].services.length).toEqual(4);
+            expect(res.body.businesses[0].reviews.length).toEqual(3);
+            expect(res.body.businesses[0].avgRating).toBeCloseTo(3.7)
+            expect(res.body.businesses[1].name).toEqual('Sample Business #1');
+            expect(res.body.businesses[1].locations.length).toEqual(7);
+            expect(res.body.businesses[1].hours.length).toEqual(5);
+            expect(res.body.businesses[1].services.length).toEqual(3);
+            expect(res.body.businesses[1].reviews.length).toEqual(3);
+            expect(res.body.businesses[1].avgRating).toBeCloseTo(4.2)
+            expect(res.body.businesses[2].name).toEqual('Sample Business #3');
+            expect(res.body.businesses[2].locations.length).toEqual(5);
+            expect(res.body.businesses[2].hours.length).toEqual(6);
+            expect(res.body.businesses[2].services.length).toEqual(2);
+            expect(res.body.businesses[2].reviews.length).toEqual(1);
+            expect(res.body.businesses[2].avgRating).toBeCloseTo(5)
+            done();
+        });
+});
+
+test('Search for initial seed data (case-insensitive name filter, default order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            name: 'bUsInESs #2'
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.length).toEqual(1);
+            expect(res.body.businesses[0].name).toEqual(testBusiness.name);
+            done();
+        });
+});
+
+test('Search for initial seed data (case-insensitive name and address attribute filter, default order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            name: 'bUsInESs',
+            city: 'Enderson'
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.length).toEqual(1);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #3');
+            expect(res.body.businesses[0].city).toEqual('Henderson');
+            done();
+        });
+});
+
+test('Search for initial seed data (case-insensitive service name filter, default order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            service: 'clean'
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.length).toEqual(2);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #1');
+            expect(res.body.businesses[0].city).toEqual('Denver');
+            expect(res.body.businesses[1].name).toEqual('Sample Business #2');
+            expect(res.body.businesses[1].city).toEqual('Denver');
+            done();
+        });
+});
+
+test('Search for initial seed data (case-insensitive service name filter, asc rating sort order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            service: 'clean',
+            sortBy: 'rating'
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.length).toEqual(2);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #2');
+            expect(res.body.businesses[0].city).toEqual('Denver');
+            expect(res.body.businesses[1].name).toEqual('Sample Business #1');
+            expect(res.body.businesses[1].city).toEqual('Denver');
+            expect(res.body.businesses[1].avgRating).toBeGreaterThanOrEqual(res.body.businesses[0].avgRating);
+            done();
+        });
+});
+
+test('Search for initial seed data (case-insensitive service name filter, desc rating sort order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            service: 'clean',
+            sortBy: 'rating',
+            sortDirection: 'desc'
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.length).toEqual(2);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #1');
+            expect(res.body.businesses[0].city).toEqual('Denver');
+            expect(res.body.businesses[1].name).toEqual('Sample Business #2');
+            expect(res.body.businesses[1].city).toEqual('Denver');
+            expect(res.body.businesses[0].avgRating).toBeGreaterThanOrEqual(res.body.businesses[1].avgRating);
+            done();
+        });
+});
+
+test('Search for initial seed data (case-insensitive service name and location name filter, default order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            service: 'clean',
+            location: 'lake'
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.length).toEqual(1);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #1');
+            expect(res.body.businesses[0].addressLine1).toEqual('1234 Fake St');
+            done();
+        });
+});
+
+test('Search for initial seed data (case-insensitive service name and hours filter, default order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            service: 'pack',
+            dayOfWeek: 6,
+            hour: 8
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.length).toEqual(1);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #3');
+            expect(res.body.businesses[0].addressLine1).toEqual('23456 5th Ave');
+            done();
+        });
+});
+
+test('Search for initial seed data (case-insensitive service name, case insensitive location name and hours filter before any open - Should not match any, default order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            service: 'pack',
+            dayOfWeek: 6,
+            hour: 8,
+            location: 'arv'
+        })
+        .expect(404);
+    done();
+});
+
+test('Search for initial seed data (case-insensitive service name, case insensitive location name and hours filter, default order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            service: 'pack',
+            dayOfWeek: 6,
+            hour: 11,
+            location: 'arv'
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.length).toEqual(1);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #2');
+            expect(res.body.businesses[0].postal).toEqual('80201');
+            done();
+        });
+});
+
+test('Search for initial seed data (hours filter by HH:MM time, default order)', async (done) => {
+    await db('hours').where({businessId: testBusiness.id, dayOfWeek: 6}).update({close: 12 * 60 + 30});
+    const open = await request(app).post('/businesses/search')
+        .send({dayOfWeek: 6, hour: '12:15', fields: ['name']})
+        .expect(200);
+    expect(open.body.businesses.map((b) => b.name)).toEqual(['Sample Business #2', 'Sample Business #3']);
+
+    // closing times are exclusive, as the Business is no longer open at that time
+    await request(app).get('/businesses?dayOfWeek=6&hour=12:30&fields=name')
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.map((b) => b.name)).toEqual(['Sample Business #3']);
+            done();
+        });
+});
+
+test('Search for initial seed data (hours filter by whole hour including closing times, default order)', async (done) => {
+    // Sample Business #1 closes at 17:00 on Monday, and a whole hour matches the Businesses closing at it
+    const closing = await request(app).post('/businesses/search')
+        .send({dayOfWeek: 1, hour: 17, fields: ['name']})
+        .expect(200);
+    expect(closing.body.businesses.map((b) => b.name)).toContain('Sample Business #1');
+    const query = await request(app).get('/businesses?dayOfWeek=1&hour=17&fields=name')
+        .expect(200);
+    expect(query.body.businesses).toEqual(closing.body.businesses);
+
+    // while a HH:MM time does not
+    await request(app).post('/businesses/search')
+        .send({dayOfWeek: 1, hour: '17:00', fields: ['name']})
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.map((b) => b.name)).not.toContain('Sample Business #1');
+            done();
+        });
+});
+
+test('Search for initial seed data (hours filter matching overnight hours across the day boundary, default order)', async (done) => {
+    const businesses = await db('businesses').orderBy('name');
+    await db('hours').insert({id: 'overnight', businessId: businesses[0].id, dayOfWeek: 5, open: 22 * 60, close: 2 * 60});
+
+    const friday = await request(app).post('/businesses/search')
+        .send({dayOfWeek: 5, hour: '23:30', fields: ['name']})
+        .expect(200);
+    expect(friday.body.businesses.map((b) => b.name)).toEqual(['Sample Business #1']);
+
+    const saturday = await request(app).post('/businesses/search')
+        .send({dayOfWeek: 6, hour: '01:59', fields: ['name'], facets: true})
+        .expect(200);
+    expect(saturday.body.businesses.map((b) => b.name)).toEqual(['Sample Business #1']);
+    // the overnight hour has Sample Business #1 open on Saturday as well
+    expect(saturday.body.facets.openDays.map((day) => day.count)).toEqual([0, 3, 3, 3, 3, 3, 3]);
+
+    await request(app).post('/businesses/search')
+        .send({dayOfWeek: 6, hour: '02:00'})
+        .expect(404);
+    done();
+});
+
+test('Search for initial seed data (hours filter by date honoring hour exceptions, default order)', async (done) => {
+    // 2026-11-19 and 2026-11-26 are Thursdays, on which all three Businesses are usually open at 10:00
+    const usual = await request(app).post('/businesses/search')
+        .send({date: '2026-11-19', hour: '10:00', fields: ['name']})
+        .expect(200);
+    expect(usual.body.businesses.length).toEqual(3);
+
+    const businesses = await db('businesses').orderBy('name');
+    await db('hour_exceptions').insert([
+        {id: 'closed', businessId: businesses[0].id, date: '2026-11-26', closed: true},
+        {id: 'short', businessId: businesses[1].id, date: '2026-11-26', closed: false, open: 11 * 60, close: 14 * 60},
+        {id: 'late', businessId: businesses[2].id, date: '2026-11-25', closed: false, open: 20 * 60, close: 11 * 60}
+    ]);
+    await request(app).get('/businesses?date=2026-11-26&hour=10:00&fields=name')
+        .expect(200)
+        .expect((res) => {
+            // only Sample Business #3 is open, by way of both its usual Thursday hours and the previous night's exception
+            expect(res.body.businesses.map((b) => b.name)).toEqual(['Sample Business #3']);
+        });
+    await request(app).post('/businesses/search')
+        .send({date: '2026-11-26', hour: '07:00', fields: ['name']})
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.map((b) => b.name)).toEqual(['Sample Business #3']);
+            done();
+        });
+});
+
+test('Search for initial seed data (invalid hours filter - Should be rejected)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({dayOfWeek: 6, hour: '12:75'})
+        .expect(400);
+    await request(app).post('/businesses/search')
+        .send({date: '2026-11-26', dayOfWeek: 4, hour: '12:00'})
+        .expect(400);
+    await request(app).post('/businesses/search')
+        .send({date: '2026-11-31', hour: '12:00'})
+        .expect(400);
+    await request(app).post('/businesses/search')
+        .send({date: '2026-11-26'})
+        .expect(400);
+    done();
+});
+
+test('Search for initial seed data (openAt filter evaluated in each Business\' own time zone, default order)', async (done) => {
+    // 2026-10-19T14:30:00Z is a Monday at 08:30 in Denver, where only Sample Business #3 has opened yet
+    const denver = await request(app).post('/businesses/search')
+        .send({openAt: '2026-10-19T14:30:00Z', fields: ['name', 'timeZone']})
+        .expect(200);
+    expect(denver.body.businesses.map((b) => b.name)).toEqual(['Sample Business #3']);
+    expect(denver.body.businesses[0].timeZone).toEqual('America/Denver');
+
+    // whereas it is already 10:30 in New York
+    const businesses = await db('businesses').orderBy('name');
+    await db('businesses').update({timeZone: 'America/New_York'}).where({id: businesses[0].id});
+    await request(app).get(`/businesses?openAt=${encodeURIComponent('2026-10-19T08:30:00-06:00')}&fields=name`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.map((b) => b.name)).toEqual(['Sample Business #1', 'Sample Business #3']);
+        });
+
+    // 2026-11-26 is a Thursday on which Sample Business #3 alone keeps its usual Hours
+    await db('hour_exceptions').insert([
+        {id: 'thanksgiving', businessId: businesses[2].id, date: '2026-11-26', closed: true}
+    ]);
+    await request(app).post('/businesses/search')
+        .send({openAt: '2026-11-26T17:00:00Z'})
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.map((b) => b.name)).toEqual(['Sample Business #1', 'Sample Business #2']);
+            done();
+        });
+});
+
+test('Search for a Business without a time zone (openAt and openNow filters evaluated in the default time zone)', async (done) => {
+    const added = await request(app).post('/businesses')
+        .send({name: 'ZZZ'})
+        .expect(200);
+    expect((await db('businesses').where({id: added.body.id}))[0].timeZone).toBeNull();
+
+    // 2026-10-19T14:30:00Z is a Monday at 08:30 in the default time zone (Denver)
+    await request(app).post('/businesses/search')
+        .send({openAt: '2026-10-19T14:30:00Z', fields: ['name']})
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.map((b) => b.name)).toEqual(['Sample Business #3']);
+        });
+
+    await db('hours').insert([0, 1, 2, 3, 4, 5, 6].map((dayOfWeek) => ({
+        id: `allDay${dayOfWeek}`, businessId: added.body.id, dayOfWeek, open: 0, close: 24 * 60, allDay: true
+    })));
+    await request(app).get(`/businesses?openAt=${encodeURIComponent('2026-10-19T14:30:00Z')}&fields=name`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.map((b) => b.name)).toEqual(['Sample Business #3', 'ZZZ']);
+        });
+    await request(app).get('/businesses?name=ZZZ&openNow=true&fields=name')
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.map((b) => b.name)).toEqual(['ZZZ']);
+            done();
+        });
+});
+
+test('Search and GET /businesses/<id> return whether each Business is open now and when it next opens', async (done) => {
+    const allDay = [0, 1, 2, 3, 4, 5, 6].map((dayOfWeek) => ({dayOfWeek, allDay: true}));
+    const open = await request(app).post('/businesses')
+        .send({name: 'ZZZ Open', postal: '80640', hours: allDay})
+        .expect(200);
+    const closed = await request(app).post('/businesses')
+        .send({name: 'ZZZ Closed', postal: '80640'})
+        .expect(200);
+
+    await request(app).get(`/businesses/${open.body.id}`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.timeZone).toEqual('America/Denver');
+            expect(res.body.isOpenNow).toBe(true);
+            expect(res.body.nextOpenAt).toBeNull();
+        });
+    await request(app).post('/businesses/search')
+        .send({name: 'ZZZ', fields: ['name', 'isOpenNow', 'nextOpenAt']})
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses).toEqual([
+                {id: closed.body.id, name: 'ZZZ Closed', isOpenNow: false, nextOpenAt: null},
+                {id: open.body.id, name: 'ZZZ Open', isOpenNow: true, nextOpenAt: null}
+            ]);
+        });
+    await request(app).get('/businesses?name=ZZZ&openNow=true&fields=name')
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.map((b) => b.name)).toEqual(['ZZZ Open']);
+        });
+
+    // a Business that is closed now opens again at the start of its next Hour
+    const seeded = await request(app).get(`/businesses/${testBusiness.id}`)
+        .expect(200);
+    expect(seeded.body.isOpenNow || Date.parse(seeded.body.nextOpenAt) > Date.now()).toBe(true);
+    done();
+});
+
+test('Search for initial seed data (invalid openNow and openAt filters - Should be rejected)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({openAt: '2026-10-19T14:30:00'})
+        .expect(400);
+    await request(app).post('/businesses/search')
+        .send({openAt: '2026-10-19T14:30:00Z', openNow: true})
+        .expect(400);
+    await request(app).post('/businesses/search')
+        .send({openNow: true, dayOfWeek: 1, hour: '10:00'})
+        .expect(400);
+    await request(app).get('/businesses?openNow=yes')
+        .expect(400);
+    done();
+});
+
+test('Search for initial seed data (case-insensitive service name filter and rating filter, default order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            service: 'clean',
+            rating: 3.7
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.length).toEqual(2);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #1');
+            expect(res.body.businesses[0].city).toEqual('Denver');
+            expect(res.body.businesses[1].name).toEqual('Sample Business #2');
+            expect(res.body.businesses[1].city).toEqual('Denver');
+            done();
+        });
+});
+
+test('Search for initial seed data (case-insensitive service name filter and rating filter, desc rating sort order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            service: 'clean',
+            rating: 3.7,
+            sortBy: 'rating',
+            sortDirection: 'desc'
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.length).toEqual(2);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #1');
+            expect(res.body.businesses[0].city).toEqual('Denver');
+            expect(res.body.businesses[1].name).toEqual('Sample Business #2');
+            expect(res.body.businesses[1].city).toEqual('Denver');
+            expect(res.body.businesses[0].avgRating).toBeGreaterThanOrEqual(res.body.businesses[1].avgRating);
+            done();
+        });
+});
+
+test('Search for initial seed data (case-insensitive service name filter and rating filter - Should not match any, default order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            service: 'clean',
+            rating: 4.3
+        })
+        .expect(404)
+        done();
+});
+
+test('Search for initial seed data (misspelled service name filter, default order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            service: 'maid servce'
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.length).toEqual(2);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #1');
+            expect(res.body.businesses[1].name).toEqual('Sample Business #2');
+            done();
+        });
+});
+
+test('Search for initial seed data (synonym service name filter, default order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            service: 'movers'
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.length).toEqual(3);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #1');
+            expect(res.body.businesses[2].name).toEqual('Sample Business #3');
+            done();
+        });
+});
+
+test('Search for initial seed data (misspelled service and synonym location name filter, default order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            service: 'pakcing',
+            location: 'Thornton'
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.length).toEqual(2);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #2');
+            expect(res.body.businesses[1].name).toEqual('Sample Business #3');
+            done();
+        });
+});
+
+test('Search for initial seed data (unrelated service name filter - Should not match any, default order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            service: 'roofing'
+        })
+        .expect(404);
+    done();
+});
+
+test('Search for initial seed data (free-text q filter, default order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            q: 'clean'
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.length).toEqual(2);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #1');
+            expect(res.body.businesses[0].relevance).toBeGreaterThan(0);
+            expect(res.body.businesses[0].snippet).toMatch(/<mark>Clean/i);
+            expect(res.body.businesses[1].name).toEqual('Sample Business #2');
+            done();
+        });
+});
+
+test('Search for initial seed data (free-text q filter matching a review comment, default order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            q: 'broke dishes'
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.length).toEqual(1);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #2');
+            expect(res.body.businesses[0].snippet).toContain('<mark>dishes</mark>');
+            done();
+        });
+});
+
+test('Search for initial seed data (free-text q filter, relevance sort order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            q: 'moving',
+            sortBy: 'relevance'
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.length).toEqual(3);
+            expect(res.body.businesses[0].relevance).toBeGreaterThanOrEqual(res.body.businesses[1].relevance);
+            expect(res.body.businesses[1].relevance).toBeGreaterThanOrEqual(res.body.businesses[2].relevance);
+            done();
+        });
+});
+
+test('Search for initial seed data (free-text q filter kept in sync with changes, default order)', async (done) => {
+    await db('reviews').insert({id: 'new-review', businessId: testBusiness.id, status: 'approved', rating: 5, comment: 'Fantastic crew'});
+    await request(app).post('/businesses/search')
+        .send({
+            q: 'fantastic'
+        })
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.length).toEqual(1);
+            expect(res.body.businesses[0].id).toEqual(testBusiness.id);
+        });
+
+    await db('reviews').del().where({id: 'new-review'});
+    await db('businesses').update({name: 'Fantastic Movers'}).where({id: testBusiness.id});
+    await request(app).post('/businesses/search')
+        .send({
+            q: 'fantastic'
+        })
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.length).toEqual(1);
+            expect(res.body.businesses[0].snippet).toEqual('<mark>Fantastic</mark> Movers');
+        });
+
+    await db('businesses').del().where({id: testBusiness.id});
+    await request(app).post('/businesses/search')
+        .send({
+            q: 'fantastic'
+        })
+        .expect(404);
+    done();
+});
+
+test('Search for initial seed data (invalid q filter and relevance sort - Should be rejected)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            q: '!!!'
+        })
+        .expect(400);
+    await request(app).post('/businesses/search')
+        .send({
+            sortBy: 'relevance'
+        })
+        .expect(400);
+    done();
+});
+
+test('Search for initial seed data (sparse fields with included reviews, default order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            fields: ['name', 'avgRating'],
+            include: ['reviews']
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.length).toEqual(3);
+            expect(Object.keys(res.body.businesses[0]).sort()).toEqual(['avgRating', 'id', 'name', 'reviews']);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #1');
+            expect(res.body.businesses[0].reviews.length).toEqual(3);
+            expect(res.body.businesses[2].avgRating).toBeCloseTo(5);
             done();
         });
 });
 
-test('Search for initial seed data (no filters, desc name sort order)', async (done) => {
+test('Search for initial seed data (paging forward and back via cursors, default order)', async (done) => {
+    const page1 = await request(app).post('/businesses/search')
+        .send({
+            limit: 2,
+            includeTotal: true
+        })
+        .expect('Content-Type', /json/)
+        .expect(200);
+    expect(page1.body.businesses.length).toEqual(2);
+    expect(page1.body.businesses[0].name).toEqual('Sample Business #1');
+    expect(page1.body.businesses[1].name).toEqual('Sample Business #2');
+    expect(page1.body.totalCount).toEqual(3);
+    expect(page1.body.prevCursor).toBeNull();
+    expect(page1.body.nextCursor).toBeTruthy();
+
+    const page2 = await request(app).post('/businesses/search')
+        .send({
+            limit: 2,
+            cursor: page1.body.nextCursor
+        })
+        .expect('Content-Type', /json/)
+        .expect(200);
+    expect(page2.body.businesses.length).toEqual(1);
+    expect(page2.body.businesses[0].name).toEqual('Sample Business #3');
+    expect(page2.body.businesses[0].locations.length).toEqual(5);
+    expect(page2.body.totalCount).toBeUndefined();
+    expect(page2.body.nextCursor).toBeNull();
+    expect(page2.body.prevCursor).toBeTruthy();
+
     await request(app).post('/businesses/search')
         .send({
-            sortDirection: 'desc'
+            limit: 2,
+            cursor: page2.body.prevCursor
         })
         .expect('Content-Type', /json/)
         .expect(200)
         .expect((res) => {
-            expect(res.body.length).toEqual(3);
-            expect(res.body[0].name).toEqual('Sample Business #3');
-            expect(res.body[0].locations.length).toEqual(5);
-            expect(res.body[0].hours.length).toEqual(6);
-            expect(res.body[0].services.length).toEqual(2);
-            expect(res.body[0].reviews.length).toEqual(1);
-            expect(res.body[1].name).toEqual('Sample Business #2');
-            expect(res.body[1].locations.length).toEqual(6);
-            expect(res.body[1].hours.length).toEqual(6);
-            expect(res.body[1].services.length).toEqual(4);
-            expect(res.body[1].reviews.length).toEqual(3);
-            expect(res.body[2].name).toEqual('Sample Business #1');
-            expect(res.body[2].locations.length).toEqual(7);
-            expect(res.body[2].hours.length).toEqual(5);
-            expect(res.body[2].services.length).toEqual(3);
-            expect(res.body[2].reviews.length).toEqual(3);
+            expect(res.body.businesses.length).toEqual(2);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #1');
+            expect(res.body.businesses[1].name).toEqual('Sample Business #2');
+            expect(res.body.prevCursor).toBeNull();
+            expect(res.body.nextCursor).toBeTruthy();
             done();
         });
 });
 
-test('Search for initial seed data (no filters, asc rating sort order)', async (done) => {
+test('Search for initial seed data (paging one at a time via cursors, desc rating sort order)', async (done) => {
+    const names = [];
+    let cursor;
+    do {
+        const res = await request(app).post('/businesses/search')
+            .send({
+                sortBy: 'rating',
+                sortDirection: 'desc',
+                limit: 1,
+                cursor
+            })
+            .expect('Content-Type', /json/)
+            .expect(200);
+        expect(res.body.businesses.length).toEqual(1);
+        names.push(res.body.businesses[0].name);
+        cursor = res.body.nextCursor;
+    } while (cursor);
+
+    expect(names).toEqual(['Sample Business #3', 'Sample Business #1', 'Sample Business #2']);
+    done();
+});
+
+test('Search for initial seed data (paging via cursor remains stable as Businesses are added, default order)', async (done) => {
+    const page1 = await request(app).post('/businesses/search')
+        .send({
+            limit: 2
+        })
+        .expect(200);
+
+    // This new Business sorts within the page that has already been retrieved and should not shift the next page
+    await db('businesses').insert({id: 'new-business', name: 'Sample Business #1a'});
+
     await request(app).post('/businesses/search')
         .send({
-            sortBy: 'rating',
-            sortDirection: 'asc'
+            limit: 2,
+            cursor: page1.body.nextCursor
         })
         .expect('Content-Type', /json/)
         .expect(200)
         .expect((res) => {
-            expect(res.body.length).toEqual(3);
-            expect(res.body[0].name).toEqual('Sample Business #2');
-            expect(res.body[0].locations.length).toEqual(6);
-            expect(res.body[0].hours.length).toEqual(6);
-            expect(res.body[0].services.length).toEqual(4);
-            expect(res.body[0].reviews.length).toEqual(3);
-            expect(res.body[0].avgRating).toBeCloseTo(3.7)
-            expect(res.body[1].name).toEqual('Sample Business #1');
-            expect(res.body[1].locations.length).toEqual(7);
-            expect(res.body[1].hours.length).toEqual(5);
-            expect(res.body[1].services.length).toEqual(3);
-            expect(res.body[1].reviews.length).toEqual(3);
-            expect(res.body[1].avgRating).toBeCloseTo(4.2)
-            expect(res.body[2].name).toEqual('Sample Business #3');
-            expect(res.body[2].locations.length).toEqual(5);
-            expect(res.body[2].hours.length).toEqual(6);
-            expect(res.body[2].services.length).toEqual(2);
-            expect(res.body[2].reviews.length).toEqual(1);
-            expect(res.body[2].avgRating).toBeCloseTo(5)
+            expect(res.body.businesses.length).toEqual(1);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #3');
             done();
         });
 });
 
-test('Search for initial seed data (case-insensitive name filter, default order)', async (done) => {
+test('Search for initial seed data (paging via cursor beyond the end of the results, default order)', async (done) => {
+    const page1 = await request(app).post('/businesses/search')
+        .send({
+            limit: 2
+        })
+        .expect(200);
+
+    // The only Business beyond the first page is removed, which leaves nothing beyond the cursor
+    await db('businesses').where({name: 'Sample Business #3'}).del();
+
     await request(app).post('/businesses/search')
         .send({
-            name: 'bUsInESs #2'
+            limit: 2,
+            cursor: page1.body.nextCursor
         })
         .expect('Content-Type', /json/)
         .expect(200)
         .expect((res) => {
-            expect(res.body.length).toEqual(1);
-            expect(res.body[0].name).toEqual(testBusiness.name);
+            expect(res.body.businesses).toEqual([]);
+            expect(res.body.nextCursor).toBeNull();
             done();
         });
 });
 
-test('Search for initial seed data (case-insensitive name and address attribute filter, default order)', async (done) => {
+test('Search for initial seed data (paging one at a time via cursors, compound reviewCount and rating sort order)', async (done) => {
+    const search = {
+        sortBy: [{field: 'reviewCount', dir: 'desc'}, {field: 'rating', dir: 'desc'}],
+        fields: ['name', 'reviewCount', 'avgRating'],
+        limit: 1
+    };
+    const names = [];
+    let page = await request(app).post('/businesses/search').send(search).expect(200);
+    expect(page.body.businesses[0].reviewCount).toEqual(3);
+    names.push(page.body.businesses[0].name);
+    while (page.body.nextCursor) {
+        page = await request(app).post('/businesses/search')
+            .send(Object.assign({}, search, {cursor: page.body.nextCursor}))
+            .expect(200);
+        names.push(page.body.businesses[0].name);
+    }
+    expect(names).toEqual(['Sample Business #1', 'Sample Business #2', 'Sample Business #3']);
+
+    // and back again, with the sort order carried by the cursor alone
     await request(app).post('/businesses/search')
-        .send({
-            name: 'bUsInESs',
-            city: 'Enderson'
-        })
-        .expect('Content-Type', /json/)
+        .send({cursor: page.body.prevCursor, fields: ['name'], limit: 2})
         .expect(200)
         .expect((res) => {
-            expect(res.body.length).toEqual(1);
-            expect(res.body[0].name).toEqual('Sample Business #3');
-            expect(res.body[0].city).toEqual('Henderson');
+            expect(res.body.businesses.map((b) => b.name)).toEqual(['Sample Business #1', 'Sample Business #2']);
             done();
         });
 });
 
-test('Search for initial seed data (case-insensitive service name filter, default order)', async (done) => {
-    await request(app).post('/businesses/search')
-        .send({
-            service: 'clean'
-        })
-        .expect('Content-Type', /json/)
+test('Search for initial seed data (newest and recentlyReviewed sort orders)', async (done) => {
+    await db('businesses').where({id: testBusiness.id}).update({created_at: '2030-01-01 00:00:00'});
+    const newest = await request(app).post('/businesses/search')
+        .send({sortBy: 'newest', fields: ['name']})
+        .expect(200);
+    expect(newest.body.businesses[0].name).toEqual('Sample Business #2');
+
+    const reviewed = await request(app).post('/businesses').send({name: 'Never Reviewed'}).expect(200);
+    await db('reviews').where({businessId: newest.body.businesses[2].id}).update({created_at: '2030-01-01 00:00:00'});
+    await request(app).get('/businesses')
+        .query({sortBy: 'recentlyReviewed', fields: 'name,lastReviewedAt'})
         .expect(200)
         .expect((res) => {
-            expect(res.body.length).toEqual(2);
-            expect(res.body[0].name).toEqual('Sample Business #1');
-            expect(res.body[0].city).toEqual('Denver');
-            expect(res.body[1].name).toEqual('Sample Business #2');
-            expect(res.body[1].city).toEqual('Denver');
+            expect(res.body.businesses[0].name).toEqual(newest.body.businesses[2].name);
+            expect(res.body.businesses[0].lastReviewedAt).toEqual('2030-01-01 00:00:00');
+            // Businesses that have yet to be reviewed come last
+            expect(res.body.businesses[3].id).toEqual(reviewed.body.id);
             done();
         });
 });
 
-test('Search for initial seed data (case-insensitive service name filter, asc rating sort order)', async (done) => {
+test('Search for initial seed data (weightedRating sort order favors well reviewed Businesses)', async (done) => {
+    await db('businesses').insert({id: 'popular', name: 'Popular Business'});
+    await db('reviews').insert(Array.from({length: 20}, (v, i) => (
+        {id: `popular-review-${i}`, businessId: 'popular', status: 'approved', rating: i < 16 ? 5 : 4})));
+
+    const single = await request(app).get('/businesses/popular?fields=avgRating,weightedRating,reviewCount')
+        .expect(200);
+    expect(single.body.avgRating).toBeCloseTo(4.8);
+    expect(single.body.reviewCount).toEqual(20);
+    expect(single.body.weightedRating).toBeLessThan(4.8);
+
     await request(app).post('/businesses/search')
-        .send({
-            service: 'clean',
-            sortBy: 'rating'
-        })
-        .expect('Content-Type', /json/)
+        .send({sortBy: 'weightedRating', fields: ['name', 'avgRating', 'weightedRating']})
         .expect(200)
         .expect((res) => {
-            expect(res.body.length).toEqual(2);
-            expect(res.body[0].name).toEqual('Sample Business #2');
-            expect(res.body[0].city).toEqual('Denver');
-            expect(res.body[1].name).toEqual('Sample Business #1');
-            expect(res.body[1].city).toEqual('Denver');
-            expect(res.body[1].avgRating).toBeGreaterThanOrEqual(res.body[0].avgRating);
+            // a single 5 star review is not enough to outrank 20 reviews averaging 4.8
+            expect(res.body.businesses.map((b) => b.name)).toEqual(
+                ['Popular Business', 'Sample Business #3', 'Sample Business #1', 'Sample Business #2']);
+            expect(res.body.businesses[1].avgRating).toBeCloseTo(5);
+            expect(res.body.businesses[1].weightedRating).toBeLessThan(single.body.weightedRating);
             done();
         });
 });
 
-test('Search for initial seed data (case-insensitive service name filter, desc rating sort order)', async (done) => {
-    await request(app).post('/businesses/search')
-        .send({
-            service: 'clean',
-            sortBy: 'rating',
-            sortDirection: 'desc'
-        })
-        .expect('Content-Type', /json/)
+test('Search for initial seed data (compound sort via query parameters)', async (done) => {
+    await request(app).get('/businesses?sortBy=reviewCount:desc,rating:asc&fields=name')
         .expect(200)
         .expect((res) => {
-            expect(res.body.length).toEqual(2);
-            expect(res.body[0].name).toEqual('Sample Business #1');
-            expect(res.body[0].city).toEqual('Denver');
-            expect(res.body[1].name).toEqual('Sample Business #2');
-            expect(res.body[1].city).toEqual('Denver');
-            expect(res.body[0].avgRating).toBeGreaterThanOrEqual(res.body[1].avgRating);
+            expect(res.body.businesses.map((b) => b.name)).toEqual(['Sample Business #2', 'Sample Business #1', 'Sample Business #3']);
             done();
         });
 });
 
-test('Search for initial seed data (case-insensitive service name and location name filter, default order)', async (done) => {
+test('Search for initial seed data (invalid compound sorts - Should be rejected)', async (done) => {
+    const invalid = [
+        [{sortBy: []}, /at least one/],
+        [{sortBy: [{field: 'rating'}, {field: 'RATING'}]}, /may only be sorted by once/],
+        [{sortBy: [{field: 'popularity'}]}, /Invalid sortBy field/],
+        [{sortBy: [{field: 'rating', dir: 'up'}]}, /Invalid sortDirection field/],
+        [{sortBy: [{field: 'rating'}], sortDirection: 'desc'}, /dir of each sortBy field/],
+        [{sortBy: [{field: 'name'}, {field: 'distance'}]}, /near search parameter must be specified/]
+    ];
+    for (const [search, message] of invalid) {
+        const res = await request(app).post('/businesses/search').send(search).expect(400);
+        expect(res.text).toMatch(message);
+    }
+    done();
+});
+
+test('Search for initial seed data (invalid paging parameters - Should be rejected)', async (done) => {
+    const page1 = await request(app).post('/businesses/search')
+        .send({
+            limit: 1
+        })
+        .expect(200);
+
     await request(app).post('/businesses/search')
         .send({
-            service: 'clean',
-            location: 'lake'
+            limit: 0
+        })
+        .expect(400);
+    await request(app).post('/businesses/search')
+        .send({
+            limit: 1000
+        })
+        .expect(400);
+    await request(app).post('/businesses/search')
+        .send({
+            cursor: 'not-a-cursor'
+        })
+        .expect(400);
+    await request(app).post('/businesses/search')
+        .send({
+            cursor: page1.body.nextCursor,
+            sortBy: 'rating'
+        })
+        .expect(400);
+    done();
+});
+
+test('Search for initial seed data (near filter by served location, default order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            near: {lat: 39.7555, lng: -105.2211, radiusMiles: 5}
         })
         .expect('Content-Type', /json/)
         .expect(200)
         .expect((res) => {
-            expect(res.body.length).toEqual(1);
-            expect(res.body[0].name).toEqual('Sample Business #1');
-            expect(res.body[0].addressLine1).toEqual('1234 Fake St');
+            expect(res.body.businesses.length).toEqual(2);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #1');
+            expect(res.body.businesses[0].distance).toBeCloseTo(0);
+            expect(res.body.businesses[1].name).toEqual('Sample Business #2');
+            expect(res.body.businesses[1].distance).toBeCloseTo(0);
             done();
         });
 });
 
-test('Search for initial seed data (case-insensitive service name and hours filter, default order)', async (done) => {
+test('Search for initial seed data (near filter, asc distance sort order)', async (done) => {
     await request(app).post('/businesses/search')
         .send({
-            service: 'pack',
-            dayOfWeek: 6,
-            hour: 8
+            near: {lat: 39.9219, lng: -104.8672, radiusMiles: 10},
+            sortBy: 'distance'
         })
         .expect('Content-Type', /json/)
         .expect(200)
         .expect((res) => {
-            expect(res.body.length).toEqual(1);
-            expect(res.body[0].name).toEqual('Sample Business #3');
-            expect(res.body[0].addressLine1).toEqual('23456 5th Ave');
+            expect(res.body.businesses.length).toEqual(3);
+            expect(res.body.businesses[0].name).toEqual('Sample Business #3');
+            expect(res.body.businesses[0].distance).toBeCloseTo(0);
+            expect(res.body.businesses[1].distance).toBeGreaterThan(res.body.businesses[0].distance);
+            expect(res.body.businesses[1].distance).toBeLessThanOrEqual(res.body.businesses[2].distance);
+            expect(res.body.businesses[2].distance).toBeLessThanOrEqual(10);
             done();
         });
 });
 
-test('Search for initial seed data (case-insensitive service name, case insensitive location name and hours filter before any open - Should not match any, default order)', async (done) => {
+test('Search for initial seed data (near filter - Should not match any, default order)', async (done) => {
     await request(app).post('/businesses/search')
         .send({
-            service: 'pack',
-            dayOfWeek: 6,
-            hour: 8,
-            location: 'arv'
+            near: {lat: 40.015, lng: -105.2705, radiusMiles: 5}
         })
         .expect(404);
     done();
 });
 
-test('Search for initial seed data (case-insensitive service name, case insensitive location name and hours filter, default order)', async (done) => {
+test('Search for initial seed data (invalid near and distance sort - Should be rejected)', async (done) => {
     await request(app).post('/businesses/search')
         .send({
-            service: 'pack',
-            dayOfWeek: 6,
-            hour: 11,
-            location: 'arv'
+            near: {lat: 39.7555, lng: -105.2211}
+        })
+        .expect(400);
+    await request(app).post('/businesses/search')
+        .send({
+            near: {lat: 139.7555, lng: -105.2211, radiusMiles: 5}
+        })
+        .expect(400);
+    await request(app).post('/businesses/search')
+        .send({
+            sortBy: 'distance'
+        })
+        .expect(400);
+    done();
+});
+
+test('Search for initial seed data (multi-value services and locations filters, default order)', async (done) => {
+    await request(app).post('/businesses/search')
+        .send({
+            services: {all: ['Packing', 'Moving Services'], exclude: ['maid services']},
+            locations: {any: ['Henderson', 'Golden']},
+            fields: ['name']
         })
         .expect('Content-Type', /json/)
         .expect(200)
         .expect((res) => {
-            expect(res.body.length).toEqual(1);
-            expect(res.body[0].name).toEqual('Sample Business #2');
-            expect(res.body[0].postal).toEqual('80201');
+            expect(res.body.businesses.map((b) => b.name)).toEqual(['Sample Business #3']);
             done();
         });
 });
 
-test('Search for initial seed data (case-insensitive service name filter and rating filter, default order)', async (done) => {
+test('Search for initial seed data (multi-value cities filter and rating range, default order)', async (done) => {
     await request(app).post('/businesses/search')
         .send({
-            service: 'clean',
-            rating: 3.7
+            cities: {any: ['denver', 'Henderson'], exclude: ['HENDERSON']},
+            rating: {gte: 3, lte: 4.5},
+            fields: ['name', 'avgRating']
         })
         .expect('Content-Type', /json/)
         .expect(200)
         .expect((res) => {
-            expect(res.body.length).toEqual(2);
-            expect(res.body[0].name).toEqual('Sample Business #1');
-            expect(res.body[0].city).toEqual('Denver');
-            expect(res.body[1].name).toEqual('Sample Business #2');
-            expect(res.body[1].city).toEqual('Denver');
+            expect(res.body.businesses.map((b) => b.name)).toEqual(['Sample Business #1', 'Sample Business #2']);
             done();
         });
 });
 
-test('Search for initial seed data (case-insensitive service name filter and rating filter, desc rating sort order)', async (done) => {
+test('Search for initial seed data (invalid multi-value filters and rating range - Should be rejected)', async (done) => {
+    const invalid = [
+        [{services: ['Packing']}, /services search parameter is invalid/],
+        [{locations: {some: ['Golden']}}, /'some' is not supported/],
+        [{cities: {all: ['Denver']}}, /'all' is not supported/],
+        [{services: {any: []}}, /services any search parameter is invalid/],
+        [{rating: {gte: 'three'}}, /rating gte search parameter is invalid/],
+        [{rating: {gte: 4, lte: 3}}, /gte <= lte/]
+    ];
+    for (const [search, message] of invalid) {
+        const res = await request(app).post('/businesses/search').send(search).expect(400);
+        expect(res.text).toMatch(message);
+    }
+    done();
+});
+
+test('GET /businesses search via query parameters matches the equivalent POST search', async (done) => {
+    const search = {
+        services: {all: ['Packing', 'Moving Services']},
+        near: {lat: 39.7392, lng: -104.9903, radiusMiles: 50},
+        rating: {gte: 3},
+        sortBy: 'rating',
+        sortDirection: 'desc',
+        fields: ['name', 'avgRating', 'distance'],
+        includeTotal: true
+    };
+    const posted = await request(app).post('/businesses/search')
+        .send(search)
+        .expect(200);
+
+    await request(app).get('/businesses')
+        .query('services[all]=Packing&services[all]=Moving%20Services&near[lat]=39.7392&near[lng]=-104.9903&near[radiusMiles]=50')
+        .query('rating[gte]=3&sortBy=rating&sortDirection=desc&fields=name,avgRating,distance&includeTotal=true')
+        .expect('Content-Type', /json/)
+        .expect('Cache-Control', /max-age=60/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.map((b) => b.name)).toEqual(['Sample Business #3', 'Sample Business #2']);
+            expect(res.body).toEqual(posted.body);
+            done();
+        });
+});
+
+test('GET /businesses search pages via the cursors from query parameters', async (done) => {
+    const page1 = await request(app).get('/businesses?limit=2&fields=name')
+        .expect(200);
+    expect(page1.body.businesses.map((b) => b.name)).toEqual(['Sample Business #1', 'Sample Business #2']);
+
+    await request(app).get('/businesses')
+        .query({limit: 2, fields: 'name', cursor: page1.body.nextCursor})
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.map((b) => b.name)).toEqual(['Sample Business #3']);
+            done();
+        });
+});
+
+test('GET /businesses search with invalid query parameters - Should be rejected', async (done) => {
+    const invalid = [
+        ['limit=ten', /limit search parameter is invalid; a number is expected/],
+        ['includeTotal=yes', /includeTotal search parameter is invalid/],
+        ['name=a&name=b', /name search parameter may only be specified once/],
+        ['rating=3&rating[lte]=4', /rating search parameter may not be specified both/],
+        ['dayOfWeek=1&hour=9.5', /hour is invalid/]
+    ];
+    for (const [query, message] of invalid) {
+        const res = await request(app).get(`/businesses?${query}`).expect(400);
+        expect(res.text).toMatch(message);
+    }
+    // unknown parameters are ignored, just as unknown Search fields are
+    await request(app).get('/businesses?cities[all]=Denver&fields=name').expect(200);
+    done();
+});
+
+test('Search for initial seed data with the rating histogram of each', async (done) => {
+    await request(app).get('/businesses?fields=name&ratingHistogram=true')
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.map((b) => Object.keys(b).sort())).toEqual(
+                [0, 1, 2].map(() => ['id', 'name', 'ratingHistogram']));
+            expect(res.body.businesses.map((b) => b.ratingHistogram)).toEqual([
+                [0, 0, 0, 3, 0],
+                [0, 1, 0, 1, 1],
+                [0, 0, 0, 0, 1]
+            ]);
+        });
+
+    // the histogram is only included when asked for, and only counts published reviews
+    await db('reviews').update({status: 'rejected'}).where({businessId: testBusiness.id, rating: 2});
+    await request(app).post('/businesses/search')
+        .send({name: testBusiness.name, ratingHistogram: true})
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses[0].ratingHistogram).toEqual([0, 0, 0, 1, 1]);
+        });
+    await request(app).get('/businesses?fields=name')
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses[0]).not.toHaveProperty('ratingHistogram');
+            done();
+        });
+});
+
+test('Search for initial seed data (facet counts, default order)', async (done) => {
     await request(app).post('/businesses/search')
         .send({
-            service: 'clean',
-            rating: 3.7,
-            sortBy: 'rating',
-            sortDirection: 'desc'
+            fields: ['name'],
+            facets: true
         })
         .expect('Content-Type', /json/)
         .expect(200)
         .expect((res) => {
-            expect(res.body.length).toEqual(2);
-            expect(res.body[0].name).toEqual('Sample Business #1');
-            expect(res.body[0].city).toEqual('Denver');
-            expect(res.body[1].name).toEqual('Sample Business #2');
-            expect(res.body[1].city).toEqual('Denver');
-            expect(res.body[0].avgRating).toBeGreaterThanOrEqual(res.body[1].avgRating);
+            expect(res.body.businesses.length).toEqual(3);
+            expect(res.body.facets.services).toEqual([
+                {value: 'Moving Services', count: 3},
+                {value: 'House Cleaning', count: 2},
+                {value: 'Maid Services', count: 2},
+                {value: 'Packing', count: 2}
+            ]);
+            expect(res.body.facets.locations[0].count).toBeGreaterThanOrEqual(res.body.facets.locations[1].count);
+            expect(res.body.facets.cities).toEqual([
+                {city: 'Denver', state: 'CO', count: 2},
+                {city: 'Henderson', state: 'CO', count: 1}
+            ]);
+            expect(res.body.facets.ratings).toEqual([
+                {rating: 1, count: 0},
+                {rating: 2, count: 0},
+                {rating: 3, count: 1},
+                {rating: 4, count: 1},
+                {rating: 5, count: 1}
+            ]);
+            expect(res.body.facets.openDays.map((day) => day.count)).toEqual([0, 3, 3, 3, 3, 3, 2]);
             done();
         });
 });
 
-test('Search for initial seed data (case-insensitive service name filter and rating filter - Should not match any, default order)', async (done) => {
+test('Search for initial seed data (facet counts ignore their own filter, default order)', async (done) => {
     await request(app).post('/businesses/search')
         .send({
-            service: 'clean',
-            rating: 4.3
+            service: 'packing',
+            fields: ['name'],
+            facets: true
         })
-        .expect(404)
-        done();
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.map((b) => b.name)).toEqual(['Sample Business #2', 'Sample Business #3']);
+            // the services facet still counts every Business so that other services may be chosen instead
+            expect(res.body.facets.services.find((f) => f.value === 'Maid Services').count).toEqual(2);
+            expect(res.body.facets.services.find((f) => f.value === 'Moving Services').count).toEqual(3);
+            expect(res.body.facets.cities).toEqual([
+                {city: 'Denver', state: 'CO', count: 1},
+                {city: 'Henderson', state: 'CO', count: 1}
+            ]);
+            expect(res.body.facets.ratings.map((r) => r.count)).toEqual([0, 0, 1, 0, 1]);
+            expect(res.body.facets.openDays.map((day) => day.count)).toEqual([0, 2, 2, 2, 2, 2, 2]);
+            done();
+        });
+});
+
+test('Search and GET /businesses/<id> issue a constant number of queries regardless of the number of Businesses read (benchmark)', async (done) => {
+    // Seed a few thousand additional Businesses, each with a full set of dependant data
+    const BENCHMARK_BUSINESSES = 3000;
+    const data = {businesses: [], locations: [], hours: [], services: [], reviews: []};
+    for (let i = 0; i < BENCHMARK_BUSINESSES; i++) {
+        const businessId = `benchmark-${i}`;
+        data.businesses.push({id: businessId, name: `Benchmark Business ${String(i).padStart(4, '0')}`});
+        data.locations.push({id: `${businessId}-location`, businessId, name: 'Denver'});
+        data.hours.push({id: `${businessId}-hour`, businessId, dayOfWeek: 1, open: 9 * 60, close: 17 * 60});
+        data.services.push({id: `${businessId}-service`, businessId, name: 'Packing'});
+        data.reviews.push({id: `${businessId}-review`, businessId, status: 'approved', rating: i % 6, comment: 'Benchmark'});
+    }
+    for (const table of Object.keys(data)) {
+        await db.batchInsert(table, data[table], 500);
+    }
+
+    const countQueries = async (method, url, search) => {
+        let queries = 0;
+        const onQuery = () => queries++;
+        db.on('query', onQuery);
+        try {
+            const res = await request(app)[method](url).send(search).expect(200);
+            return {queries, res};
+        } finally {
+            db.removeListener('query', onQuery);
+        }
+    };
+
+    const small = await countQueries('post', '/businesses/search', {limit: 5});
+    const large = await countQueries('post', '/businesses/search', {limit: 100, sortBy: 'rating'});
+    const single = await countQueries('get', `/businesses/benchmark-42`);
+
+    expect(small.res.body.businesses.length).toEqual(5);
+    expect(large.res.body.businesses.length).toEqual(100);
+    expect(large.res.body.businesses.every((b) => b.locations.length && b.hours.length && b.services.length && b.reviews.length)).toBe(true);
+    expect(single.res.body.reviews.length).toEqual(1);
+    expect(small.queries).toBeGreaterThan(0);
+    expect(large.queries).toEqual(small.queries);
+    expect(single.queries).toEqual(small.queries);
+    done();
 });
 
 test('POST /businesses to add new Business (without any dependant data)', async (done) => {
@@ -374,6 +1334,7 @@ test('POST /businesses to add new Business (without any dependant data)', async
 });
 
 test('POST /businesses to add new Business (with dependant data)', async (done) => {
+    const reviewers = await db('users').whereNull('businessId').where({admin: false}).orderBy('displayName');
     const business = {
         name: 'ZZZ',
         addressLine1: '123 Main Street',
@@ -420,16 +1381,14 @@ test('POST /businesses to add new Business (with dependant data)', async (done)
         ],
         reviews: [
             {
+                userId: reviewers[0].id,
                 rating: 2,
                 comment: 'Late and expensive'
-            },
-            {
-                rating: 5,
-                comment: 'Simply Great!'
             }
         ]
     }
     await request(app).post(`/businesses`)
+        .set('X-User-Id', reviewers[0].id)
         .send(business)
         .expect('Content-Type', /json/)
         .expect(200)
@@ -452,14 +1411,168 @@ test('POST /businesses to add new Business (with dependant data)', async (done)
                     expect(res.body.services.length).toEqual(3);
                     expect(res.body.services[0].name).toEqual('Drywall');
                     expect(res.body.services[2].name).toEqual('Snow Removal');
-                    expect(res.body.reviews.length).toEqual(2);
-                    expect(res.body.reviews[1].rating).toEqual(5);
-                    expect(res.body.reviews[1].comment).toEqual('Simply Great!');
+                    // the reviews await moderation like any others
+                    expect(res.body.reviews).toBeUndefined();
+                    expect(res.body.avgRating).toBeNull();
+                });
+            const reviews = await db('reviews').where({businessId: newId}).orderBy('rating');
+            expect(reviews.map((review) => [review.rating, review.status])).toEqual([[2, 'pending']]);
+            expect(reviews.map((review) => review.userId)).toEqual([reviewers[0].id]);
+            done();
+        });
+});
+
+test('POST /businesses to add new Business with anonymous, repeated or impersonated Reviews - Should be rejected', async (done) => {
+    const [reviewer, other] = await db('users').whereNull('businessId').where({admin: false}).orderBy('displayName');
+    const invalid = [
+        [[{rating: 5, comment: 'Simply Great!'}], reviewer.id, 400, /must identify its reviewer by userId/],
+        [[{userId: reviewer.id, rating: 5}, {userId: reviewer.id, rating: 1}], reviewer.id, 400, /may only review the Business once/],
+        // the reviewer must be the User writing the Review, just as through the reviews API
+        [[{userId: reviewer.id, rating: 5}], undefined, 401, /must be identified by the X-User-Id header/],
+        [[{userId: reviewer.id, rating: 5}], 'unknown', 401, /must be identified by the X-User-Id header/],
+        [[{userId: other.id, rating: 1}], reviewer.id, 403, /Only the reviewer/],
+        [[{userId: reviewer.id, rating: 5}, {userId: other.id, rating: 1}], reviewer.id, 403, /Only the reviewer/]
+    ];
+    for (const [reviews, userId, status, message] of invalid) {
+        const res = await request(app).post(`/businesses`)
+            .set(userId ? {'X-User-Id': userId} : {})
+            .send({name: 'ZZZ', reviews})
+            .expect(status);
+        expect(res.text).toMatch(message);
+    }
+    expect(await db('businesses').where({name: 'ZZZ'})).toEqual([]);
+    done();
+});
+
+test('POST /businesses to add new Business echoing back a Business as it has been presented', async (done) => {
+    // the attributes that are only ever presented (e.g. avgRating, distance or an Hour's openTime) are ignored
+    const res = await request(app).post('/businesses/search')
+        .send({
+            q: 'clean',
+            near: {lat: 39.7392, lng: -104.9903, radiusMiles: 100},
+            ratingHistogram: true,
+            include: ['locations', 'hours', 'services'],
+            limit: 1
+        })
+        .expect(200);
+    const presented = res.body.businesses[0];
+    expect(presented).toEqual(expect.objectContaining({
+        avgRating: expect.anything(), weightedRating: expect.anything(), reviewCount: expect.anything(),
+        distance: expect.anything(), relevance: expect.anything(), snippet: expect.anything(), ratingHistogram: expect.anything()
+    }));
+    expect(presented.hours[0]).toHaveProperty('openTime');
+
+    const added = await request(app).post(`/businesses`)
+        .send(Object.assign({}, presented, {name: 'ZZZ'}))
+        .expect(200);
+    await request(app).get(`/businesses/${added.body.id}?include=hours`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.name).toEqual('ZZZ');
+            expect(res.body.hours.map((h) => `${h.dayOfWeek} ${h.openTime}-${h.closeTime}`).sort())
+                .toEqual(presented.hours.map((h) => `${h.dayOfWeek} ${h.openTime}-${h.closeTime}`).sort());
+            done();
+        });
+});
+
+test('POST /businesses to add new Business with invalid coordinates - Should be rejected', async (done) => {
+    await request(app).post(`/businesses`)
+        .send({name: 'ZZZ', latitude: 39.7392})
+        .expect(400);
+    await request(app).post(`/businesses`)
+        .send({name: 'ZZZ', locations: [{name: 'Denver', latitude: 39.7392, longitude: -204.9903}]})
+        .expect(400);
+    done();
+});
+
+test('POST /businesses to add new Business located by its postal code', async (done) => {
+    await request(app).post(`/businesses`)
+        .send({name: 'ZZZ', addressLine1: '123 Main Street', postal: '80640'})
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect(async (res) => {
+            const newId = res.body.id;
+            // Verify that the city/state and coordinates have been filled in from the postal code
+            await request(app).get(`/businesses/${newId}`)
+                .expect('Content-Type', /json/)
+                .expect(200)
+                .expect((res) => {
+                    expect(res.body.city).toEqual('Henderson');
+                    expect(res.body.state).toEqual('CO');
+                    expect(res.body.latitude).toBeCloseTo(39.8983);
+                    expect(res.body.longitude).toBeCloseTo(-104.8718);
+                    done();
+                });
+        });
+});
+
+test('POST /businesses to add new Business located by its city/state', async (done) => {
+    await request(app).post(`/businesses`)
+        .send({name: 'ZZZ', city: 'golden', state: 'co'})
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect(async (res) => {
+            const newId = res.body.id;
+            // Verify that the city/state have been normalized and that the coordinates have been filled in
+            await request(app).get(`/businesses/${newId}`)
+                .expect('Content-Type', /json/)
+                .expect(200)
+                .expect((res) => {
+                    expect(res.body.city).toEqual('Golden');
+                    expect(res.body.state).toEqual('CO');
+                    expect(res.body.latitude).toBeCloseTo(39.75, 1);
+                    expect(res.body.longitude).toBeCloseTo(-105.2, 1);
                     done();
                 });
         });
 });
 
+test('POST and PUT /businesses default the time zone from the address unless it is specified', async (done) => {
+    const added = await request(app).post(`/businesses`)
+        .send({name: 'ZZZ', postal: '94103'})
+        .expect(200);
+    const specified = await request(app).post(`/businesses`)
+        .send({name: 'ZZZ 2', postal: '94103', timeZone: 'America/Phoenix'})
+        .expect(200);
+    await request(app).post(`/businesses`)
+        .send({name: 'ZZZ 3', timeZone: 'Mars/Olympus_Mons'})
+        .expect(400);
+
+    let res = await request(app).get(`/businesses/${added.body.id}`).expect(200);
+    expect(res.body.timeZone).toEqual('America/Los_Angeles');
+    res = await request(app).get(`/businesses/${specified.body.id}`).expect(200);
+    expect(res.body.timeZone).toEqual('America/Phoenix');
+
+    // moving the Business re-defaults its time zone, which may also be changed on its own
+    await request(app).put(`/businesses/${added.body.id}`)
+        .send({postal: '10001'})
+        .expect(200);
+    res = await request(app).get(`/businesses/${added.body.id}`).expect(200);
+    expect(res.body.timeZone).toEqual('America/New_York');
+    await request(app).put(`/businesses/${added.body.id}`)
+        .send({timeZone: 'America/Chicago'})
+        .expect(200);
+    res = await request(app).get(`/businesses/${added.body.id}`).expect(200);
+    expect(res.body.timeZone).toEqual('America/Chicago');
+    await request(app).put(`/businesses/${added.body.id}`)
+        .send({timeZone: 'Central'})
+        .expect(400);
+    done();
+});
+
+test('POST /businesses to add new Business with an unknown or mismatched address - Should be rejected', async (done) => {
+    await request(app).post(`/businesses`)
+        .send({name: 'ZZZ', postal: '00000'})
+        .expect(400);
+    await request(app).post(`/businesses`)
+        .send({name: 'ZZZ', city: 'Denver', state: 'NV', postal: '80210'})
+        .expect(400);
+    await request(app).post(`/businesses`)
+        .send({name: 'ZZZ', city: 'Nowhereville', state: 'CO'})
+        .expect(400);
+    done();
+});
+
 test('PUT /businesses/<testBusiness.id> to change existing business name', async (done) => {
     const revisedBusiness = {
         ...testBusiness,
@@ -481,6 +1594,31 @@ test('PUT /businesses/<testBusiness.id> to change existing business name', async
         });
 });
 
+test('PUT /businesses/<testBusiness.id> to change existing business postal code', async (done) => {
+    await request(app).put(`/businesses/${testBusiness.id}`)
+        .send({postal: '80640'})
+        .expect(200)
+        .expect(async (res) => {
+            // Verify that the city and coordinates have followed the postal code
+            await request(app).get(`/businesses/${testBusiness.id}`)
+                .expect('Content-Type', /json/)
+                .expect(200)
+                .expect((res) => {
+                    expect(res.body.postal).toEqual('80640');
+                    expect(res.body.city).toEqual('Henderson');
+                    expect(res.body.latitude).toBeCloseTo(39.8983);
+                    done();
+                });
+        });
+});
+
+test('PUT /businesses/<testBusiness.id> to change existing business city away from its postal code - Should be rejected', async (done) => {
+    await request(app).put(`/businesses/${testBusiness.id}`)
+        .send({city: 'Golden'})
+        .expect(400);
+    done();
+});
+
 test('DEL /businesses/<testBusiness.id> to delete an existing Business', async (done) => {
     await request(app).del(`/businesses/${testBusiness.id}`)
         .expect(200)
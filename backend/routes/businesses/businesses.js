@@ -4,8 +4,21 @@ const express = require('express');
 const router = express.Router({mergeParams: true});
 const uuid = require('uuid');
 const db = require('../../db')
+const { invalidCoordinates, distanceSql } = require('../../geo');
+const { resolveAddress, timeZoneFor } = require('../../gazetteer');
+const { COLLECTION_NAMES, loadCollections, loadOpeningStatus } = require('../../loaders');
+const { matchNames } = require('../../matching');
+const { weightedRatingSql } = require('../../ranking');
+const { invalidSlotMinutes } = require('../../availability');
+const { publishedSql } = require('../../reviews');
+const { ratingHistograms } = require('../../statistics');
+const { submittedReview } = require('../../moderation');
+const { actingUser } = require('../../identity');
+const { parseTime, isWholeHour, invalidHour, storedHour, overlappingHour, parseDate, parseInstant, dayOfWeekOf, addDays,
+    DEFAULT_TIME_ZONE, validTimeZone, localTime } = require('../../schedule');
 
-const MAX_BUSINESS_PER_PAGE = 25;
+const DEFAULT_BUSINESS_PER_PAGE = 25;
+const MAX_BUSINESS_PER_PAGE = 100;
 
 /**
  * @swagger
@@ -38,6 +51,17 @@ const MAX_BUSINESS_PER_PAGE = 25;
  *          postal:
  *            type: string
  *            description: postal code for the Business
+ *          latitude:
+ *            type: number
+ *            format: double
+ *            description: latitude (decimal degrees) of the Business address
+ *          longitude:
+ *            type: number
+ *            format: double
+ *            description: longitude (decimal degrees) of the Business address
+ *          timeZone:
+ *            type: string
+ *            description: The IANA time zone (e.g. America/Denver) in which the Business keeps its Hours.  Unless specified, it is defaulted from the postal code or state of the Business address (and re-defaulted whenever the address changes), while a Business without a known time zone keeps its Hours in UTC.
  *          locations:
  *            type: array
  *            items:
@@ -52,12 +76,45 @@ const MAX_BUSINESS_PER_PAGE = 25;
  *              $ref: '#/components/schemas/Service'
  *          reviews:
  *            type: array
+ *            description: The published (i.e. approved by moderation) Reviews of the Business
  *            items:
  *              $ref: '#/components/schemas/Review'
  *          avgRating:
  *            type: number
  *            format: float
- *            description: The average (rounded to 1 decimal place) across all review rating associated with the Business (undefined if no ratings yet)
+ *            description: The average (rounded to 1 decimal place) across all published review rating associated with the Business (undefined if no ratings yet).  Reviews awaiting moderation or rejected by it do not count toward this, the weightedRating, the reviewCount or the lastReviewedAt.
+ *          weightedRating:
+ *            type: number
+ *            format: float
+ *            description: A confidence-weighted rating (rounded to 2 decimal places) that takes the number of reviews received by the Business into account as well as their ratings, so that it is better suited to ranking Businesses than the avgRating.  Per the configurable ranking.json, this is either a Bayesian average against the average rating across all reviews, or the lower bound of the Wilson score interval of the avgRating (undefined if no ratings yet).
+ *          reviewCount:
+ *            type: integer
+ *            description: The number of reviews received by the Business
+ *          lastReviewedAt:
+ *            type: string
+ *            description: Timestamp of the most recent review received by the Business (undefined if no reviews yet)
+ *          ratingHistogram:
+ *            type: array
+ *            items:
+ *              type: integer
+ *            description: Only returned by searches that specify ratingHistogram; the number of published reviews of the Business under each of the 1 through 5 stars, in that order (a review counts under the whole part of its rating, see GET /businesses/{businessId}/reviews/stats)
+ *          isOpenNow:
+ *            type: boolean
+ *            description: Computed; whether the Business is open right now in its own time zone, per its Hours and any Hour exceptions
+ *          nextOpenAt:
+ *            type: string
+ *            description: Computed; the ISO 8601 timestamp (UTC) at which the Business next opens, or null if it is open now or has no upcoming Hours
+ *          relevance:
+ *            type: number
+ *            format: double
+ *            description: Only returned by searches that specify q; how well the Business matches the q text (higher is better), weighing matches in the name over those in services over those in review comments
+ *          snippet:
+ *            type: string
+ *            description: Only returned by searches that specify q; an excerpt of the best matching text with the matching words highlighted by <mark></mark> tags
+ *          distance:
+ *            type: number
+ *            format: float
+ *            description: Only returned by searches that specify near; the distance in miles (rounded to 2 decimal places) from the near point to the closest of the Business address and the Locations it serves
  *          created_at:
  *            type: string
  *            description: Timestamp of creation
@@ -68,6 +125,9 @@ const MAX_BUSINESS_PER_PAGE = 25;
  *      Search:
  *        type: object
  *        properties:
+ *          q:
+ *            type: string
+ *            description: An optional free-text parameter that will be matched against the Business name, the names of the Services it offers and the comments of its Reviews.  Only those Businesses matching every word (or a word beginning with it) will be returned, along with their relevance and a highlighted snippet of the matching text.
  *          name:
  *            type: string
  *            description: An optional parameter that will be used to case-insensitive, partial-text match against the Business name.
@@ -89,24 +149,216 @@ const MAX_BUSINESS_PER_PAGE = 25;
  *          dayOfWeek:
  *            type: integer
  *            description: An optional parameter that will be used to compare against the Business' Hours (only those Businesses who are open during the dayOfWeek and hour values specified will be returned).  TODO - Please note that this is an overly simplistic approach to specifying a time based search that would likely need to be enhanced; however, it will suffice for purposes of this exercise.
+ *          date:
+ *            type: string
+ *            description: An optional "YYYY-MM-DD" date that may be specified along with hour instead of dayOfWeek, in which case only those Businesses who are open at the time on that specific date will be returned.  Any Hour exceptions (e.g. holiday closures) on the date take the place of the weekly Hours.
  *          hour:
- *            type: integer
- *            description: An optional parameter that will be used to compare against the Business' Hours (only those Businesses who are open during the dayOfWeek and hour values specified will be returned).  TODO - Please note that this is an overly simplistic approach to specifying a time based search that would likely need to be enhanced; however, it will suffice for purposes of this exercise.
+ *            type: string
+ *            description: An optional whole hour (e.g. 17) or "HH:MM" time (e.g. "17:30") that will be used to compare against the Business' Hours (only those Businesses who are open at the time on the dayOfWeek or date specified will be returned).  A whole hour includes the Businesses closing at that hour (i.e. open <= hour <= close), as it always has, while a "HH:MM" time does not (i.e. open <= hour < close).  Overnight Hours are matched on both the day they open and the day they close.  TODO - Please note that this is an overly simplistic approach to specifying a time based search that would likely need to be enhanced; however, it will suffice for purposes of this exercise.
+ *          openNow:
+ *            type: boolean
+ *            description: An optional parameter that, when true, will only return those Businesses who are open right now in their own time zone, per their Hours and any Hour exceptions for today.  May not be specified along with openAt, dayOfWeek or date.
+ *          openAt:
+ *            type: string
+ *            description: An optional ISO 8601 timestamp with a UTC offset (e.g. 2026-10-19T15:30:00Z) that will only return those Businesses who are open at that instant in their own time zone, per their Hours and any Hour exceptions for the local date.  May not be specified along with openNow, dayOfWeek or date.
  *          service:
  *            type: string
- *            description: An optional parameter that will be used to case-insensitive, partial-text match against the name of the Services offered by the Business.
+ *            description: An optional parameter that will be used to case-insensitive, partial-text match against the name of the Services offered by the Business.  The match is typo-tolerant (e.g. 'maid servce') and synonym-aware (e.g. 'movers' matches 'Moving Services') per the configurable synonyms.json dictionary.
  *          location:
  *            type: string
- *            description: An optional parameter that will be used to case-insensitive, partial-text match against the name of the Locations served by the Business.
+ *            description: An optional parameter that will be used to case-insensitive, partial-text match against the name of the Locations served by the Business.  The match is typo-tolerant (e.g. 'Thornton' matches 'Thorton') and synonym-aware per the configurable synonyms.json dictionary.
+ *          services:
+ *            $ref: '#/components/schemas/MultiValueFilter'
+ *            description: An optional parameter that will limit the matching Businesses to those offering any and/or all of the specified Services, and none of the excluded ones.  Each name is matched in the same typo-tolerant and synonym-aware way as service, and may be combined with it.
+ *          locations:
+ *            $ref: '#/components/schemas/MultiValueFilter'
+ *            description: An optional parameter that will limit the matching Businesses to those serving any and/or all of the specified Locations, and none of the excluded ones.  Each name is matched in the same typo-tolerant and synonym-aware way as location, and may be combined with it.
+ *          cities:
+ *            type: object
+ *            description: An optional parameter that will limit the matching Businesses to those whose city is any of the specified cities and none of the excluded ones.  Unlike city, each city is case-insensitive matched in full.
+ *            properties:
+ *              any:
+ *                type: array
+ *                items:
+ *                  type: string
+ *              exclude:
+ *                type: array
+ *                items:
+ *                  type: string
+ *          near:
+ *            type: object
+ *            description: An optional parameter that will limit the matching Businesses to those whose address or any of whose served Locations lie within radiusMiles of the specified point.  Each matching Business will include its distance from the point.  Businesses and Locations that do not have coordinates are never considered to be near.
+ *            required:
+ *              - lat
+ *              - lng
+ *              - radiusMiles
+ *            properties:
+ *              lat:
+ *                type: number
+ *                format: double
+ *                description: latitude (decimal degrees) of the point to search from
+ *              lng:
+ *                type: number
+ *                format: double
+ *                description: longitude (decimal degrees) of the point to search from
+ *              radiusMiles:
+ *                type: number
+ *                format: double
+ *                description: the maximum distance in miles from the point (must be > 0)
  *          rating:
- *            type: integer
- *            description: An optional parameter that will be used to compare against the average across all ratings received for the Business (only those Businesses who average is >= to the value specified will be returned).
+ *            oneOf:
+ *              - type: number
+ *              - type: object
+ *                properties:
+ *                  gte:
+ *                    type: number
+ *                  lte:
+ *                    type: number
+ *            description: An optional parameter that will be used to compare against the average across all ratings received for the Business.  When a number, only those Businesses whose average is >= to the value specified will be returned.  When a range (e.g. {gte 3, lte 4.5}), only those Businesses whose average falls within it will be returned.  Businesses that have yet to be reviewed never match.
  *          sortBy:
- *            type: string
- *            description: An optional parameter that can be used to specify an attribute to sort matching results by.  The only supported values are 'name' and 'rating'; all other values will be ignored.  If not specified, this will default to sorting by 'name'.
+ *            oneOf:
+ *              - type: string
+ *              - type: array
+ *                items:
+ *                  $ref: '#/components/schemas/SortKey'
+ *            description: An optional parameter that can be used to specify an attribute to sort matching results by, or a list of sort keys in order of precedence (e.g. [{field 'rating', dir 'desc'}, {field 'reviewCount', dir 'desc'}]).  The only supported fields are 'name', 'rating', 'weightedRating', 'reviewCount', 'newest' (when the Business was created), 'recentlyReviewed' (when the Business was last reviewed), 'distance' (only when near has been specified) and 'relevance' (only when q has been specified); all other values will be rejected.  If not specified, this will default to sorting by 'name'.  Ties are always broken by the Business id so that paging is stable.
  *          sortDirection:
  *            type: string
- *            description: An optional parameter that can be used to specify the sort direction for matching results by.  The only supported values are 'asc' and 'desc'; all other values will be ignored.  If not specified, this will default to sorting 'asc'.
+ *            description: An optional parameter that can be used to specify the sort direction for matching results by when sortBy is a single field.  The only supported values are 'asc' and 'desc'; all other values will be rejected.  If not specified, this will default to sorting 'asc' ('desc' when sorting by weightedRating, newest, recentlyReviewed or relevance).
+ *          limit:
+ *            type: integer
+ *            description: An optional parameter that specifies the maximum number of Businesses to return in a single page of results (1 <= limit <= 100).  If not specified, this will default to 25.
+ *          cursor:
+ *            type: string
+ *            description: An optional, opaque nextCursor or prevCursor value taken from a previous search response that identifies the page of results to return.  The same search criteria should be specified with each page request; the sortBy and sortDirection are carried within the cursor and may be omitted, but may not be changed while paging.
+ *          include:
+ *            type: array
+ *            items:
+ *              type: string
+ *            description: An optional list (or comma separated string) of the collections (locations, hours, services and/or reviews) to include with each matching Business.  If not specified, all collections are included unless fields has been specified, in which case none are.
+ *          fields:
+ *            type: array
+ *            items:
+ *              type: string
+ *            description: An optional list (or comma separated string) of the Business attributes (e.g. name and avgRating) to return for each matching Business.  The id is always returned.  If not specified, all attributes are returned.
+ *          includeTotal:
+ *            type: boolean
+ *            description: An optional parameter that, when true, will include the totalCount of all Businesses matching the search criteria (across all pages) in the response.
+ *          facets:
+ *            type: boolean
+ *            description: An optional parameter that, when true, will include the facet counts for the search criteria in the response.
+ *          ratingHistogram:
+ *            type: boolean
+ *            description: An optional parameter that, when true, will include the compact ratingHistogram of each matching Business in the response, regardless of the fields specified.
+ *
+ *      SortKey:
+ *        type: object
+ *        required:
+ *          - field
+ *        properties:
+ *          field:
+ *            type: string
+ *            description: One of the supported sortBy fields
+ *          dir:
+ *            type: string
+ *            description: Either 'asc' or 'desc'.  If not specified, this will default to the field's default sortDirection.
+ *
+ *      MultiValueFilter:
+ *        type: object
+ *        description: At least one of any, all and exclude must be specified, each as a non-empty list of names.
+ *        properties:
+ *          any:
+ *            type: array
+ *            description: Matches the Businesses having at least one of the names
+ *            items:
+ *              type: string
+ *          all:
+ *            type: array
+ *            description: Matches the Businesses having every one of the names
+ *            items:
+ *              type: string
+ *          exclude:
+ *            type: array
+ *            description: Matches the Businesses having none of the names
+ *            items:
+ *              type: string
+ *
+ *      SearchResults:
+ *        type: object
+ *        description: A page of search results.  Note that this replaced the bare array of Businesses with which searches originally responded when cursor paging was introduced; those Businesses are now its businesses.
+ *        required:
+ *          - businesses
+ *        properties:
+ *          businesses:
+ *            type: array
+ *            description: The Businesses on the page, which is empty when a cursor lies beyond the end of the results.
+ *            items:
+ *              $ref: '#/components/schemas/Business'
+ *          nextCursor:
+ *            type: string
+ *            description: The cursor to specify in a subsequent search in order to retrieve the next page of results (null if this is the last page).
+ *          prevCursor:
+ *            type: string
+ *            description: The cursor to specify in a subsequent search in order to retrieve the previous page of results (null if this is the first page).
+ *          totalCount:
+ *            type: integer
+ *            description: The total number of Businesses matching the search criteria across all pages (only present when includeTotal was requested).
+ *          facets:
+ *            $ref: '#/components/schemas/Facets'
+ *
+ *      FacetCount:
+ *        type: object
+ *        properties:
+ *          value:
+ *            type: string
+ *            description: The Service or Location name
+ *          count:
+ *            type: integer
+ *            description: The number of matching Businesses offering the Service or serving the Location
+ *
+ *      Facets:
+ *        type: object
+ *        description: The number of Businesses matching the search criteria by Service, Location, city/state, rating and open day (only present when facets was requested).  Each facet is counted with its own search filter(s) removed (e.g. the services facet ignores the service filter) so that it reflects the Businesses that selecting another value would yield.
+ *        properties:
+ *          services:
+ *            type: array
+ *            items:
+ *              $ref: '#/components/schemas/FacetCount'
+ *          locations:
+ *            type: array
+ *            items:
+ *              $ref: '#/components/schemas/FacetCount'
+ *          cities:
+ *            type: array
+ *            items:
+ *              type: object
+ *              properties:
+ *                city:
+ *                  type: string
+ *                state:
+ *                  type: string
+ *                count:
+ *                  type: integer
+ *          ratings:
+ *            type: array
+ *            description: One entry for each whole star rating (1 through 5); a Business is counted under the whole part of its avgRating.  Businesses without any reviews are not counted.
+ *            items:
+ *              type: object
+ *              properties:
+ *                rating:
+ *                  type: integer
+ *                count:
+ *                  type: integer
+ *          openDays:
+ *            type: array
+ *            description: One entry for each dayOfWeek (0 through 6) counting the Businesses that are open at some point that day.
+ *            items:
+ *              type: object
+ *              properties:
+ *                dayOfWeek:
+ *                  type: integer
+ *                count:
+ *                  type: integer
  */
 
 /**
@@ -116,32 +368,517 @@ const MAX_BUSINESS_PER_PAGE = 25;
  *   description: Business API
  */
 
-const getLocations = async  (businessId) => {
-    return await db('locations')
-        .where({businessId})
-        .orderBy('name')
-        .then((items) => items && items.length ? items : undefined);
+// The Business attributes that may be selected via the fields parameter (the id is always returned regardless)
+const BUSINESS_FIELDS = ['name', 'addressLine1', 'addressLine2', 'city', 'state', 'postal', 'latitude', 'longitude',
+    'timeZone', 'avgRating', 'weightedRating', 'reviewCount', 'lastReviewedAt', 'isOpenNow', 'nextOpenAt', 'distance', 'relevance',
+    'snippet', 'created_at', 'updated_at'];
+
+// Accepts either an array or a comma separated string (as is most convenient in a query string)
+const toList = (value) => {
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map((item) => String(item).trim())
+        .filter((item) => item.length);
+}
+
+/*
+ Validates the include and fields parameters that control the shape of Business responses.  Every collection is
+ included by default, unless specific fields have been selected, in which case only the explicitly included
+ collections are.  Returns either {error} or the {include, fields} to shape responses with.
+ */
+const parseShape = (include, fields) => {
+    const collections = include === undefined ? undefined : toList(include);
+    const attributes = fields === undefined ? undefined : toList(fields);
+
+    const invalidCollection = collections && collections.find((name) => !COLLECTION_NAMES.includes(name));
+    if (invalidCollection) {
+        return {error: `Invalid include value '${invalidCollection}': only ${COLLECTION_NAMES.map((name) => `'${name}'`).join(', ')} are supported at this time`};
+    }
+    const invalidField = attributes && attributes.find((name) => name !== 'id' && !BUSINESS_FIELDS.includes(name));
+    if (invalidField) {
+        return {error: `Invalid fields value '${invalidField}': only ${BUSINESS_FIELDS.map((name) => `'${name}'`).join(', ')} are supported at this time`};
+    }
+
+    return {
+        include: collections || (attributes ? [] : COLLECTION_NAMES),
+        fields: attributes
+    };
+}
+
+const selectFields = (business, shape) => {
+    if (!shape.fields) {
+        return business;
+    }
+    const selected = {id: business.id};
+    shape.fields.concat(shape.include).forEach((name) => {
+        selected[name] = business[name];
+    });
+    return selected;
+}
+
+/*
+ The SQL expression used to order search results by each of the supported sortBy values, the Business attribute holding
+ its value and the direction it is sorted in unless otherwise specified.  Businesses without any reviews have no
+ avgRating or lastReviewedAt (nor a weightedRating, depending upon its method), so we coalesce those to a value below
+ any valid one in order to have a comparable value to page from (this matches the order SQLite would otherwise give the
+ NULLs).
+ */
+const SORT_KEYS = {
+    name: {sql: 'businesses.name', attribute: 'name', direction: 'asc'},
+    rating: {sql: 'coalesce(avgRating, -1)', attribute: 'avgRating', missing: -1, direction: 'asc'},
+    weightedRating: {sql: 'coalesce(weightedRating, -1)', attribute: 'weightedRating', missing: -1, direction: 'desc'},
+    reviewCount: {sql: 'reviewCount', attribute: 'reviewCount', direction: 'asc'},
+    newest: {sql: `coalesce(businesses.created_at, '')`, attribute: 'created_at', missing: '', direction: 'desc'},
+    recentlyReviewed: {sql: `coalesce(lastReviewedAt, '')`, attribute: 'lastReviewedAt', missing: '', direction: 'desc'},
+    distance: {sql: 'distance', attribute: 'distance', direction: 'asc'},
+    relevance: {sql: 'relevance', attribute: 'relevance', direction: 'desc'}
+};
+
+const sortValue = (field, business) => {
+    const key = SORT_KEYS[field];
+    const value = business[key.attribute];
+    return value === null || value === undefined ? key.missing : value;
+}
+
+const sortKeyNamed = (name) => Object.keys(SORT_KEYS).find((field) => field.toLowerCase() === name.toLowerCase());
+
+/*
+ Normalizes the sortBy (a single sort key, optionally along with a sortDirection, or a list of {field, dir} sort keys in
+ order of precedence) into a list of {field, dir} sort keys.  When neither is specified, the sort order carried within
+ the cursor (if any) is used.  Returns {error} if the sort order is invalid, otherwise {sorts}.
+ */
+const parseSort = (search, cursor) => {
+    let sortBy = search.sortBy;
+    let sortDirection = search.sortDirection;
+    if (sortBy === undefined && cursor) {
+        if (sortDirection === undefined) {
+            return {sorts: cursor.sorts};
+        }
+        sortBy = cursor.sorts.length === 1 ? cursor.sorts[0].field : cursor.sorts;
+    }
+    if (Array.isArray(sortBy) && sortDirection !== undefined) {
+        return {error: `The sortDirection may only be specified along with a single sortBy field; please specify the dir of each sortBy field instead`};
+    }
+
+    const entries = Array.isArray(sortBy) ? sortBy : [{field: sortBy || 'name', dir: sortDirection}];
+    if (!entries.length) {
+        return {error: `The sortBy list is invalid; at least one {field, dir} sort key is expected`};
+    }
+    const sorts = [];
+    for (const entry of entries) {
+        const {field, dir} = typeof entry === 'string' ? {field: entry} : (entry || {});
+        if (typeof field !== 'string') {
+            return {error: `The sortBy list is invalid; each sort key is expected to be a {field, dir} object`};
+        }
+        const key = sortKeyNamed(field);
+        if (!key) {
+            return {error: `Invalid sortBy field: only ${Object.keys(SORT_KEYS).map((name) => `'${name}'`).join(', ')} are supported at this time`};
+        }
+        if (sorts.some((sort) => sort.field === key)) {
+            return {error: `The sortBy list is invalid; the '${key}' field may only be sorted by once`};
+        }
+        const direction = dir === undefined ? SORT_KEYS[key].direction : String(dir).toLowerCase();
+        if (direction !== 'asc' && direction !== 'desc') {
+            return {error: `Invalid sortDirection field: only \'asc\' and \'desc\' are supported at this time`};
+        }
+        sorts.push({field: key, dir: direction});
+    }
+    return {sorts};
+}
+
+/*
+ Cursors are opaque to callers, but are simply the base64url encoded sort position (sort keys, their values and the id
+ tiebreaker) of the first or last Business on a page along with the direction in which to page from there.  As they
+ identify a position rather than an offset, paging remains stable while Businesses are added or deleted.
+ */
+const encodeCursor = (sorts, business, direction) => {
+    return Buffer.from(JSON.stringify({
+        s: sorts.map((sort) => [sort.field, sort.dir]),
+        v: sorts.map((sort) => sortValue(sort.field, business)),
+        id: business.id,
+        d: direction
+    })).toString('base64url');
+}
+
+const decodeCursor = (token) => {
+    try {
+        const c = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+        if (!Array.isArray(c.s) || !c.s.length || !Array.isArray(c.v) || c.v.length !== c.s.length ||
+            c.s.some((sort) => !Array.isArray(sort) || !SORT_KEYS[sort[0]] || (sort[1] !== 'asc' && sort[1] !== 'desc')) ||
+            c.v.some((value) => typeof value !== 'string' && typeof value !== 'number') ||
+            (c.d !== 'next' && c.d !== 'prev') || typeof c.id !== 'string') {
+            return undefined;
+        }
+        return {sorts: c.s.map(([field, dir]) => ({field, dir})), values: c.v, id: c.id, direction: c.d};
+    } catch (err) {
+        return undefined;
+    }
+}
+
+// A sentinel distance well beyond any on earth that allows us to take the minimum across possibly missing coordinates
+const NO_DISTANCE = 1e9;
+
+/*
+ The distance from the near point to the closest of the Business' own address and the Locations it serves (NULL if
+ neither the Business nor any of its Locations have coordinates).
+ */
+const distanceColumn = (near) => {
+    const locationDistance = db('locations')
+        .select(db.raw('min(?)', [distanceSql(db, 'locations.latitude', 'locations.longitude', near.lat, near.lng)]))
+        .where('locations.businessId', '=', db.ref('businesses.id'));
+
+    return db.raw(`round(nullif(min(coalesce(?, ${NO_DISTANCE}), coalesce(?, ${NO_DISTANCE})), ${NO_DISTANCE}), 2) as distance`,
+        [distanceSql(db, 'businesses.latitude', 'businesses.longitude', near.lat, near.lng), locationDistance]);
 }
 
-const getHours = async  (businessId) => {
-    return await db('hours')
-        .where({businessId})
-        .orderBy('dayOfWeek')
-        .then((items) => items && items.length ? items : undefined);
+/*
+ Converts free text into an FTS5 query that matches Businesses containing every one of its words (or words they are a
+ prefix of).  Each word is quoted so that nothing the caller types can be interpreted as FTS5 query syntax.
+ */
+const matchQuery = (q) => {
+    const words = String(q).match(/[\p{L}\p{N}]+/gu) || [];
+    return words.map((word) => `"${word}"*`).join(' ');
 }
 
-const getServices = async  (businessId) => {
-    return await db('services')
-        .where({businessId})
-        .orderBy('name')
-        .then((items) => items && items.length ? items : undefined);
+// Relative weights of the business_search columns (name, services, comments) when ranking matches
+const RELEVANCE_WEIGHTS = '10, 5, 1';
+
+/*
+ The Businesses matching the free text along with their relevance and a highlighted snippet of the matching text.  bm25
+ scores better matches more negatively, so we negate it in order for a higher relevance to be a better match.
+ */
+const textMatches = (q) => {
+    return db('business_search')
+        .join('business_search_rows', 'business_search_rows.id', '=', 'business_search.rowid')
+        .select('business_search_rows.businessId',
+                db.raw(`-bm25(business_search, ${RELEVANCE_WEIGHTS}) as relevance`),
+                db.raw(`snippet(business_search, -1, '<mark>', '</mark>', '…', 12) as snippet`))
+        .whereRaw('business_search MATCH ?', [matchQuery(q)])
+        .as('matches');
 }
 
-const getReviews = async  (businessId) => {
-    return await db('reviews')
-        .where({businessId})
-        .orderBy('created_at')
-        .then((items) => items && items.length ? items : undefined);
+/*
+ The service and location filters are typo-tolerant and synonym-aware, which is more than a LIKE can do, so each is
+ resolved up front to the distinct names (across all Businesses) that it matches.  The any and exclude terms of a
+ multi-value filter are flattened into a single list of names, while each all term keeps its own list since every one
+ of them must be matched.  Likewise, the instant of an openNow or openAt filter is resolved up front to the local time
+ it falls on in each of the distinct time zones (across all Businesses).
+ */
+const resolveSearch = async (search) => {
+    const distinct = {};
+    const resolve = async (term, table) => {
+        if (!distinct[table]) {
+            distinct[table] = await db(table).distinct('name').pluck('name');
+        }
+        return matchNames(term, distinct[table], table);
+    }
+    const resolveAll = async (terms, table) => Promise.all(terms.map((term) => resolve(term, table)));
+    const resolveFilter = async (filter, table) => {
+        const resolved = {};
+        for (const operator of ['any', 'all', 'exclude']) {
+            if (filter[operator]) {
+                const matches = await resolveAll(filter[operator], table);
+                resolved[operator] = operator === 'all' ? matches : [].concat(...matches);
+            }
+        }
+        return resolved;
+    }
+
+    const resolved = {};
+    if (search && search.service) {
+        resolved.service = await resolve(search.service, 'services');
+    }
+    if (search && search.location) {
+        resolved.location = await resolve(search.location, 'locations');
+    }
+    if (search && search.services) {
+        resolved.services = await resolveFilter(search.services, 'services');
+    }
+    if (search && search.locations) {
+        resolved.locations = await resolveFilter(search.locations, 'locations');
+    }
+    if (search && (search.openNow || search.openAt !== undefined)) {
+        const instant = search.openNow ? new Date() : parseInstant(search.openAt);
+        // a Business without a time zone of its own keeps the default one
+        const timeZones = await db('businesses')
+            .distinct(db.raw('coalesce(??, ?) as ??', ['timeZone', DEFAULT_TIME_ZONE, 'timeZone']));
+        resolved.localTimes = timeZones.map(({timeZone}) => Object.assign({timeZone}, localTime(instant, timeZone)));
+    }
+    return resolved;
+}
+
+/*
+ The multi-value filters are expressed as {any, all, exclude} lists of terms; MULTI_VALUE_FILTERS specifies which of
+ those operators each filter supports (a Business only has the one city, so matching all of several makes no sense).
+ */
+const MULTI_VALUE_FILTERS = {
+    services: ['any', 'all', 'exclude'],
+    locations: ['any', 'all', 'exclude'],
+    cities: ['any', 'exclude']
+};
+
+const RATING_OPERATORS = ['gte', 'lte'];
+
+const invalidMultiValueFilter = (filter, value) => {
+    const operators = MULTI_VALUE_FILTERS[filter];
+    const expected = `an object with ${operators.map((operator) => `'${operator}'`).join(' and/or ')} lists of names is expected`;
+    if (!value || typeof value !== 'object' || Array.isArray(value) || !Object.keys(value).length) {
+        return `The ${filter} search parameter is invalid; ${expected}`;
+    }
+    const unknown = Object.keys(value).find((operator) => !operators.includes(operator));
+    if (unknown) {
+        return `The ${filter} search parameter is invalid; '${unknown}' is not supported, ${expected}`;
+    }
+    const invalid = operators.find((operator) => value[operator] !== undefined &&
+        (!Array.isArray(value[operator]) || !value[operator].length ||
+         value[operator].some((name) => typeof name !== 'string' || !name.trim())));
+    if (invalid) {
+        return `The ${filter} ${invalid} search parameter is invalid; a non-empty list of non-empty names is expected`;
+    }
+    return undefined;
+}
+
+const invalidRating = (rating) => {
+    if (typeof rating === 'number') {
+        return undefined;
+    }
+    if (!rating || typeof rating !== 'object' || Array.isArray(rating) || !Object.keys(rating).length) {
+        return `The rating search parameter is invalid; a minimum rating or an object with 'gte' and/or 'lte' ratings is expected`;
+    }
+    const unknown = Object.keys(rating).find((operator) => !RATING_OPERATORS.includes(operator));
+    if (unknown) {
+        return `The rating search parameter is invalid; '${unknown}' is not supported, only 'gte' and 'lte' are`;
+    }
+    const invalid = RATING_OPERATORS.find((operator) => rating[operator] !== undefined && typeof rating[operator] !== 'number');
+    if (invalid) {
+        return `The rating ${invalid} search parameter is invalid; a number is expected`;
+    }
+    if (rating.gte !== undefined && rating.lte !== undefined && rating.gte > rating.lte) {
+        return `The rating search parameter is invalid; gte <= lte is expected`;
+    }
+    return undefined;
+}
+
+/*
+ Restricts the query to the Businesses whose collection (table) contains the names; any and exclude are lists of names
+ while all is a list of lists of names, one of each of which must be contained.
+ */
+const collectionFilter = (builder, table, names) => {
+    const contains = (values) => db(table)
+        .whereIn('name', values)
+        .where(`${table}.businessId`, '=', db.ref('businesses.id'));
+
+    if (names.any) {
+        builder.whereExists(contains(names.any));
+    }
+    if (names.all) {
+        names.all.forEach((values) => builder.whereExists(contains(values)));
+    }
+    if (names.exclude) {
+        builder.whereNotExists(contains(names.exclude));
+    }
+}
+
+/*
+ Restricts the query to the Businesses that are open at the time (minutes since midnight) on the dayOfWeek (and date,
+ when one is known); i.e. those with an Hour on that day that has opened and not yet closed (overnight Hours remain open
+ through midnight), or with an overnight Hour from the previous day that has yet to close.  Whenever a date has any Hour
+ exceptions, they are the Hours of that day rather than the weekly Hours.  When throughClose is true, an Hour still
+ counts as open at its closing time, as the whole hour search parameter always has (i.e. open <= hour <= close).
+ */
+const openAt = (builder, dayOfWeek, time, date, throughClose = false) => {
+    const closes = throughClose ? '>=' : '>';
+    const opened = (hours) => hours
+        .where('open', '<=', time)
+        .where((closing) => closing.where('close', closes, time).orWhereRaw('?? <= ??', ['close', 'open']));
+    const stillOpen = (hours) => hours
+        .whereRaw('?? <= ??', ['close', 'open'])
+        .where('close', closes, time);
+
+    const weekly = (day) => db('hours')
+        .where('hours.businessId', '=', db.ref('businesses.id'))
+        .where('dayOfWeek', '=', day);
+    const excepted = (onDate) => db('hour_exceptions')
+        .where('hour_exceptions.businessId', '=', db.ref('businesses.id'))
+        .where('date', '=', onDate);
+    const openOn = (on, day, onDate, open) => {
+        if (onDate === undefined) {
+            on.whereExists(open(weekly(day)));
+        } else {
+            on.where((usual) => usual.whereNotExists(excepted(onDate)).whereExists(open(weekly(day))))
+                .orWhereExists(open(excepted(onDate)));
+        }
+    }
+
+    builder.where((open) => {
+        open.where((today) => openOn(today, dayOfWeek, date, opened))
+            .orWhere((yesterday) => openOn(yesterday, (dayOfWeek + 6) % 7, date && addDays(date, -1), stillOpen));
+    });
+}
+
+// The attributes of a Business that summarize the (published) reviews it has received
+const reviewColumns = () => {
+    const reviews = () => db('reviews').where('reviews.businessId', '=', db.ref('businesses.id')).whereRaw(publishedSql());
+    return [
+        reviews().select(db.raw('round(avg(rating),1)')).as('avgRating'),
+        reviews().count('*').as('reviewCount'),
+        reviews().max('created_at').as('lastReviewedAt'),
+        db.raw('? as ??', [weightedRatingSql(db), 'weightedRating'])
+    ];
+}
+
+const searchQuery = (search, resolved) => {
+    return db('businesses')
+        .select('businesses.*', ...reviewColumns())
+        .modify((query) => {
+            if (search && search.near) {
+                query.select(distanceColumn(search.near));
+            }
+            if (search && search.q !== undefined) {
+                query.join(textMatches(search.q), 'matches.businessId', '=', 'businesses.id')
+                    .select('matches.relevance', 'matches.snippet');
+            }
+        })
+        .where((builder) => {
+            if (search && search.name) {
+                builder.where('businesses.name', 'like', `%${search.name.toLowerCase()}%`);
+            }
+            if (search && search.addressLine1) {
+                builder.where('businesses.addressLine1', 'like', `%${search.addressLine1.toLowerCase()}%`);
+            }
+            if (search && search.addressLine2) {
+                builder.where('businesses.addressLine2', 'like', `%${search.addressLine2.toLowerCase()}%`);
+            }
+            if (search && search.city) {
+                builder.where('businesses.city', 'like', `%${search.city.toLowerCase()}%`);
+            }
+            if (search && search.state) {
+                builder.where('businesses.state', 'like', `%${search.state.toLowerCase()}%`);
+            }
+            if (search && search.postal) {
+                builder.where('businesses.postal', 'like', `%${search.postal.toLowerCase()}%`);
+            }
+            if (search && search.date !== undefined && search.hour !== undefined) {
+                openAt(builder, dayOfWeekOf(parseDate(search.date)), parseTime(search.hour), parseDate(search.date),
+                    isWholeHour(search.hour));
+            } else if (search && search.dayOfWeek !== undefined && search.hour !== undefined) {
+                openAt(builder, search.dayOfWeek, parseTime(search.hour), undefined, isWholeHour(search.hour));
+            }
+            if (search && (search.openNow || search.openAt !== undefined)) {
+                // each Business is open (or not) at the local time the instant falls on in its own time zone
+                builder.where((zoned) => {
+                    resolved.localTimes.forEach((local) => {
+                        zoned.orWhere((inZone) => {
+                            inZone.whereRaw('coalesce(??, ?) = ?', ['businesses.timeZone', DEFAULT_TIME_ZONE, local.timeZone]);
+                            openAt(inZone, local.dayOfWeek, local.time, local.date);
+                        });
+                    });
+                });
+            }
+            if (search && search.cities) {
+                // unlike city, each of the cities is matched in full (though still case-insensitively)
+                const lowered = (cities) => cities.map((city) => city.trim().toLowerCase());
+                if (search.cities.any) {
+                    builder.whereIn(db.raw('lower(businesses.city)'), lowered(search.cities.any));
+                }
+                if (search.cities.exclude) {
+                    builder.where((excluded) => {
+                        excluded.whereNull('businesses.city')
+                            .orWhereNotIn(db.raw('lower(businesses.city)'), lowered(search.cities.exclude));
+                    });
+                }
+            }
+            if (search && search.service) {
+                collectionFilter(builder, 'services', { any: resolved.service });
+            }
+            if (search && search.services) {
+                collectionFilter(builder, 'services', resolved.services);
+            }
+            if (search && search.location) {
+                collectionFilter(builder, 'locations', { any: resolved.location });
+            }
+            if (search && search.locations) {
+                collectionFilter(builder, 'locations', resolved.locations);
+            }
+            if (search && typeof search.rating === 'number') {
+                builder.where(db.ref('avgRating'), '>=', search.rating);
+            } else if (search && search.rating !== undefined) {
+                if (search.rating.gte !== undefined) {
+                    builder.where(db.ref('avgRating'), '>=', search.rating.gte);
+                }
+                if (search.rating.lte !== undefined) {
+                    builder.where(db.ref('avgRating'), '<=', search.rating.lte);
+                }
+            }
+            if (search && search.near) {
+                builder.where(db.ref('distance'), '<=', search.near.radiusMiles);
+            }
+        });
+}
+
+/*
+ Each facet is counted against the search with its own filter(s) removed so that the counts show how many Businesses
+ selecting a different (or additional) value would yield, rather than just echoing back the value already selected.
+ */
+const FACET_FILTERS = {
+    services: ['service', 'services'],
+    locations: ['location', 'locations'],
+    cities: ['city', 'state', 'cities'],
+    ratings: ['rating'],
+    openDays: ['dayOfWeek', 'date', 'hour', 'openNow', 'openAt']
+};
+
+const facetBase = (search, resolved, facet) => {
+    const facetSearch = Object.assign({}, search);
+    FACET_FILTERS[facet].forEach((filter) => delete facetSearch[filter]);
+    return searchQuery(facetSearch, resolved).as('facet');
+}
+
+const facetCounts = async (search, resolved) => {
+    const businessIds = (facet) => db.select('id').from(facetBase(search, resolved, facet));
+    const nameCounts = (table, facet) => db(table)
+        .select('name as value')
+        .countDistinct('businessId as count')
+        .whereIn('businessId', businessIds(facet))
+        .groupBy('name')
+        .orderBy([{ column: 'count', order: 'desc' }, 'value']);
+
+    const [services, locations, cities, ratings, openDays] = await Promise.all([
+        nameCounts('services', 'services'),
+        nameCounts('locations', 'locations'),
+        db.select('city', 'state')
+            .count('* as count')
+            .from(facetBase(search, resolved, 'cities'))
+            .groupBy('city', 'state')
+            .orderBy([{ column: 'count', order: 'desc' }, 'city', 'state']),
+        // Businesses that have yet to be reviewed do not fall into any rating bucket
+        db.select(db.raw('min(max(cast(avgRating as integer), 1), 5) as rating'))
+            .count('* as count')
+            .from(facetBase(search, resolved, 'ratings'))
+            .whereNotNull('avgRating')
+            .groupBy('rating'),
+        db.select('dayOfWeek')
+            .countDistinct('businessId as count')
+            .from(db('hours')
+                .select('businessId', 'dayOfWeek')
+                // overnight Hours are open on the following day as well
+                .unionAll(db('hours')
+                    .select('businessId', db.raw('(?? + 1) % 7 as ??', ['dayOfWeek', 'dayOfWeek']))
+                    .whereRaw('?? < ??', ['close', 'open'])
+                    .where('close', '>', 0))
+                .as('days'))
+            .whereIn('businessId', businessIds('openDays'))
+            .groupBy('dayOfWeek')
+    ]);
+
+    // Every rating and day is always listed, even when no Business falls into it, so that clients can render them stably
+    const countOf = (rows, key, value) => (rows.find((row) => row[key] === value) || { count: 0 }).count;
+    return {
+        services,
+        locations,
+        cities,
+        ratings: [1, 2, 3, 4, 5].map((rating) => ({ rating, count: countOf(ratings, 'rating', rating) })),
+        openDays: [0, 1, 2, 3, 4, 5, 6].map((dayOfWeek) => ({ dayOfWeek, count: countOf(openDays, 'dayOfWeek', dayOfWeek) }))
+    };
 }
 
 /**
@@ -158,6 +895,18 @@ const getReviews = async  (businessId) => {
  *            type: string
  *          required: true
  *          description: The unique id for the business
+ *        - in: query
+ *          name: include
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: An optional comma separated list of the collections (locations, hours, services and/or reviews) to include in the response.  If not specified, all collections are included unless fields has been specified, in which case none are.
+ *        - in: query
+ *          name: fields
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: An optional comma separated list of the Business attributes (e.g. name,avgRating) to return.  The id is always returned.  If not specified, all attributes are returned.
  *      responses:
  *        "200":
  *          description: Business associated with the specified business
@@ -167,6 +916,8 @@ const getReviews = async  (businessId) => {
  *                type: array
  *                items:
  *                  $ref: '#/components/schemas/Business'
+ *        "400":
+ *          description: Bad Request - an invalid include or fields value has been specified
  *        "404":
  *          description: business identified by {businessId} not found
  *        "5XX":
@@ -175,29 +926,21 @@ const getReviews = async  (businessId) => {
 router.get('/:businessId', async (req, resp, next) => {
     const id = req.params.businessId;
 
+    const shape = parseShape(req.query.include, req.query.fields);
+    if (shape.error) {
+        resp.status(400).send(shape.error);
+        return;
+    }
+
     try {
         const businesses = await db('businesses')
-            .select('*',
-                db('reviews')
-                    .select(db.raw('round(avg(rating),1)'))
-                    .where('reviews.businessId', '=', db.ref('businesses.id'))
-                    .as('avgRating')
-            )
+            .select('*', ...reviewColumns())
             .where({id})
-            .then((results) => {
-                return Promise.all(
-                    results.map(async (b) => {
-                        b.locations = await getLocations(b.id);
-                        b.hours = await getHours(b.id);
-                        b.services = await getServices(b.id);
-                        b.reviews = await getReviews(b.id);
-                        return b;
-                    })
-                );
-            });
+            .then((results) => loadCollections(results, shape.include))
+            .then((results) => loadOpeningStatus(results));
 
         if (businesses && businesses.length) {
-            resp.status(200).json(businesses[0]);
+            resp.status(200).json(selectFields(businesses[0], shape));
         } else {
             resp.status(404).send(`The specified business does not exist`);
         }
@@ -207,140 +950,285 @@ router.get('/:businessId', async (req, resp, next) => {
     }
 });
 
-/**
- * @swagger
- * path:
- *  /businesses/search:
- *    post:
- *      summary: Retrieve the Businesses that match specified search criteria
- *      tags: [Business]
- *      requestBody:
- *        description: The optional Search parameters used to filter the desired Businesses with
- *        content:
- *          application/json:
- *            schema:
- *              $ref: '#/components/schemas/Search'
- *      responses:
- *        "200":
- *          description: Business associated with the specified business
- *          content:
- *            application/json:
- *              schema:
- *                type: array   (TODO - Please note, that a maximum of 25 Businesses will be returned at this time.  A proper pagination scheme would typically be added to address this)
- *                items:
- *                  $ref: '#/components/schemas/Business'
- *        "400":
- *          description: Bad Request - an invalid search combination has been specified
- *        "404":
- *          description: no Businesses matching the specified criteria could be found
- *        "5XX":
- *          description: unexpected error
+/*
+ The query string equivalent of each Search schema field, keyed by parameter name.  Nested fields are named with
+ brackets (e.g. near[lat] or services[all]), and lists may be given as repeated and/or comma separated parameters.
+ A list of sort keys is given as field:dir pairs (e.g. sortBy=rating:desc,reviewCount:desc).
  */
-router.post('/search', async (req, resp, next) => {
+const QUERY_PARAMETERS = {
+    'q': 'string',
+    'name': 'string',
+    'addressLine1': 'string',
+    'addressLine2': 'string',
+    'city': 'string',
+    'state': 'string',
+    'postal': 'string',
+    'dayOfWeek': 'number',
+    'date': 'string',
+    'hour': 'string',
+    'openNow': 'boolean',
+    'openAt': 'string',
+    'service': 'string',
+    'location': 'string',
+    'services[any]': 'list',
+    'services[all]': 'list',
+    'services[exclude]': 'list',
+    'locations[any]': 'list',
+    'locations[all]': 'list',
+    'locations[exclude]': 'list',
+    'cities[any]': 'list',
+    'cities[exclude]': 'list',
+    'near[lat]': 'number',
+    'near[lng]': 'number',
+    'near[radiusMiles]': 'number',
+    'rating': 'number',
+    'rating[gte]': 'number',
+    'rating[lte]': 'number',
+    'sortBy': 'sort',
+    'sortDirection': 'string',
+    'limit': 'number',
+    'cursor': 'string',
+    'include': 'list',
+    'fields': 'list',
+    'includeTotal': 'boolean',
+    'facets': 'boolean',
+    'ratingHistogram': 'boolean'
+};
+
+/*
+ Converts the GET /businesses query parameters into the equivalent Search.  Returns {error} if a parameter can not be
+ converted, otherwise {search}.  Unknown parameters are ignored, just as unknown Search fields are.
+ */
+const searchFromQuery = (query) => {
+    const search = {};
+    for (const parameter of Object.keys(query)) {
+        const type = QUERY_PARAMETERS[parameter];
+        if (!type) {
+            continue;
+        }
+        const values = Array.isArray(query[parameter]) ? query[parameter] : [query[parameter]];
+        if (type !== 'list' && type !== 'sort' && values.length > 1) {
+            return {error: `The ${parameter} search parameter may only be specified once`};
+        }
+
+        let value = values[0];
+        if (type === 'list') {
+            value = [].concat(...values.map((item) => toList(item)));
+        } else if (type === 'sort') {
+            const sorts = [].concat(...values.map((item) => toList(item)));
+            // a lone field remains a single sortBy so that it may still be combined with sortDirection
+            value = sorts.length === 1 && !sorts[0].includes(':') ? sorts[0] : sorts.map((sort) => {
+                const [field, dir] = sort.split(':');
+                return {field, dir};
+            });
+        } else if (type === 'number') {
+            value = value.trim() === '' ? NaN : Number(value);
+            if (!Number.isFinite(value)) {
+                return {error: `The ${parameter} search parameter is invalid; a number is expected`};
+            }
+        } else if (type === 'boolean') {
+            if (value !== 'true' && value !== 'false') {
+                return {error: `The ${parameter} search parameter is invalid; true or false is expected`};
+            }
+            value = value === 'true';
+        }
 
-    const search = req.body || {};
+        const nested = /^(\w+)\[(\w+)\]$/.exec(parameter);
+        if (!nested) {
+            if (search[parameter] !== undefined) {
+                return {error: `The ${parameter} search parameter may not be specified both by itself and by its parts`};
+            }
+            search[parameter] = value;
+        } else {
+            const [, field, part] = nested;
+            if (search[field] !== undefined && typeof search[field] !== 'object') {
+                return {error: `The ${field} search parameter may not be specified both by itself and by its parts`};
+            }
+            search[field] = Object.assign(search[field] || {}, {[part]: value});
+        }
+    }
+    return {search};
+}
 
-    if (search &&
+/*
+ Runs a search on behalf of both the POST /businesses/search and GET /businesses endpoints, so that the two are
+ guaranteed to share the same semantics regardless of how the search parameters were expressed.
+ */
+const searchBusinesses = async (search, resp, cacheable) => {
+    if (search && search.date !== undefined) {
+        if (search.dayOfWeek !== undefined) {
+            resp.status(400).send(`The date and dayOfWeek search parameters may not both be specified, as the date determines the day of the week`);
+            return;
+        }
+        if (parseDate(search.date) === undefined) {
+            resp.status(400).send(`The date is invalid; a "YYYY-MM-DD" date is expected`);
+            return;
+        }
+        if (search.hour === undefined) {
+            resp.status(400).send(`Both the date and hour search parameters must be specified whenever the date is specified`);
+            return;
+        }
+    }
+    if (search && search.date === undefined &&
         ((search.dayOfWeek !== undefined && search.hour === undefined) ||
          (search.dayOfWeek === undefined && search.hour !== undefined))) {
         resp.status(400).send(`Both the dayOfWeek and hour search parameters must be specified whenever either of them is specified`);
         return;
     }
-    if (search && (search.dayOfWeek < 0 || search.dayOfWeek > 6)) {
+    if (search && search.dayOfWeek !== undefined &&
+        (!Number.isInteger(search.dayOfWeek) || search.dayOfWeek < 0 || search.dayOfWeek > 6)) {
         resp.status(400).send(`The dayOfWeek is invalid; 0 <= dayOfWeek <= 6 is expected`);
         return;
     }
-    if (search && (search.hour < 0 || search.hour > 23)) {
-        resp.status(400).send(`The hour is invalid; 0 <= hour <= 23 is expected`);
+    if (search && search.hour !== undefined && parseTime(search.hour) === undefined) {
+        resp.status(400).send(`The hour is invalid; a whole hour (0 <= hour <= 23) or a "HH:MM" time (00:00 <= hour <= 23:59) is expected`);
         return;
     }
-
-    if (search && search.sortBy) {
-        search.sortBy = search.sortBy.toLowerCase();
-        if (search.sortBy !== 'name' && search.sortBy !== 'rating') {
-            resp.status(400).send(`Invalid sortBy field: only \'name\' and \'rating\' are supported at this time`);
+    if (search && search.openNow !== undefined && typeof search.openNow !== 'boolean') {
+        resp.status(400).send(`The openNow search parameter is invalid; true or false is expected`);
+        return;
+    }
+    if (search && search.openAt !== undefined && parseInstant(search.openAt) === undefined) {
+        resp.status(400).send(`The openAt is invalid; an ISO 8601 timestamp with a UTC offset (e.g. 2026-10-19T15:30:00Z) is expected`);
+        return;
+    }
+    if (search && (search.openNow || search.openAt !== undefined) &&
+        ((search.openNow && search.openAt !== undefined) || search.dayOfWeek !== undefined || search.date !== undefined)) {
+        resp.status(400).send(`Only one of the openNow, openAt and dayOfWeek/date (and hour) search parameters may be specified`);
+        return;
+    }
+    if (search && search.near !== undefined) {
+        const near = search.near || {};
+        const invalid = near.lat === undefined || near.lng === undefined ?
+            `The near lat and lng must both be specified` : invalidCoordinates(near.lat, near.lng);
+        if (invalid) {
+            resp.status(400).send(invalid);
+            return;
+        }
+        if (typeof near.radiusMiles !== 'number' || near.radiusMiles <= 0) {
+            resp.status(400).send(`The near radiusMiles is invalid; radiusMiles > 0 is expected`);
             return;
         }
-    } else {
-        search.sortBy = 'name';
     }
-    if (search && search.sortDirection) {
-        search.sortDirection = search.sortDirection.toLowerCase();
-        if (search.sortDirection !== 'asc' && search.sortDirection !== 'desc') {
-            resp.status(400).send(`Invalid sortDirection field: only \'asc\' and \'desc\' are supported at this time`);
+
+    const invalidFilter = Object.keys(MULTI_VALUE_FILTERS)
+        .filter((filter) => search[filter] !== undefined)
+        .map((filter) => invalidMultiValueFilter(filter, search[filter]))
+        .find((invalid) => invalid);
+    if (invalidFilter) {
+        resp.status(400).send(invalidFilter);
+        return;
+    }
+    if (search && search.rating !== undefined && invalidRating(search.rating)) {
+        resp.status(400).send(invalidRating(search.rating));
+        return;
+    }
+
+    if (search && search.q !== undefined && !matchQuery(search.q)) {
+        resp.status(400).send(`The q search parameter must contain at least one word`);
+        return;
+    }
+
+    let cursor;
+    if (search && search.cursor !== undefined) {
+        cursor = decodeCursor(search.cursor);
+        if (!cursor) {
+            resp.status(400).send(`The cursor is invalid; please use a nextCursor or prevCursor value from a previous search response`);
             return;
         }
-    } else {
-        search.sortDirection = 'asc';
     }
 
+    const sort = parseSort(search, cursor);
+    if (sort.error) {
+        resp.status(400).send(sort.error);
+        return;
+    }
+    const sorts = sort.sorts;
+    if (sorts.some((s) => s.field === 'distance') && !search.near) {
+        resp.status(400).send(`The near search parameter must be specified in order to sort by distance`);
+        return;
+    }
+    if (sorts.some((s) => s.field === 'relevance') && search.q === undefined) {
+        resp.status(400).send(`The q search parameter must be specified in order to sort by relevance`);
+        return;
+    }
+    if (cursor && JSON.stringify(cursor.sorts) !== JSON.stringify(sorts)) {
+        resp.status(400).send(`The cursor does not match the specified sortBy and sortDirection; the sort order may not be changed while paging`);
+        return;
+    }
+
+    const shape = parseShape(search.include, search.fields);
+    if (shape.error) {
+        resp.status(400).send(shape.error);
+        return;
+    }
+
+    if (search.limit === undefined) {
+        search.limit = DEFAULT_BUSINESS_PER_PAGE;
+    } else if (!Number.isInteger(search.limit) || search.limit < 1 || search.limit > MAX_BUSINESS_PER_PAGE) {
+        resp.status(400).send(`The limit is invalid; 1 <= limit <= ${MAX_BUSINESS_PER_PAGE} is expected`);
+        return;
+    }
+
+    // When paging backwards we walk the sort order in reverse from the cursor and then flip the page back around.  Ties
+    // are always broken by id (in the direction of the last sort key) so that the order, and therefore paging, is stable.
+    const backwards = cursor !== undefined && cursor.direction === 'prev';
+    const keys = sorts.map((s) => ({sql: SORT_KEYS[s.field].sql, ascending: (s.dir === 'asc') !== backwards}))
+        .concat([{sql: 'businesses.id', ascending: (sorts[sorts.length - 1].dir === 'asc') !== backwards}]);
+
     try {
-        const businesses = await db('businesses')
-            .select('*',
-                    db('reviews')
-                        .select(db.raw('round(avg(rating),1)'))
-                        .where('reviews.businessId', '=', db.ref('businesses.id'))
-                        .as('avgRating')
-            )
-            .limit(MAX_BUSINESS_PER_PAGE)
+        const resolved = await resolveSearch(search);
+        const rows = await searchQuery(search, resolved)
             .where((builder) => {
-                if (search && search.name) {
-                    builder.where('name', 'like', `%${search.name.toLowerCase()}%`);
-                }
-                if (search && search.addressLine1) {
-                    builder.where('addressLine1', 'like', `%${search.addressLine1.toLowerCase()}%`);
-                }
-                if (search && search.addressLine2) {
-                    builder.where('addressLine2', 'like', `%${search.addressLine2.toLowerCase()}%`);
-                }
-                if (search && search.city) {
-                    builder.where('city', 'like', `%${search.city.toLowerCase()}%`);
-                }
-                if (search && search.state) {
-                    builder.where('state', 'like', `%${search.state.toLowerCase()}%`);
-                }
-                if (search && search.postal) {
-                    builder.where('postal', 'like', `%${search.postal.toLowerCase()}%`);
-                }
-                if (search && search.dayOfWeek !== undefined && search.hour !== undefined) {
-                    builder.whereExists(
-                        db('hours')
-                            .where('dayOfWeek', '=', search.dayOfWeek)
-                            .where('open', '<=', search.hour)
-                            .where('close', '>=', search.hour)
-                            .where('hours.businessId', '=', db.ref('businesses.id')));
-                }
-                if (search && search.service) {
-                    builder.whereExists(
-                        db('services')
-                            .where('name', 'like', `%${search.service.toLowerCase()}%`)
-                            .where('services.businessId', '=', db.ref('businesses.id')));
-                }
-                if (search && search.location) {
-                    builder.whereExists(
-                        db('locations')
-                            .where('name', 'like', `%${search.location.toLowerCase()}%`)
-                            .where('locations.businessId', '=', db.ref('businesses.id')));
-                }
-                if (search && search.rating !== undefined) {
-                    builder.where(db.ref('avgRating'), '>=', search.rating);
+                if (cursor) {
+                    // the rows beyond the cursor are those that are beyond it by the first key on which they differ
+                    const values = cursor.values.concat([cursor.id]);
+                    keys.forEach((key, i) => {
+                        builder.orWhere((position) => {
+                            keys.slice(0, i).forEach((equal, j) => position.whereRaw(`${equal.sql} = ?`, [values[j]]));
+                            position.whereRaw(`${key.sql} ${key.ascending ? '>' : '<'} ?`, [values[i]]);
+                        });
+                    });
                 }
             })
-            .orderBy(search.sortBy === 'rating' ? 'avgRating' : search.sortBy, search.sortDirection)
-            .then((results) => {
-                return Promise.all(
-                    results.map(async (b) => {
-                        b.locations = await getLocations(b.id);
-                        b.hours = await getHours(b.id);
-                        b.services = await getServices(b.id);
-                        b.reviews = await getReviews(b.id);
-                        return b;
-                    })
-                );
-            });
+            .orderByRaw(keys.map((key) => `${key.sql} ${key.ascending ? 'asc' : 'desc'}`).join(', '))
+            // fetch one extra row so that we know whether there is another page beyond this one
+            .limit(search.limit + 1);
 
-        if (businesses && businesses.length) {
-            resp.status(200).json(businesses);
+        const hasMore = rows.length > search.limit;
+        const page = rows.slice(0, search.limit);
+        if (backwards) {
+            page.reverse();
+        }
+
+        const businesses = await loadCollections(page, shape.include)
+            .then((results) => loadOpeningStatus(results));
+        const histograms = search.ratingHistogram ? await ratingHistograms(page.map((b) => b.id)) : undefined;
+
+        // A cursor may lie beyond the end of the results (e.g. once the Businesses after it have been removed), which is
+        // simply an empty page rather than a search that matches nothing
+        if (businesses.length || cursor) {
+            const first = businesses[0];
+            const last = businesses[businesses.length - 1];
+            const results = {
+                businesses: businesses.map((b) => histograms ?
+                    {...selectFields(b, shape), ratingHistogram: histograms[b.id]} : selectFields(b, shape)),
+                // Any cursor we were handed implies that there is at least the cursor row on the other side of this page
+                nextCursor: last && (backwards ? cursor : hasMore) ? encodeCursor(sorts, last, 'next') : null,
+                prevCursor: first && (backwards ? hasMore : cursor) ? encodeCursor(sorts, first, 'prev') : null
+            };
+            if (search.includeTotal) {
+                const total = await db.count('* as c').from(searchQuery(search, resolved).as('results'));
+                results.totalCount = total[0]['c'];
+            }
+            if (search.facets) {
+                results.facets = await facetCounts(search, resolved);
+            }
+            if (cacheable) {
+                // GET searches are identified by their URL, so allow shared caches to hold onto them for a little while
+                resp.set('Cache-Control', 'public, max-age=60');
+            }
+            resp.status(200).json(results);
         } else {
             resp.status(404).send('no Businesses matching the specified criteria could be found');
         }
@@ -348,6 +1236,317 @@ router.post('/search', async (req, resp, next) => {
         console.error(`Error while retrieving businesses ${JSON.stringify(err)}`);
         resp.status(500).send({ error: err });
     }
+}
+
+/**
+ * @swagger
+ * path:
+ *  /businesses/search:
+ *    post:
+ *      summary: Retrieve the Businesses that match specified search criteria
+ *      tags: [Business]
+ *      requestBody:
+ *        description: The optional Search parameters used to filter the desired Businesses with
+ *        content:
+ *          application/json:
+ *            schema:
+ *              $ref: '#/components/schemas/Search'
+ *      responses:
+ *        "200":
+ *          description: A page of the Businesses matching the specified search criteria along with the cursors needed to page through the remaining results.  This was originally a bare array of the Businesses, which are now the businesses of the SearchResults.
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: '#/components/schemas/SearchResults'
+ *        "400":
+ *          description: Bad Request - an invalid search combination, filter, limit, cursor, include or fields value has been specified
+ *        "404":
+ *          description: no Businesses matching the specified criteria could be found (a cursor beyond the end of the results responds with an empty page instead)
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.post('/search', async (req, resp, next) => {
+    await searchBusinesses(req.body || {}, resp);
+});
+
+/**
+ * @swagger
+ * path:
+ *  /businesses:
+ *    get:
+ *      summary: Retrieve the Businesses that match search criteria specified as query parameters
+ *      description: The bookmarkable (and cacheable) equivalent of POST /businesses/search.  Every Search field may be specified as a query parameter of the same name, with nested fields named using brackets (e.g. near[lat] or services[all]).  Lists may be specified as repeated and/or comma separated parameters.
+ *      tags: [Business]
+ *      parameters:
+ *        - in: query
+ *          name: q
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: Equivalent to the Search q field; free-text matched against the Business name, the names of its Services and the comments of its Reviews.
+ *        - in: query
+ *          name: name
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: Equivalent to the Search name field; case-insensitive, partial-text matched against the Business name.
+ *        - in: query
+ *          name: addressLine1
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: Equivalent to the Search addressLine1 field.
+ *        - in: query
+ *          name: addressLine2
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: Equivalent to the Search addressLine2 field.
+ *        - in: query
+ *          name: city
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: Equivalent to the Search city field.
+ *        - in: query
+ *          name: state
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: Equivalent to the Search state field.
+ *        - in: query
+ *          name: postal
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: Equivalent to the Search postal field.
+ *        - in: query
+ *          name: dayOfWeek
+ *          schema:
+ *            type: integer
+ *          required: false
+ *          description: Equivalent to the Search dayOfWeek field (0 <= dayOfWeek <= 6); must be specified along with hour.
+ *        - in: query
+ *          name: date
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: Equivalent to the Search date field; a "YYYY-MM-DD" date that must be specified along with hour (and instead of dayOfWeek).
+ *        - in: query
+ *          name: hour
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: Equivalent to the Search hour field; a "HH:MM" time (or whole hour) that must be specified along with dayOfWeek or date.
+ *        - in: query
+ *          name: openNow
+ *          schema:
+ *            type: boolean
+ *          required: false
+ *          description: Equivalent to the Search openNow field.
+ *        - in: query
+ *          name: openAt
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: Equivalent to the Search openAt field; an ISO 8601 timestamp with a UTC offset.
+ *        - in: query
+ *          name: service
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: Equivalent to the Search service field; typo-tolerant and synonym-aware.
+ *        - in: query
+ *          name: location
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: Equivalent to the Search location field; typo-tolerant and synonym-aware.
+ *        - in: query
+ *          name: services[any]
+ *          schema:
+ *            type: array
+ *            items:
+ *              type: string
+ *          required: false
+ *          description: Equivalent to the Search services any list; the Businesses offering at least one of the Services.
+ *        - in: query
+ *          name: services[all]
+ *          schema:
+ *            type: array
+ *            items:
+ *              type: string
+ *          required: false
+ *          description: Equivalent to the Search services all list; the Businesses offering every one of the Services.
+ *        - in: query
+ *          name: services[exclude]
+ *          schema:
+ *            type: array
+ *            items:
+ *              type: string
+ *          required: false
+ *          description: Equivalent to the Search services exclude list; the Businesses offering none of the Services.
+ *        - in: query
+ *          name: locations[any]
+ *          schema:
+ *            type: array
+ *            items:
+ *              type: string
+ *          required: false
+ *          description: Equivalent to the Search locations any list; the Businesses serving at least one of the Locations.
+ *        - in: query
+ *          name: locations[all]
+ *          schema:
+ *            type: array
+ *            items:
+ *              type: string
+ *          required: false
+ *          description: Equivalent to the Search locations all list; the Businesses serving every one of the Locations.
+ *        - in: query
+ *          name: locations[exclude]
+ *          schema:
+ *            type: array
+ *            items:
+ *              type: string
+ *          required: false
+ *          description: Equivalent to the Search locations exclude list; the Businesses serving none of the Locations.
+ *        - in: query
+ *          name: cities[any]
+ *          schema:
+ *            type: array
+ *            items:
+ *              type: string
+ *          required: false
+ *          description: Equivalent to the Search cities any list; the Businesses located in any of the cities.
+ *        - in: query
+ *          name: cities[exclude]
+ *          schema:
+ *            type: array
+ *            items:
+ *              type: string
+ *          required: false
+ *          description: Equivalent to the Search cities exclude list; the Businesses located in none of the cities.
+ *        - in: query
+ *          name: near[lat]
+ *          schema:
+ *            type: number
+ *            format: double
+ *          required: false
+ *          description: Equivalent to the Search near lat field; must be specified along with near[lng] and near[radiusMiles].
+ *        - in: query
+ *          name: near[lng]
+ *          schema:
+ *            type: number
+ *            format: double
+ *          required: false
+ *          description: Equivalent to the Search near lng field; must be specified along with near[lat] and near[radiusMiles].
+ *        - in: query
+ *          name: near[radiusMiles]
+ *          schema:
+ *            type: number
+ *            format: double
+ *          required: false
+ *          description: Equivalent to the Search near radiusMiles field (radiusMiles > 0).
+ *        - in: query
+ *          name: rating
+ *          schema:
+ *            type: number
+ *            format: float
+ *          required: false
+ *          description: Equivalent to the Search rating field specified as a minimum rating; may not be combined with rating[gte] or rating[lte].
+ *        - in: query
+ *          name: rating[gte]
+ *          schema:
+ *            type: number
+ *            format: float
+ *          required: false
+ *          description: Equivalent to the Search rating gte field; the minimum avgRating.
+ *        - in: query
+ *          name: rating[lte]
+ *          schema:
+ *            type: number
+ *            format: float
+ *          required: false
+ *          description: Equivalent to the Search rating lte field; the maximum avgRating.
+ *        - in: query
+ *          name: sortBy
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: Equivalent to the Search sortBy field; either a single field or a comma separated list of field:dir sort keys in order of precedence (e.g. rating:desc,reviewCount:desc).
+ *        - in: query
+ *          name: sortDirection
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: Equivalent to the Search sortDirection field.
+ *        - in: query
+ *          name: limit
+ *          schema:
+ *            type: integer
+ *          required: false
+ *          description: Equivalent to the Search limit field (1 <= limit <= 100); defaults to 25.
+ *        - in: query
+ *          name: cursor
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: Equivalent to the Search cursor field; a nextCursor or prevCursor value from a previous search response.
+ *        - in: query
+ *          name: include
+ *          schema:
+ *            type: array
+ *            items:
+ *              type: string
+ *          required: false
+ *          description: Equivalent to the Search include field; the collections (locations, hours, services and/or reviews) to include.
+ *        - in: query
+ *          name: fields
+ *          schema:
+ *            type: array
+ *            items:
+ *              type: string
+ *          required: false
+ *          description: Equivalent to the Search fields field; the Business attributes to return.
+ *        - in: query
+ *          name: includeTotal
+ *          schema:
+ *            type: boolean
+ *          required: false
+ *          description: Equivalent to the Search includeTotal field; true or false.
+ *        - in: query
+ *          name: facets
+ *          schema:
+ *            type: boolean
+ *          required: false
+ *          description: Equivalent to the Search facets field; true or false.
+ *        - in: query
+ *          name: ratingHistogram
+ *          schema:
+ *            type: boolean
+ *          required: false
+ *          description: Equivalent to the Search ratingHistogram field; true or false.
+ *      responses:
+ *        "200":
+ *          description: A page of the Businesses matching the specified search criteria along with the cursors needed to page through the remaining results.  This was originally a bare array of the Businesses, which are now the businesses of the SearchResults.  Responses may be cached for up to 60 seconds.
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: '#/components/schemas/SearchResults'
+ *        "400":
+ *          description: Bad Request - an invalid search combination, filter, limit, cursor, include or fields value has been specified
+ *        "404":
+ *          description: no Businesses matching the specified criteria could be found (a cursor beyond the end of the results responds with an empty page instead)
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.get('/', async (req, resp, next) => {
+    const parsed = searchFromQuery(req.query);
+    if (parsed.error) {
+        resp.status(400).send(parsed.error);
+        return;
+    }
+    await searchBusinesses(parsed.search, resp, true);
 });
 
 /**
@@ -357,8 +1556,15 @@ router.post('/search', async (req, resp, next) => {
  *    post:
  *      summary: Add a new Business
  *      tags: [Business]
+ *      parameters:
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: The id of the User writing any of the included Reviews (required if there are any)
  *      requestBody:
- *        description: A sparse Business object (i.e. only the name must be specified.  The id attribute will be ignored if specified.  Any optionally included Locations, Hours, Services and/or Reviews will be atomically inserted within the transaction used to add the new Business.)
+ *        description: A sparse Business object (i.e. only the name must be specified.  The id attribute will be ignored if specified.  Any optionally included Locations, Hours, Services and/or Reviews will be atomically inserted within the transaction used to add the new Business, with the Reviews awaiting moderation like any others.  Just as through the reviews API, a Review may only be written by the User identified by the X-User-Id header, who must identify themselves as its reviewer by their userId and may only review the Business once.  The postal code and/or city/state are resolved against a bundled postal code gazetteer which normalizes the city/state and, unless the latitude and longitude are specified, supplies the Business coordinates.  Likewise, unless the timeZone is specified, it is defaulted from the postal code or state.)
  *        required: true
  *        content:
  *          application/json:
@@ -373,7 +1579,11 @@ router.post('/search', async (req, resp, next) => {
  *                type: string
  *                description: the unique id for the new Business
  *        "400":
- *          description: Bad Request - the Business name must be specified
+ *          description: Bad Request - the Business name must be specified, any coordinates and timeZone must be valid, any postal code and/or city/state must exist and agree with one another, and each of the Reviews must identify a distinct User as its reviewer
+ *        "401":
+ *          description: Unauthorized - Reviews have been included, but no User has been identified by the X-User-Id header
+ *        "403":
+ *          description: Forbidden - one of the Reviews identifies a reviewer other than the User identified by the X-User-Id header
  *        "5XX":
  *          description: unexpected error
  */
@@ -396,6 +1606,15 @@ router.post('/', async (req, resp, next) => {
     delete business.services;
     delete business.reviews;
     delete business.avgRating;
+    delete business.weightedRating;
+    delete business.reviewCount;
+    delete business.lastReviewedAt;
+    delete business.isOpenNow;
+    delete business.nextOpenAt;
+    delete business.distance;
+    delete business.relevance;
+    delete business.snippet;
+    delete business.ratingHistogram;
     delete business['created_at'];
     delete business['updated_at'];
 
@@ -403,11 +1622,67 @@ router.post('/', async (req, resp, next) => {
         resp.status(400).send(`Business name must be specified`);
         return;
     }
+    const invalid = [business, ...(locations || [])]
+        .map((item) => invalidCoordinates(item.latitude, item.longitude))
+        .find((message) => message);
+    if (invalid) {
+        resp.status(400).send(invalid);
+        return;
+    }
+    if (business.timeZone !== undefined && !validTimeZone(business.timeZone)) {
+        resp.status(400).send(invalidTimeZone(business.timeZone));
+        return;
+    }
+    const invalidHours = (hours || []).map(invalidHour).find((message) => message) ||
+        ((hours || []).map(storedHour).some((hour, i, stored) => overlappingHour(hour, stored.slice(0, i))) ?
+            `The Business Hours must not overlap one another` : undefined);
+    if (invalidHours) {
+        resp.status(400).send(invalidHours);
+        return;
+    }
+    const invalidServices = (services || []).map((service) => invalidSlotMinutes(service.slotMinutes)).find((message) => message);
+    if (invalidServices) {
+        resp.status(400).send(invalidServices);
+        return;
+    }
+    // each of the Business' Reviews is written by a User, who may only review it the once (just as through the reviews API)
+    const reviewerIds = (reviews || []).map((review) => review.userId);
+    if (reviewerIds.some((userId) => typeof userId !== 'string' || !userId)) {
+        resp.status(400).send(`Each of the Business Reviews must identify its reviewer by userId`);
+        return;
+    }
+    if (new Set(reviewerIds).size < reviewerIds.length) {
+        resp.status(400).send(`A reviewer may only review the Business once`);
+        return;
+    }
+    const address = resolveAddress(business);
+    if (address && address.error) {
+        resp.status(400).send(address.error);
+        return;
+    }
+    if (address) {
+        applyAddress(business, address);
+    }
+    if (business.timeZone === undefined) {
+        business.timeZone = timeZoneFor(business);
+    }
 
     // TODO: Note: we would typically want to check here to make sure the requested business does not already exist and return an
     // appropriate indication if it does.  However, for simplicity of this exercise, this is presently omitted.
 
     try {
+        if (reviewerIds.length) {
+            const user = await actingUser(req);
+            if (!user) {
+                resp.status(401).send(`The reviewer must be identified by the X-User-Id header`);
+                return;
+            }
+            if (reviewerIds.some((userId) => userId !== user.id)) {
+                resp.status(403).send(`Only the reviewer who writes a Review may identify themselves as its reviewer`);
+                return;
+            }
+        }
+
         await db.transaction(async (trx) => {
             const businesses = await db('businesses')
                 .insert(business)
@@ -420,7 +1695,7 @@ router.post('/', async (req, resp, next) => {
             }
             if (hours && hours.length) {
                 await db('hours')
-                    .insert(hours)
+                    .insert(hours.map(storedHour))
                     .transacting(trx);
             }
             if (services && services.length) {
@@ -429,8 +1704,9 @@ router.post('/', async (req, resp, next) => {
                     .transacting(trx);
             }
             if (reviews && reviews.length) {
+                // the Business' reviews await moderation like any others
                 await db('reviews')
-                    .insert(reviews)
+                    .insert(reviews.map(submittedReview))
                     .transacting(trx);
             }
 
@@ -442,6 +1718,19 @@ router.post('/', async (req, resp, next) => {
     }
 });
 
+// Normalizes the city/state of the business to those of its resolved address and, unless coordinates of its own have
+// been specified, locates the business at the address as well
+const applyAddress = (business, address) => {
+    business.city = address.city;
+    business.state = address.state;
+    if (business.latitude === undefined && business.longitude === undefined) {
+        business.latitude = address.latitude;
+        business.longitude = address.longitude;
+    }
+}
+
+const invalidTimeZone = (timeZone) => `The timeZone ${timeZone} is invalid; an IANA time zone (e.g. America/Denver) is expected`;
+
 const addIds = (list, businessId) => {
     return list && list.length ? list.map((item) => {
         // TODO: Note: we ignore and override any ids that may have been specified in the body for simplicity reason for this
@@ -469,7 +1758,7 @@ const addIds = (list, businessId) => {
  *          required: true
  *          description: The unique id for the business
  *      requestBody:
- *        description: A sparse Business object (i.e. only the name and/or address information must be specified.  The id attribute will be ignored if specified.  Please note that any optionally included Locations, Hours, Services and/or Reviews will be ignored if provided - please use the respective endpoints for each to make any desired changes to them directly.)
+ *        description: A sparse Business object (i.e. only the name, address information and/or timeZone must be specified.  The id attribute will be ignored if specified.  Please note that any optionally included Locations, Hours, Services and/or Reviews will be ignored if provided - please use the respective endpoints for each to make any desired changes to them directly.  Any revised postal code and/or city/state are resolved against a bundled postal code gazetteer in the same manner as when adding a Business, and re-default the timeZone unless it is specified as well.)
  *        required: true
  *        content:
  *          application/json:
@@ -484,7 +1773,7 @@ const addIds = (list, businessId) => {
  *                type: string
  *                description: the unique id for the new Business
  *        "400":
- *          description: Bad Request - at least one of the Business name and/or address attributes must be specified
+ *          description: Bad Request - at least one of the Business name, address and/or timeZone attributes must be specified, any coordinates and timeZone must be valid and any postal code and/or city/state must exist and agree with one another
  *        "404":
  *          description: business identified by {businessId} not found
  *        "5XX":
@@ -498,8 +1787,18 @@ router.put('/:businessId', async (req, resp, next) => {
     }
 
     if (!business.name && !business.addressLine1 && !business.addressline2 &&
-        !business.city && !business.state && !business.postal) {
-        resp.status(400).send(`At least one of Business name and/or address attributes must be specified`);
+        !business.city && !business.state && !business.postal &&
+        business.latitude === undefined && business.longitude === undefined && business.timeZone === undefined) {
+        resp.status(400).send(`At least one of Business name, address and/or timeZone attributes must be specified`);
+        return;
+    }
+    const invalid = invalidCoordinates(business.latitude, business.longitude);
+    if (invalid) {
+        resp.status(400).send(invalid);
+        return;
+    }
+    if (business.timeZone !== undefined && !validTimeZone(business.timeZone)) {
+        resp.status(400).send(invalidTimeZone(business.timeZone));
         return;
     }
 
@@ -510,15 +1809,37 @@ router.put('/:businessId', async (req, resp, next) => {
     // an appropriate indication if it does.  However, for simplicity of this exercise, this is presently omitted.
 
     try {
-        const businessCount = await db('businesses')
-            .count('* as c')
-            .where({id});
+        const existing = await db('businesses').where({id});
 
-        if (businessCount[0]['c'] < 1) {
+        if (!existing.length) {
             resp.status(404).send(`The specified business does not exist`);
             return;
         }
 
+        // A revised postal code is resolved on its own (along with any city/state also being revised), whereas a revised
+        // city/state must still agree with the existing postal code
+        let address;
+        if (business.postal) {
+            address = resolveAddress(business);
+        } else if (business.city || business.state) {
+            address = resolveAddress({
+                postal: existing[0].postal,
+                city: business.city || existing[0].city,
+                state: business.state || existing[0].state
+            });
+        }
+        if (address && address.error) {
+            resp.status(400).send(address.error);
+            return;
+        }
+        if (address) {
+            applyAddress(business, address);
+            // a Business that has moved keeps its Hours in the time zone of its new address, unless told otherwise
+            if (business.timeZone === undefined) {
+                business.timeZone = timeZoneFor({postal: business.postal || existing[0].postal, state: business.state});
+            }
+        }
+
         const updatedBusiness = {
             name: business.name ? business.name : undefined,
             addressLine1: business.addressLine1 ? business.addressLine1 : undefined,
@@ -526,6 +1847,9 @@ router.put('/:businessId', async (req, resp, next) => {
             city: business.city ? business.city : undefined,
             state: business.state ? business.state : undefined,
             postal: business.postal ? business.postal : undefined,
+            latitude: business.latitude,
+            longitude: business.longitude,
+            timeZone: business.timeZone,
             'updated_at': db.fn.now()
         }
 
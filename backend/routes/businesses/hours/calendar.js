@@ -0,0 +1,58 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router({mergeParams: true});
+const db = require('../../../db')
+const { hoursCalendar } = require('../../../icalendar');
+
+/**
+ * @swagger
+ * path:
+ *  /businesses/{businessId}/hours.ics:
+ *    get:
+ *      summary: Retrieve the Hours associated with the {businessId} as an iCalendar (RFC 5545) calendar that calendar clients may subscribe to
+ *      tags: [Hours]
+ *      parameters:
+ *        - in: path
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the business
+ *      responses:
+ *        "200":
+ *          description: A calendar with a weekly recurring event (in the business' time zone) for each of the business' Hours, from which the dates of its upcoming Hour exceptions are excluded, and an event for each of those Hour exceptions (closures being all day events).  The events are named after the business and located at its address.
+ *          content:
+ *            text/calendar:
+ *              schema:
+ *                type: string
+ *        "404":
+ *          description: business identified by {businessId} not found
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.get('/', async (req, resp, next) => {
+    const businessId = req.params.businessId;
+
+    try {
+        const businesses = await db('businesses').where({id: businessId});
+        if (!businesses.length) {
+            resp.status(404).send(`The specified business does not exist`);
+            return;
+        }
+
+        const [hours, exceptions] = await Promise.all([
+            db('hours').where({businessId}).orderBy(['dayOfWeek', 'open']),
+            db('hour_exceptions').where({businessId}).orderBy(['date', 'open'])
+        ]);
+
+        resp.set('Content-Type', 'text/calendar; charset=utf-8');
+        resp.set('Content-Disposition', `inline; filename="${businessId}-hours.ics"`);
+        resp.status(200).send(hoursCalendar(businesses[0], hours, exceptions));
+    } catch (err) {
+        console.error(`Error while retrieving the hours calendar for businessId ${businessId}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+module.exports = router;
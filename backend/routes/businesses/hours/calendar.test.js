@@ -0,0 +1,120 @@
+'use strict';
+
+const db = require('../../../db')
+const hours = require('./hours');
+const calendar = require('./calendar');
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+
+const app = express();
+
+app.use(bodyParser.json());
+app.use('/businesses/:businessId/hours', hours);
+app.use('/businesses/:businessId/hours.ics', calendar);
+
+let testBusiness;
+
+const resetDb = async (done) => {
+    // We want to have a known starting point before each test, so we clear out any previous data and begin with
+    // a known initial set of seed data
+    await db.migrate.latest();
+    await db.table('businesses').del();
+    await db.seed.run();
+
+    // As the ids are dynamically determined and assigned, we cannot rely upon pre-determined values to
+    // identify a business.  Therefore, for testing purposes, we will arbitrarily choose one of the initial seed data
+    // businesses to fulfill this need and enable proper testing.
+    const businesses = await db('businesses').orderBy('name');
+    testBusiness = businesses[0];
+
+    done();
+}
+
+beforeAll(() => {
+    process.env.NODE_ENV = 'test';
+});
+
+beforeEach(async (done) => {
+    await resetDb(done);
+});
+
+// Unfolds the folded content lines of a calendar back into whole lines
+const contentLines = (text) => text.replace(/\r\n /g, '').split('\r\n');
+
+test('GET /businesses/<testBusiness.id>/hours.ics for initial seed data', async (done) => {
+    await request(app).get(`/businesses/${testBusiness.id}/hours.ics`)
+        .expect('Content-Type', /text\/calendar/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.text).toMatch(/^BEGIN:VCALENDAR\r\n/);
+            expect(res.text).toMatch(/\r\nEND:VCALENDAR\r\n$/);
+            // content lines are folded so that none of them is longer than 75 octets
+            expect(res.text.split('\r\n').every((line) => Buffer.byteLength(line) <= 75)).toBe(true);
+            expect(contentLines(res.text)).toEqual(expect.arrayContaining(['VERSION:2.0', 'X-WR-TIMEZONE:America/Denver',
+                'BEGIN:VTIMEZONE', 'TZID:America/Denver']));
+
+            // one weekly recurring event for each of the Monday through Friday Hours
+            const events = res.text.split('BEGIN:VEVENT').slice(1).map(contentLines);
+            expect(events.length).toEqual(5);
+            expect(events.map((event) => event.find((line) => line.startsWith('RRULE:'))))
+                .toEqual(['MO', 'TU', 'WE', 'TH', 'FR'].map((day) => `RRULE:FREQ=WEEKLY;BYDAY=${day}`));
+            events.forEach((event) => {
+                expect(event).toEqual(expect.arrayContaining([
+                    'SUMMARY:Sample Business #1 open',
+                    'LOCATION:1234 Fake St\\, Suite 500\\, Denver\\, CO 80210',
+                    expect.stringMatching(/^DTSTART;TZID=America\/Denver:\d{8}T090000$/),
+                    expect.stringMatching(/^DTEND;TZID=America\/Denver:\d{8}T170000$/),
+                    expect.stringMatching(/^DTSTAMP:\d{8}T\d{6}Z$/),
+                    expect.stringMatching(/^UID:.+@/)
+                ]));
+            });
+            done();
+        });
+});
+
+test('GET /businesses/<testBusiness.id>/hours.ics with overnight hours and hour exceptions', async (done) => {
+    await request(app).post(`/businesses/${testBusiness.id}/hours`)
+        .send({dayOfWeek: 6, open: '22:00', close: '02:00'})
+        .expect(200);
+    // 2099-11-26 is a Thursday, and well in the future no matter when this is run
+    await db('hour_exceptions').insert([
+        {id: 'thanksgiving', businessId: testBusiness.id, date: '2099-11-26', closed: true, description: 'Thanksgiving; closed'},
+        {id: 'black-friday', businessId: testBusiness.id, date: '2099-11-27', closed: false, open: 6 * 60, close: 22 * 60},
+        {id: 'long-ago', businessId: testBusiness.id, date: '2000-01-01', closed: true}
+    ]);
+
+    await request(app).get(`/businesses/${testBusiness.id}/hours.ics`)
+        .expect(200)
+        .expect((res) => {
+            const events = res.text.split('BEGIN:VEVENT').slice(1).map(contentLines);
+            expect(events.length).toEqual(8);
+
+            const eventFor = (uid) => events.find((event) => event.includes(`UID:${uid}@homeadvisor.businesses`));
+            const thursday = events.find((event) => event.includes('RRULE:FREQ=WEEKLY;BYDAY=TH'));
+            expect(thursday).toContain('EXDATE;TZID=America/Denver:20991126T090000');
+            const friday = events.find((event) => event.includes('RRULE:FREQ=WEEKLY;BYDAY=FR'));
+            expect(friday).toContain('EXDATE;TZID=America/Denver:20991127T090000');
+
+            const saturday = events.find((event) => event.includes('RRULE:FREQ=WEEKLY;BYDAY=SA'));
+            const start = saturday.find((line) => line.startsWith('DTSTART')).slice(-15, -7);
+            const end = saturday.find((line) => line.startsWith('DTEND')).slice(-15, -7);
+            expect(Date.parse(`${end.slice(0, 4)}-${end.slice(4, 6)}-${end.slice(6)}`) -
+                Date.parse(`${start.slice(0, 4)}-${start.slice(4, 6)}-${start.slice(6)}`)).toEqual(24 * 60 * 60 * 1000);
+
+            expect(eventFor('thanksgiving')).toEqual(expect.arrayContaining(['DTSTART;VALUE=DATE:20991126',
+                'DTEND;VALUE=DATE:20991127', 'TRANSP:TRANSPARENT', 'SUMMARY:Sample Business #1 closed',
+                'DESCRIPTION:Thanksgiving\\; closed']));
+            expect(eventFor('black-friday')).toEqual(expect.arrayContaining(['DTSTART;TZID=America/Denver:20991127T060000',
+                'DTEND;TZID=America/Denver:20991127T220000', 'SUMMARY:Sample Business #1 open']));
+            expect(eventFor('long-ago')).toBeUndefined();
+            done();
+        });
+});
+
+test('GET /businesses/<unknown>/hours.ics - Should not be found', async (done) => {
+    await request(app).get(`/businesses/unknown/hours.ics`)
+        .expect(404);
+    done();
+});
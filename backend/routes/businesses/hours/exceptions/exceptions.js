@@ -0,0 +1,404 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router({mergeParams: true});
+const uuid = require('uuid');
+const db = require('../../../../db')
+const { parseDate, invalidException, storedException, presentedException, conflictingException } = require('../../../../schedule');
+
+/**
+ * @swagger
+ *  components:
+ *    schemas:
+ *      HourException:
+ *        type: object
+ *        required:
+ *          - id
+ *          - businessId
+ *          - date
+ *        properties:
+ *          id:
+ *            type: string
+ *            description: Unique id for the Hour exception.
+ *          businessId:
+ *            type: string
+ *            description: The id of the business to associate the Hour exception with.
+ *          date:
+ *            type: string
+ *            description: The "YYYY-MM-DD" date on which the Hour exception replaces the business' weekly Hours.  Whenever a date has any Hour exceptions, the weekly Hours for that day of the week do not apply on it at all.  A business may have several Hour exceptions on the same date (e.g. 09:00 - 12:00 and 18:00 - 22:00), so long as none of them overlap and none of them is a closure.
+ *          closed:
+ *            type: boolean
+ *            description: Whether the business is closed for the whole date (e.g. Thanksgiving), in which case the open and close need not be specified (and are presented as null, as are the openTime and closeTime).  Defaults to false.
+ *          open:
+ *            type: number
+ *            description: The opening time as a number of hours (24 hour clock with 0 === midnight, e.g. 9.5 for 09:30) on the date.  A "HH:MM" time (e.g. "09:30") is also accepted.
+ *          close:
+ *            type: number
+ *            description: The closing time as a number of hours (24 hour clock with 0 === midnight, and 24 === the end of the day) on the date.  A "HH:MM" time (e.g. "17:45") is also accepted.  A close that is earlier than the open (e.g. 22 - 6) runs overnight, closing on the following day.
+ *          openTime:
+ *            type: string
+ *            readOnly: true
+ *            description: The opening time as "HH:MM" (e.g. 09:30)
+ *          closeTime:
+ *            type: string
+ *            readOnly: true
+ *            description: The closing time as "HH:MM" (e.g. 17:45)
+ *          allDay:
+ *            type: boolean
+ *            description: Whether the business is open around the clock on the date, in which case the open and close need not be specified (and are presented as 0 and 24).  Defaults to false.
+ *          description:
+ *            type: string
+ *            description: An optional description of the reason for the Hour exception (e.g. Thanksgiving)
+ *          created_at:
+ *            type: string
+ *            description: Timestamp of creation
+ *          updated_at:
+ *            type: string
+ *            description: Timestamp of last update
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Hour Exceptions
+ *   description: Business Hour Exception (holiday and special date) API
+ */
+
+/**
+ * @swagger
+ * path:
+ *  /businesses/{businessId}/hours/exceptions:
+ *    get:
+ *      summary: Retrieve the Hour exceptions associated with the {businessId}
+ *      tags: [Hour Exceptions]
+ *      parameters:
+ *        - in: path
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the business
+ *        - in: query
+ *          name: from
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: An optional "YYYY-MM-DD" date limiting the Hour exceptions to those on or after it
+ *        - in: query
+ *          name: to
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: An optional "YYYY-MM-DD" date limiting the Hour exceptions to those on or before it
+ *      responses:
+ *        "200":
+ *          description: Hour exceptions associated with the specified business, in date order
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: array
+ *                items:
+ *                  $ref: '#/components/schemas/HourException'
+ *        "400":
+ *          description: Bad Request - the from or to date is invalid
+ *        "404":
+ *          description: business identified by {businessId} not found
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.get('/', async (req, resp, next) => {
+    const businessId = req.params.businessId;
+
+    const invalidDate = ['from', 'to'].find((bound) => req.query[bound] !== undefined && !parseDate(req.query[bound]));
+    if (invalidDate) {
+        resp.status(400).send(`The ${invalidDate} date is invalid; a "YYYY-MM-DD" date is expected`);
+        return;
+    }
+
+    try {
+        const businessCount = await db('businesses')
+            .count('* as c')
+            .where({id: businessId});
+        if (businessCount[0]['c'] < 1) {
+            resp.status(404).send(`The specified business does not exist`);
+            return;
+        }
+
+        const exceptions = await db('hour_exceptions')
+            .where({businessId})
+            .where((builder) => {
+                if (req.query.from !== undefined) {
+                    builder.where('date', '>=', parseDate(req.query.from));
+                }
+                if (req.query.to !== undefined) {
+                    builder.where('date', '<=', parseDate(req.query.to));
+                }
+            })
+            .orderBy(['date', 'open']);
+
+        resp.status(200).json(exceptions.map(presentedException));
+    } catch (err) {
+        console.error(`Error while retrieving hour exceptions for businessId ${businessId}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+/**
+ * @swagger
+ * path:
+ *  /businesses/{businessId}/hours/exceptions/{id}:
+ *    get:
+ *      summary: Retrieve the unique Hour exception identified by {id} and associated with {businessId}
+ *      tags: [Hour Exceptions]
+ *      parameters:
+ *        - in: path
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the business
+ *        - in: path
+ *          name: id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the Hour exception
+ *      responses:
+ *        "200":
+ *          description: The Hour exception identified by {id} and associated with business {businessId}
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: '#/components/schemas/HourException'
+ *        "404":
+ *          description: Hour exception identified by {id} and associated with business {businessId} not found
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.get('/:id', async (req, resp, next) => {
+    const businessId = req.params.businessId;
+    const id = req.params.id;
+
+    try {
+        const exceptions = await db('hour_exceptions').where({id, businessId});
+
+        if (exceptions && exceptions.length) {
+            resp.status(200).json(presentedException(exceptions[0]));
+        } else {
+            resp.status(404).send(`The specified business/hour exception combination does not exist`);
+        }
+    } catch (err) {
+        console.error(`Error while retrieving hour exceptions for businessId ${businessId}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+/**
+ * @swagger
+ * path:
+ *  /businesses/{businessId}/hours/exceptions:
+ *    post:
+ *      summary: Add a new Hour exception associated with the {businessId} business
+ *      tags: [Hour Exceptions]
+ *      parameters:
+ *        - in: path
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the business
+ *      requestBody:
+ *        description: A sparse Hour exception object (i.e. only the date along with closed, allDay or the open and close must be specified, while the description is optional.  All other attributes are ignored if specified)
+ *        required: true
+ *        content:
+ *          application/json:
+ *            schema:
+ *              $ref: '#/components/schemas/HourException'
+ *      responses:
+ *        "200":
+ *          description: The new Hour exception has been added and associated with the {businessId} business
+ *        "400":
+ *          description: Bad Request - the Hour exception date, closed, open, close and allDay value(s) are missing or invalid, or the Hour exception conflicts with another of the business' Hour exceptions on the same date
+ *        "404":
+ *          description: business identified by {businessId} not found
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.post('/', async (req, resp, next) => {
+    const businessId = req.params.businessId;
+
+    const invalid = invalidException(req.body);
+    if (invalid) {
+        resp.status(400).send(invalid);
+        return;
+    }
+    const exception = storedException(req.body);
+
+    // TODO: Note: we ignore and override any ids that may have been specified in the body for simplicity reason for this
+    // exercise.  However, we would typically want to detect this and notify the caller in some manner
+    exception.id = uuid.v4();
+    exception.businessId = businessId;
+    delete exception['created_at'];
+    delete exception['updated_at'];
+
+    try {
+        const businessCount = await db('businesses')
+            .count('* as c')
+            .where({id: businessId});
+
+        if (businessCount[0]['c'] < 1) {
+            resp.status(404).send(`The specified business does not exist`);
+            return;
+        }
+        const conflicting = conflictingException(exception,
+            await db('hour_exceptions').where({businessId, date: exception.date}));
+        if (conflicting) {
+            resp.status(400).send(`The Hour exception conflicts with the existing Hour exception ${conflicting.id} on ${exception.date}`);
+            return;
+        }
+        await db('hour_exceptions').insert(exception);
+
+        resp.status(200).end();
+    } catch (err) {
+        console.error(`Error while adding hour exception for businessId ${businessId} ${JSON.stringify(err)}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+/**
+ * @swagger
+ * path:
+ *  /businesses/{businessId}/hours/exceptions/{id}:
+ *    put:
+ *      summary: Update the unique Hour exception identified by {id} and associated with {businessId}
+ *      tags: [Hour Exceptions]
+ *      parameters:
+ *        - in: path
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the business
+ *        - in: path
+ *          name: id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the Hour exception
+ *      requestBody:
+ *        description: A sparse Hour exception object (i.e. only the date along with closed, allDay or the open and close must be specified, while the description is optional.  All other attributes are ignored if specified)
+ *        required: true
+ *        content:
+ *          application/json:
+ *            schema:
+ *              $ref: '#/components/schemas/HourException'
+ *      responses:
+ *        "200":
+ *          description: The Hour exception has been successfully modified
+ *        "400":
+ *          description: Bad Request - the Hour exception date, closed, open, close and allDay value(s) are missing or invalid, or the Hour exception conflicts with another of the business' Hour exceptions on the same date
+ *        "404":
+ *          description: business identified by {businessId} not found
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.put('/:id', async (req, resp, next) => {
+    const businessId = req.params.businessId;
+    const id = req.params.id;
+
+    const invalid = invalidException(req.body);
+    if (invalid) {
+        resp.status(400).send(invalid);
+        return;
+    }
+    const exception = storedException(req.body);
+
+    try {
+        const businessCount = await db('businesses')
+            .count('* as c')
+            .where({id: businessId});
+
+        if (businessCount[0]['c'] < 1) {
+            resp.status(404).send(`The specified business does not exist`);
+            return;
+        }
+        const conflicting = conflictingException(exception,
+            await db('hour_exceptions').where({businessId, date: exception.date}).whereNot({id}));
+        if (conflicting) {
+            resp.status(400).send(`The Hour exception conflicts with the existing Hour exception ${conflicting.id} on ${exception.date}`);
+            return;
+        }
+
+        await db('hour_exceptions')
+            .update({
+                date: exception.date,
+                closed: exception.closed,
+                open: exception.open,
+                close: exception.close,
+                allDay: exception.allDay,
+                description: exception.description,
+                'updated_at': db.fn.now()
+            })
+            .where({id, businessId});
+
+        resp.status(200).end();
+    } catch (err) {
+        console.error(`Error while updating hour exception for businessId ${businessId} ${JSON.stringify(err)}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+/**
+ * @swagger
+ * path:
+ *  /businesses/{businessId}/hours/exceptions/{id}:
+ *    delete:
+ *      summary: Delete the unique Hour exception identified by {id} and associated with {businessId}
+ *      tags: [Hour Exceptions]
+ *      parameters:
+ *        - in: path
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the business
+ *        - in: path
+ *          name: id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the Hour exception
+ *      responses:
+ *        "200":
+ *          description: The Hour exception has been successfully deleted
+ *        "404":
+ *          description: business identified by {businessId} not found
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.delete('/:id', async (req, resp, next) => {
+    const businessId = req.params.businessId;
+    const id = req.params.id;
+
+    try {
+        const businessCount = await db('businesses')
+            .count('* as c')
+            .where({id: businessId});
+
+        if (businessCount[0]['c'] < 1) {
+            resp.status(404).send(`The specified business does not exist`);
+            return;
+        }
+
+        await db('hour_exceptions')
+            .del()
+            .where({id, businessId});
+
+        resp.status(200).end();
+    } catch (err) {
+        console.error(`Error while deleting hour exception for businessId ${businessId} ${JSON.stringify(err)}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+module.exports = router;
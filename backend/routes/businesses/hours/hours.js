@@ -4,6 +4,7 @@ const express = require('express');
 const router = express.Router({mergeParams: true});
 const uuid = require('uuid');
 const db = require('../../../db')
+const { invalidHour, storedHour, presentedHour, overlappingHour, diffHours } = require('../../../schedule');
 
 /**
  * @swagger
@@ -15,8 +16,6 @@ const db = require('../../../db')
  *          - id
  *          - businessId
  *          - dayOfWeek
- *          - open
- *          - close
  *        properties:
  *          id:
  *            type: string
@@ -26,13 +25,24 @@ const db = require('../../../db')
  *            description: The id of the business to associate the Hour with.
  *          dayOfWeek:
  *            type: integer
- *            description: Day of week for the Hour, needs to be unique within the associated businessId.  0 for Sunday, 1 for Monday, 2 for Tuesday, ..., 6 for Saturday
+ *            description: Day of week for the Hour.  0 for Sunday, 1 for Monday, 2 for Tuesday, ..., 6 for Saturday.  A business may have several Hours on the same day (e.g. 09:00 - 12:00 and 13:00 - 17:00), so long as none of its Hours overlap.
  *          open:
- *            type: integer
- *            description: The opening time (24 hour clock with 0 === midnight) on the associated Day of week for the associated business
+ *            type: number
+ *            description: The opening time as a number of hours (24 hour clock with 0 === midnight, e.g. 9.5 for 09:30) on the associated Day of week for the associated business.  A "HH:MM" time (e.g. "09:30") is also accepted.
  *          close:
- *            type: integer
- *            description: The closing time (24 hour clock with 0 === midnight) on the associated Day of week for the associated business
+ *            type: number
+ *            description: The closing time as a number of hours (24 hour clock with 0 === midnight, and 24 === the end of the day) on the associated Day of week for the associated business.  A "HH:MM" time (e.g. "17:45") is also accepted.  A close that is earlier than the open (e.g. 22 - 6) runs overnight, closing on the following day.
+ *          openTime:
+ *            type: string
+ *            readOnly: true
+ *            description: The opening time as "HH:MM" (e.g. 09:30)
+ *          closeTime:
+ *            type: string
+ *            readOnly: true
+ *            description: The closing time as "HH:MM" (e.g. 17:45)
+ *          allDay:
+ *            type: boolean
+ *            description: Whether the business is open around the clock on the associated Day of week, in which case the open and close need not be specified (and are presented as 0 and 24).  Defaults to false.
  *          created_at:
  *            type: string
  *            description: Timestamp of creation
@@ -88,9 +98,9 @@ router.get('/', async (req, resp, next) => {
             return;
         }
 
-        const hours = await db('hours').where({businessId}).orderBy('dayOfWeek');
+        const hours = await db('hours').where({businessId}).orderBy(['dayOfWeek', 'open']);
 
-        resp.status(200).json(hours);
+        resp.status(200).json(hours.map(presentedHour));
     } catch (err) {
         console.error(`Error while retrieving hours for businessId ${businessId}`);
         resp.status(500).render('error', { error: err });
@@ -137,7 +147,7 @@ router.get('/:id', async (req, resp, next) => {
         const hours = await db('hours').where({id, businessId});
 
         if (hours && hours.length) {
-            resp.status(200).json(hours[0]);
+            resp.status(200).json(presentedHour(hours[0]));
         } else {
             resp.status(404).send(`The specified business/hour combination does not exist`);
             return;
@@ -163,7 +173,7 @@ router.get('/:id', async (req, resp, next) => {
  *          required: true
  *          description: The unique id for the business
  *      requestBody:
- *        description: A sparse Hour object (i.e. only the dayOfWeek, open and close must be specified.  All other attributes are ignored if specified)
+ *        description: A sparse Hour object (i.e. only the dayOfWeek, open and close, or the dayOfWeek and allDay, must be specified.  All other attributes are ignored if specified)
  *        required: true
  *        content:
  *          application/json:
@@ -173,7 +183,7 @@ router.get('/:id', async (req, resp, next) => {
  *        "200":
  *          description: The new Hour has been added and associated with the {businessId} business
  *        "400":
- *          description: Bad Request - the Hour dayOfWeek, open and close value(s) are missing or invalid
+ *          description: Bad Request - the Hour dayOfWeek, open, close and allDay value(s) are missing or invalid, or the Hour overlaps another of the business' Hours
  *        "404":
  *          description: business identified by {businessId} not found
  *        "5XX":
@@ -182,26 +192,12 @@ router.get('/:id', async (req, resp, next) => {
 router.post('/', async (req, resp, next) => {
     const businessId = req.params.businessId;
 
-    const hour = req.body;
-    if (hour.dayOfWeek === undefined || hour.dayOfWeek < 0 || hour.dayOfWeek > 6) {
-        resp.status(400).send(`Hour dayOfWeek must be specified: 0 <= dayOfWeek <= 6 (0 for Sunday, 1 for Monday, 2 for Tuesday, ..., 6 for Saturday)`);
-        return;
-    }
-    if (hour.open === undefined || hour.open < 0 || hour.open > 23) {
-        resp.status(400).send(`Hour open must be specified: 0 <= open <= 23 (24 hour clock with 0 === midnight)`);
+    const invalid = invalidHour(req.body);
+    if (invalid) {
+        resp.status(400).send(invalid);
         return;
     }
-    if (hour.close === undefined || hour.close < 0 || hour.close > 23) {
-        resp.status(400).send(`Hour close must be specified: 0 <= close <= 23 (24 hour clock with 0 === midnight)`);
-        return;
-    }
-    if (hour.open >= hour.close) {
-        resp.status(400).send(`Hour open must be < close: (24 hour clock with 0 === midnight)`);
-        return;
-    }
-
-    // TODO: Note: we would typically want to check here to make sure the requested hour does not already exist and return an
-    // appropriate indication if it does.  However, for simplicity of this exercise, this is presently omitted.
+    const hour = storedHour(req.body);
 
     // TODO: Note: we ignore and override any ids that may have been specified in the body for simplicity reason for this
     // exercise.  However, we would typically want to detect this and notify the caller in some manner
@@ -219,6 +215,11 @@ router.post('/', async (req, resp, next) => {
             resp.status(404).send(`The specified business does not exist`);
             return;
         }
+        const overlapping = overlappingHour(hour, await db('hours').where({businessId}));
+        if (overlapping) {
+            resp.status(400).send(`The Hour overlaps the existing Hour ${overlapping.id}`);
+            return;
+        }
         const hours = await db('hours').insert(hour);
 
         resp.status(200).end();
@@ -228,6 +229,151 @@ router.post('/', async (req, resp, next) => {
     }
 });
 
+/**
+ * @swagger
+ *  components:
+ *    schemas:
+ *      HoursDiff:
+ *        type: object
+ *        properties:
+ *          unchanged:
+ *            type: array
+ *            description: The existing Hours that the weekly schedule already contained as is
+ *            items:
+ *              $ref: '#/components/schemas/Hour'
+ *          changed:
+ *            type: array
+ *            description: The existing Hours whose times have been changed (in place, so each keeps its id)
+ *            items:
+ *              type: object
+ *              properties:
+ *                from:
+ *                  $ref: '#/components/schemas/Hour'
+ *                to:
+ *                  $ref: '#/components/schemas/Hour'
+ *          added:
+ *            type: array
+ *            description: The Hours that have been added on days of the week without any Hours left to change
+ *            items:
+ *              $ref: '#/components/schemas/Hour'
+ *          removed:
+ *            type: array
+ *            description: The existing Hours that are no longer part of the weekly schedule
+ *            items:
+ *              $ref: '#/components/schemas/Hour'
+ */
+
+/**
+ * @swagger
+ * path:
+ *  /businesses/{businessId}/hours:
+ *    put:
+ *      summary: Replace the entire weekly schedule of Hours associated with the {businessId}
+ *      tags: [Hours]
+ *      parameters:
+ *        - in: path
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the business
+ *      requestBody:
+ *        description: The complete list of sparse Hour objects (i.e. only the dayOfWeek, open and close, or the dayOfWeek and allDay, must be specified.  All other attributes are ignored if specified) making up the new weekly schedule, which replaces all of the existing Hours within a single transaction; either all of the changes are made or none of them are.  An empty list leaves the business without any weekly Hours.
+ *        required: true
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: array
+ *              items:
+ *                $ref: '#/components/schemas/Hour'
+ *      responses:
+ *        "200":
+ *          description: The weekly schedule has been successfully replaced; the response describes what has changed
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: '#/components/schemas/HoursDiff'
+ *        "400":
+ *          description: Bad Request - the weekly schedule is not a list of Hours, one of its Hours' dayOfWeek, open, close and allDay value(s) are missing or invalid, or two of its Hours overlap one another
+ *        "404":
+ *          description: business identified by {businessId} not found
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.put('/', async (req, resp, next) => {
+    const businessId = req.params.businessId;
+
+    if (!Array.isArray(req.body)) {
+        resp.status(400).send(`The weekly schedule must be specified as a list of Hours`);
+        return;
+    }
+    const invalid = req.body.map((hour) => invalidHour(hour || {}));
+    const invalidIndex = invalid.findIndex((message) => message);
+    if (invalidIndex >= 0) {
+        resp.status(400).send(`Hours[${invalidIndex}]: ${invalid[invalidIndex]}`);
+        return;
+    }
+    // only the times of each Hour are taken from the request, much as the other attributes are ignored by POST and PUT
+    const hours = req.body.map(storedHour).map(({dayOfWeek, open, close, allDay}) => ({dayOfWeek, open, close, allDay}));
+    const overlapping = hours.findIndex((hour, i) => overlappingHour(hour, hours.slice(0, i)));
+    if (overlapping >= 0) {
+        const other = hours.indexOf(overlappingHour(hours[overlapping], hours.slice(0, overlapping)));
+        resp.status(400).send(`Hours[${overlapping}] overlaps Hours[${other}]; the Hours of the weekly schedule must not overlap one another`);
+        return;
+    }
+
+    try {
+        const diff = await db.transaction(async (trx) => {
+            const businessCount = await db('businesses')
+                .count('* as c')
+                .where({id: businessId})
+                .transacting(trx);
+            if (businessCount[0]['c'] < 1) {
+                return undefined;
+            }
+
+            const changes = diffHours(await db('hours').where({businessId}).transacting(trx), hours);
+            if (changes.removed.length) {
+                await db('hours')
+                    .del()
+                    .whereIn('id', changes.removed.map((hour) => hour.id))
+                    .transacting(trx);
+            }
+            for (const change of changes.changed) {
+                change.to = Object.assign({}, change.from, change.to);
+                await db('hours')
+                    .update({dayOfWeek: change.to.dayOfWeek, open: change.to.open, close: change.to.close, allDay: change.to.allDay, 'updated_at': db.fn.now()})
+                    .where({id: change.from.id})
+                    .transacting(trx);
+            }
+            if (changes.added.length) {
+                changes.added.forEach((hour) => {
+                    hour.id = uuid.v4();
+                    hour.businessId = businessId;
+                });
+                await db('hours')
+                    .insert(changes.added)
+                    .transacting(trx);
+            }
+            return changes;
+        });
+
+        if (!diff) {
+            resp.status(404).send(`The specified business does not exist`);
+            return;
+        }
+        resp.status(200).json({
+            unchanged: diff.unchanged.map(presentedHour),
+            changed: diff.changed.map((change) => ({from: presentedHour(change.from), to: presentedHour(change.to)})),
+            added: diff.added.map(presentedHour),
+            removed: diff.removed.map(presentedHour)
+        });
+    } catch (err) {
+        console.error(`Error while replacing hours for businessId ${businessId} ${JSON.stringify(err)}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
 /**
  * @swagger
  * path:
@@ -249,7 +395,7 @@ router.post('/', async (req, resp, next) => {
  *          required: true
  *          description: The unique id for the Hour
  *      requestBody:
- *        description: A sparse Hour object (i.e. only the dayOfWeek, open and close must be specified.  All other attributes are ignored if specified)
+ *        description: A sparse Hour object (i.e. only the dayOfWeek, open and close, or the dayOfWeek and allDay, must be specified.  All other attributes are ignored if specified)
  *        required: true
  *        content:
  *          application/json:
@@ -259,7 +405,7 @@ router.post('/', async (req, resp, next) => {
  *        "200":
  *          description: The Hour has been successfully modified
  *        "400":
- *          description: Bad Request - the Hour dayOfWeek, open and close value(s) are missing or invalid
+ *          description: Bad Request - the Hour dayOfWeek, open, close and allDay value(s) are missing or invalid, or the Hour overlaps another of the business' Hours
  *        "404":
  *          description: business identified by {businessId} not found
  *        "5XX":
@@ -269,26 +415,12 @@ router.put('/:id', async (req, resp, next) => {
     const businessId = req.params.businessId;
     const id = req.params.id;
 
-    const hour = req.body;
-    if (hour.dayOfWeek === undefined || hour.dayOfWeek < 0 || hour.dayOfWeek > 6) {
-        resp.status(400).send(`Hour dayOfWeek must be specified: 0 <= dayOfWeek <= 6 (0 for Sunday, 1 for Monday, 2 for Tuesday, ..., 6 for Saturday)`);
-        return;
-    }
-    if (hour.open === undefined || hour.open < 0 || hour.open > 23) {
-        resp.status(400).send(`Hour open must be specified: 0 <= open <= 23 (24 hour clock with 0 === midnight)`);
-        return;
-    }
-    if (hour.close === undefined || hour.close < 0 || hour.close > 23) {
-        resp.status(400).send(`Hour close must be specified: 0 <= close <= 23 (24 hour clock with 0 === midnight)`);
-        return;
-    }
-    if (hour.open >= hour.close) {
-        resp.status(400).send(`Hour open must be < close: (24 hour clock with 0 === midnight)`);
+    const invalid = invalidHour(req.body);
+    if (invalid) {
+        resp.status(400).send(invalid);
         return;
     }
-
-    // TODO: Note: we would typically want to check here to make sure the revised hour dayOfWeek does not already exist and return
-    // an appropriate indication if it does.  However, for simplicity of this exercise, this is presently omitted.
+    const hour = storedHour(req.body);
 
     // TODO: Note: we would typically want to check here to make sure that only allowable modification are specified and return
     // an appropriate indication if it does.  However, for simplicity of this exercise, this is presently omitted.
@@ -303,8 +435,14 @@ router.put('/:id', async (req, resp, next) => {
             return;
         }
 
+        const overlapping = overlappingHour(hour, await db('hours').where({businessId}).whereNot({id}));
+        if (overlapping) {
+            resp.status(400).send(`The Hour overlaps the existing Hour ${overlapping.id}`);
+            return;
+        }
+
         const hours = await db('hours')
-            .update({dayOfWeek: hour.dayOfWeek, open: hour.open, close: hour.close, 'updated_at': db.fn.now()})
+            .update({dayOfWeek: hour.dayOfWeek, open: hour.open, close: hour.close, allDay: hour.allDay, 'updated_at': db.fn.now()})
             .where({id, businessId});
 
         resp.status(200).end();
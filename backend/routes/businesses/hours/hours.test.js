@@ -2,6 +2,7 @@
 
 const db = require('../../../db')
 const hours = require('./hours');
+const { presentedHour } = require('../../../schedule');
 
 const request = require('supertest');
 const express = require('express');
@@ -34,7 +35,7 @@ const resetDb = async (done) => {
     // testing purposes, we will arbitrarily choose one of the initial seed data businesses' hours to fulfill this need
     // and enable further testing.
     const hours = await db('hours').where({businessId: testBusiness.id}).orderBy('dayOfWeek');
-    testHour = hours[5];
+    testHour = presentedHour(hours[5]);
 
     done();
 }
@@ -102,6 +103,89 @@ test('POST /businesses/<testBusiness.id>/hours to add new hour', async (done) =>
         });
 });
 
+test('POST /businesses/<testBusiness.id>/hours to add new hour with minute granularity', async (done) => {
+    await request(app).post(`/businesses/${testBusiness.id}/hours`)
+        .send({dayOfWeek: 0, open: '08:30', close: '24:00'})
+        .expect(200);
+
+    // Verify that the hour is stored as minutes since midnight, but presented as hours and as HH:MM
+    const stored = await db('hours').where({businessId: testBusiness.id, dayOfWeek: 0});
+    expect(stored[0].open).toEqual(510);
+    expect(stored[0].close).toEqual(1440);
+    await request(app).get(`/businesses/${testBusiness.id}/hours/${stored[0].id}`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.open).toEqual(8.5);
+            expect(res.body.close).toEqual(24);
+            expect(res.body.openTime).toEqual('08:30');
+            expect(res.body.closeTime).toEqual('24:00');
+            done();
+        });
+});
+
+test('POST /businesses/<testBusiness.id>/hours to add new hour with invalid times - Should be rejected', async (done) => {
+    const invalid = [
+        [{dayOfWeek: 0, open: '8.30', close: '17:00'}, /Hour open must be specified/],
+        [{dayOfWeek: 0, open: '24:00', close: '24:00'}, /Hour open must be specified/],
+        [{dayOfWeek: 0, open: '08:00', close: '17:60'}, /Hour close must be specified/],
+        [{dayOfWeek: 0, open: '08:00', close: '24:01'}, /Hour close must be specified/],
+        [{dayOfWeek: 0, open: '17:30', close: '17:30'}, /Hour open must differ from close/],
+        [{dayOfWeek: 0, open: '00:00', close: '24:00'}, /should be specified as allDay/],
+        [{dayOfWeek: 0, allDay: 'yes'}, /Hour allDay is invalid/]
+    ];
+    for (const [hour, message] of invalid) {
+        const res = await request(app).post(`/businesses/${testBusiness.id}/hours`).send(hour).expect(400);
+        expect(res.text).toMatch(message);
+    }
+    done();
+});
+
+test('POST /businesses/<testBusiness.id>/hours to add split shift, overnight and allDay hours', async (done) => {
+    const added = [
+        {dayOfWeek: 0, open: '09:00', close: '12:00'},
+        {dayOfWeek: 0, open: '13:00', close: '17:00'},
+        {dayOfWeek: 0, open: '22:00', close: '06:00'},
+        {dayOfWeek: 6, open: '12:00', close: '24:00'}
+    ];
+    for (const hour of added) {
+        await request(app).post(`/businesses/${testBusiness.id}/hours`).send(hour).expect(200);
+    }
+    await request(app).post(`/businesses/${testBusiness.id}/hours`)
+        .send({dayOfWeek: 3, allDay: true})
+        .expect(400);   // overlaps Wednesday's existing hour
+    await db('hours').where({businessId: testBusiness.id, dayOfWeek: 3}).del();
+    await request(app).post(`/businesses/${testBusiness.id}/hours`)
+        .send({dayOfWeek: 3, allDay: true})
+        .expect(200);
+
+    await request(app).get(`/businesses/${testBusiness.id}/hours`)
+        .expect(200)
+        .expect((res) => {
+            const sunday = res.body.filter((h) => h.dayOfWeek === 0).map((h) => `${h.openTime}-${h.closeTime}`);
+            expect(sunday).toEqual(['09:00-12:00', '13:00-17:00', '22:00-06:00']);
+            const wednesday = res.body.filter((h) => h.dayOfWeek === 3);
+            expect(wednesday).toEqual([expect.objectContaining({open: 0, close: 24, allDay: true})]);
+            done();
+        });
+});
+
+test('POST /businesses/<testBusiness.id>/hours to add overlapping hours - Should be rejected', async (done) => {
+    await request(app).post(`/businesses/${testBusiness.id}/hours`)
+        .send({dayOfWeek: 6, open: '22:00', close: '06:00'})
+        .expect(200);
+
+    const overlapping = [
+        {dayOfWeek: 6, open: '11:00', close: '13:00'},  // Saturday's 09:00 - 12:00
+        {dayOfWeek: 6, open: '21:00', close: '23:00'},  // Saturday's overnight hour
+        {dayOfWeek: 0, open: '05:00', close: '08:00'}   // Saturday's overnight hour, as it runs into Sunday
+    ];
+    for (const hour of overlapping) {
+        const res = await request(app).post(`/businesses/${testBusiness.id}/hours`).send(hour).expect(400);
+        expect(res.text).toMatch(/overlaps the existing Hour/);
+    }
+    done();
+});
+
 test('PUT /businesses/<testBusiness.id>/hours/<testHour.id> to change existing hour name', async (done) => {
     const revisedHour = {
         ...testHour,
@@ -127,6 +211,101 @@ test('PUT /businesses/<testBusiness.id>/hours/<testHour.id> to change existing h
         });
 });
 
+test('PUT /businesses/<testBusiness.id>/hours/<testHour.id> to change existing hour with minute precision', async (done) => {
+    await request(app).put(`/businesses/${testBusiness.id}/hours/${testHour.id}`)
+        .send({dayOfWeek: 0, open: '09:30', close: '15:45'})
+        .expect(200);
+
+    await request(app).get(`/businesses/${testBusiness.id}/hours/${testHour.id}`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.dayOfWeek).toEqual(0);
+            expect(res.body.open).toEqual(9.5);
+            expect(res.body.close).toEqual(15.75);
+            expect(res.body.openTime).toEqual('09:30');
+            expect(res.body.closeTime).toEqual('15:45');
+        });
+
+    // the presented Hour may be sent back as it is
+    const presented = await request(app).get(`/businesses/${testBusiness.id}/hours/${testHour.id}`);
+    await request(app).put(`/businesses/${testBusiness.id}/hours/${testHour.id}`)
+        .send(presented.body)
+        .expect(200);
+    const stored = await db('hours').where({id: testHour.id});
+    expect(stored[0].open).toEqual(570);
+    expect(stored[0].close).toEqual(945);
+    done();
+});
+
+test('PUT /businesses/<testBusiness.id>/hours to replace the entire weekly schedule', async (done) => {
+    const before = await db('hours').where({businessId: testBusiness.id}).orderBy('dayOfWeek');
+    const schedule = [
+        {dayOfWeek: 1, open: '10:00', close: '19:00'},     // unchanged
+        {dayOfWeek: 2, open: '08:00', close: '19:00'},     // changed
+        {dayOfWeek: 3, open: '10:00', close: '14:00'},     // changed, and split into two
+        {dayOfWeek: 3, open: '15:00', close: '19:00'},
+        {dayOfWeek: 4, open: '09:00', close: '19:00'},     // unchanged
+        {dayOfWeek: 5, open: '10:00', close: '19:00'},     // unchanged
+        {dayOfWeek: 0, allDay: true}                        // added, while Saturday is removed
+    ];
+    await request(app).put(`/businesses/${testBusiness.id}/hours`)
+        .send(schedule)
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.unchanged.map((h) => h.id)).toEqual([before[0].id, before[3].id, before[4].id]);
+            expect(res.body.changed).toEqual([
+                {from: expect.objectContaining({id: before[1].id, openTime: '09:00'}), to: expect.objectContaining({id: before[1].id, openTime: '08:00'})},
+                {from: expect.objectContaining({id: before[2].id, closeTime: '19:00'}), to: expect.objectContaining({id: before[2].id, closeTime: '14:00'})}
+            ]);
+            expect(res.body.added).toEqual([
+                expect.objectContaining({dayOfWeek: 0, openTime: '00:00', closeTime: '24:00', allDay: true}),
+                expect.objectContaining({dayOfWeek: 3, openTime: '15:00', closeTime: '19:00'})
+            ]);
+            expect(res.body.removed).toEqual([expect.objectContaining({id: before[5].id, dayOfWeek: 6})]);
+        });
+
+    await request(app).get(`/businesses/${testBusiness.id}/hours`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.map((h) => `${h.dayOfWeek} ${h.openTime}-${h.closeTime}`)).toEqual([
+                '0 00:00-24:00', '1 10:00-19:00', '2 08:00-19:00', '3 10:00-14:00', '3 15:00-19:00', '4 09:00-19:00', '5 10:00-19:00'
+            ]);
+        });
+
+    // replacing the schedule with itself changes nothing
+    await request(app).put(`/businesses/${testBusiness.id}/hours`)
+        .send(schedule)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.unchanged.length).toEqual(7);
+            expect(res.body.changed.concat(res.body.added, res.body.removed)).toEqual([]);
+            done();
+        });
+});
+
+test('PUT /businesses/<testBusiness.id>/hours with an invalid weekly schedule - Should be rejected and change nothing', async (done) => {
+    const before = await db('hours').where({businessId: testBusiness.id}).orderBy('id');
+    const invalid = [
+        {dayOfWeek: 1, open: '10:00', close: '19:00'},
+        {dayOfWeek: 7, open: '10:00', close: '19:00'}
+    ];
+    const overlapping = [
+        {dayOfWeek: 6, open: '22:00', close: '06:00'},
+        {dayOfWeek: 1, open: '10:00', close: '19:00'},
+        {dayOfWeek: 0, open: '05:00', close: '08:00'}
+    ];
+    let res = await request(app).put(`/businesses/${testBusiness.id}/hours`).send(invalid).expect(400);
+    expect(res.text).toMatch(/^Hours\[1\]: Hour dayOfWeek/);
+    res = await request(app).put(`/businesses/${testBusiness.id}/hours`).send(overlapping).expect(400);
+    expect(res.text).toMatch(/^Hours\[2\] overlaps Hours\[0\]/);
+    await request(app).put(`/businesses/${testBusiness.id}/hours`).send({dayOfWeek: 1, open: '10:00', close: '19:00'}).expect(400);
+    await request(app).put(`/businesses/unknown/hours`).send([]).expect(404);
+
+    expect(await db('hours').where({businessId: testBusiness.id}).orderBy('id')).toEqual(before);
+    done();
+});
+
 test('DEL /businesses/<testBusiness.id>/hours/<testHour.id> to delete an existing hour', async (done) => {
     await request(app).del(`/businesses/${testBusiness.id}/hours/${testHour.id}`)
         .expect(200)
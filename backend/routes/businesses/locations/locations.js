@@ -4,6 +4,7 @@ const express = require('express');
 const router = express.Router({mergeParams: true});
 const uuid = require('uuid');
 const db = require('../../../db')
+const { invalidCoordinates } = require('../../../geo');
 
 /**
  * @swagger
@@ -25,6 +26,14 @@ const db = require('../../../db')
  *          name:
  *            type: string
  *            description: Name for the Location, needs to be unique within the associated businessId.
+ *          latitude:
+ *            type: number
+ *            format: double
+ *            description: latitude (decimal degrees) of the Location, used for radius based Business searches
+ *          longitude:
+ *            type: number
+ *            format: double
+ *            description: longitude (decimal degrees) of the Location, used for radius based Business searches
  *          created_at:
  *            type: string
  *            description: Timestamp of creation
@@ -155,7 +164,7 @@ router.get('/:id', async (req, resp, next) => {
  *          required: true
  *          description: The unique id for the business
  *      requestBody:
- *        description: A sparse Location object (i.e. only the name must be specified.  All other attributes are ignored if specified)
+ *        description: A sparse Location object (i.e. only the name must be specified along with the optional latitude and longitude.  All other attributes are ignored if specified)
  *        required: true
  *        content:
  *          application/json:
@@ -165,7 +174,7 @@ router.get('/:id', async (req, resp, next) => {
  *        "200":
  *          description: The new Location has been added and associated with the {businessId} business
  *        "400":
- *          description: Bad Request - the Location name must be specified
+ *          description: Bad Request - the Location name must be specified and any coordinates must be valid
  *        "404":
  *          description: business identified by {businessId} not found
  *        "5XX":
@@ -180,6 +189,11 @@ router.post('/', async (req, resp, next) => {
         resp.status(400).send(`Location name must be specified`);
         return;
     }
+    const invalid = invalidCoordinates(location.latitude, location.longitude);
+    if (invalid) {
+        resp.status(400).send(invalid);
+        return;
+    }
 
     // TODO: Note: we would typically want to check here to make sure the requested location does not already exist and return an
     // appropriate indication if it does.  However, for simplicity of this exercise, this is presently omitted.
@@ -230,7 +244,7 @@ router.post('/', async (req, resp, next) => {
  *          required: true
  *          description: The unique id for the Location
  *      requestBody:
- *        description: A sparse Location object (i.e. only the name must be specified.  All other attributes are ignored if specified)
+ *        description: A sparse Location object (i.e. only the name must be specified along with the optional latitude and longitude.  All other attributes are ignored if specified)
  *        required: true
  *        content:
  *          application/json:
@@ -240,7 +254,7 @@ router.post('/', async (req, resp, next) => {
  *        "200":
  *          description: The Location name has been successfully modified
  *        "400":
- *          description: Bad Request - the Location name must be specified
+ *          description: Bad Request - the Location name must be specified and any coordinates must be valid
  *        "404":
  *          description: business identified by {businessId} not found
  *        "5XX":
@@ -255,6 +269,11 @@ router.put('/:id', async (req, resp, next) => {
         resp.status(400).send(`Location name must be specified`);
         return;
     }
+    const invalid = invalidCoordinates(location.latitude, location.longitude);
+    if (invalid) {
+        resp.status(400).send(invalid);
+        return;
+    }
 
     // TODO: Note: we would typically want to check here to make sure the revised location name does not already exist and return
     // an appropriate indication if it does.  However, for simplicity of this exercise, this is presently omitted.
@@ -273,7 +292,7 @@ router.put('/:id', async (req, resp, next) => {
         }
 
         const locations = await db('locations')
-            .update({name: location.name, 'updated_at': db.fn.now()})
+            .update({name: location.name, latitude: location.latitude, longitude: location.longitude, 'updated_at': db.fn.now()})
             .where({id, businessId});
 
         resp.status(200).end();
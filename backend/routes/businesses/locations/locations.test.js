@@ -134,3 +134,32 @@ test('DEL /businesses/<testBusiness.id>/locations/<testLocation.id> to delete an
         });
 });
 
+
+test('POST /businesses/<testBusiness.id>/locations to add new location with coordinates', async (done) => {
+    await request(app).post(`/businesses/${testBusiness.id}/locations`)
+        .send({name: 'Boulder', latitude: 40.015, longitude: -105.2705})
+        .expect(200)
+        .expect(async (res) => {
+            // Verify that the added location and its coordinates are there
+            await request(app).get(`/businesses/${testBusiness.id}/locations`)
+                .expect('Content-Type', /json/)
+                .expect(200)
+                .expect((res) => {
+                    expect(res.body.length).toEqual(7);
+                    expect(res.body[1].name).toEqual('Boulder');
+                    expect(res.body[1].latitude).toBeCloseTo(40.015);
+                    expect(res.body[1].longitude).toBeCloseTo(-105.2705);
+                    done();
+                });
+        });
+});
+
+test('POST /businesses/<testBusiness.id>/locations with invalid coordinates - Should be rejected', async (done) => {
+    await request(app).post(`/businesses/${testBusiness.id}/locations`)
+        .send({name: 'Nowhere', latitude: 91, longitude: -105.2705})
+        .expect(400);
+    await request(app).post(`/businesses/${testBusiness.id}/locations`)
+        .send({name: 'Nowhere', latitude: 40.015})
+        .expect(400);
+    done();
+});
@@ -0,0 +1,312 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router({mergeParams: true});
+const uuid = require('uuid');
+const db = require('../../../db')
+const { actingUser } = require('../../../identity');
+const { publishedReview } = require('../../../reviews');
+const { HIDE_AFTER_FLAGS } = require('../../../moderation');
+
+/**
+ * @swagger
+ *  components:
+ *    schemas:
+ *      ReviewVotes:
+ *        type: object
+ *        properties:
+ *          helpfulCount:
+ *            type: integer
+ *            description: The number of Users who found the Review helpful
+ *          unhelpfulCount:
+ *            type: integer
+ *            description: The number of Users who found the Review unhelpful
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Review Feedback
+ *   description: Review helpfulness vote and abuse flag API
+ */
+
+// The helpfulCount and unhelpfulCount of the Review
+const votesOf = async (reviewId, trx) => {
+    const counts = await db('review_votes')
+        .select(db.raw('coalesce(sum(helpful), 0) as helpfulCount'), db.raw('coalesce(sum(not helpful), 0) as unhelpfulCount'))
+        .where({reviewId})
+        .transacting(trx);
+    return counts[0];
+}
+
+/**
+ * @swagger
+ * path:
+ *  /businesses/{businessId}/reviews/{reviewId}/vote:
+ *    put:
+ *      summary: Cast (or change) the acting User's vote on whether the Review identified by {reviewId} is helpful
+ *      tags: [Review Feedback]
+ *      parameters:
+ *        - in: path
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the business
+ *        - in: path
+ *          name: reviewId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the Review
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The id of the User voting
+ *      requestBody:
+ *        required: true
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              required:
+ *                - helpful
+ *              properties:
+ *                helpful:
+ *                  type: boolean
+ *                  description: Whether the User found the Review helpful (true) or unhelpful (false)
+ *      responses:
+ *        "200":
+ *          description: The vote has been cast, leaving the Review with the vote counts
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: '#/components/schemas/ReviewVotes'
+ *        "400":
+ *          description: Bad Request - helpful is missing or not a boolean
+ *        "401":
+ *          description: Unauthorized - the X-User-Id header does not identify a User
+ *        "403":
+ *          description: Forbidden - the User wrote the Review
+ *        "404":
+ *          description: The (published) Review identified by {reviewId} and associated with business {businessId} not found
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.put('/vote', async (req, resp, next) => {
+    const businessId = req.params.businessId;
+    const reviewId = req.params.reviewId;
+
+    if (typeof req.body.helpful !== 'boolean') {
+        resp.status(400).send(`Vote helpful must be specified as true or false`);
+        return;
+    }
+
+    try {
+        const user = await actingUser(req);
+        if (!user) {
+            resp.status(401).send(`The voter must be identified by the X-User-Id header`);
+            return;
+        }
+        const review = await publishedReview(businessId, reviewId);
+        if (!review) {
+            resp.status(404).send(`The specified business/review combination does not exist`);
+            return;
+        }
+        if (review.userId === user.id) {
+            resp.status(403).send(`A reviewer may not vote on their own Review`);
+            return;
+        }
+
+        // changing the User's vote when they have already cast one, and otherwise casting it, as one so that they
+        // only ever have the one vote
+        const votes = await db.transaction(async (trx) => {
+            const changed = await db('review_votes')
+                .update({helpful: req.body.helpful, 'updated_at': db.fn.now()})
+                .where({reviewId, userId: user.id})
+                .transacting(trx);
+            if (!changed) {
+                await db('review_votes')
+                    .insert({id: uuid.v4(), reviewId, userId: user.id, helpful: req.body.helpful})
+                    .transacting(trx);
+            }
+
+            return votesOf(reviewId, trx);
+        });
+
+        resp.status(200).json(votes);
+    } catch (err) {
+        console.error(`Error while voting on review ${reviewId} for businessId ${businessId} ${JSON.stringify(err)}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+/**
+ * @swagger
+ * path:
+ *  /businesses/{businessId}/reviews/{reviewId}/vote:
+ *    delete:
+ *      summary: Withdraw the acting User's vote on whether the Review identified by {reviewId} is helpful
+ *      tags: [Review Feedback]
+ *      parameters:
+ *        - in: path
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the business
+ *        - in: path
+ *          name: reviewId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the Review
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The id of the User who voted
+ *      responses:
+ *        "200":
+ *          description: The vote (if any) has been withdrawn
+ *        "401":
+ *          description: Unauthorized - the X-User-Id header does not identify a User
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.delete('/vote', async (req, resp, next) => {
+    const businessId = req.params.businessId;
+    const reviewId = req.params.reviewId;
+
+    try {
+        const user = await actingUser(req);
+        if (!user) {
+            resp.status(401).send(`The voter must be identified by the X-User-Id header`);
+            return;
+        }
+
+        await db('review_votes')
+            .del()
+            .where({reviewId, userId: user.id});
+
+        resp.status(200).end();
+    } catch (err) {
+        console.error(`Error while withdrawing vote on review ${reviewId} for businessId ${businessId} ${JSON.stringify(err)}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+/**
+ * @swagger
+ * path:
+ *  /businesses/{businessId}/reviews/{reviewId}/flags:
+ *    post:
+ *      summary: Flag the Review identified by {reviewId} for abuse, which hides it once enough Users have done so (per the configurable moderation.json) until an admin clears its flags
+ *      tags: [Review Feedback]
+ *      parameters:
+ *        - in: path
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the business
+ *        - in: path
+ *          name: reviewId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the Review
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The id of the User flagging the Review
+ *      requestBody:
+ *        required: true
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              required:
+ *                - reason
+ *              properties:
+ *                reason:
+ *                  type: string
+ *                  description: Why the User considers the Review abusive
+ *      responses:
+ *        "200":
+ *          description: The Review has been flagged
+ *        "400":
+ *          description: Bad Request - the reason is missing or blank
+ *        "401":
+ *          description: Unauthorized - the X-User-Id header does not identify a User
+ *        "403":
+ *          description: Forbidden - the User wrote the Review
+ *        "404":
+ *          description: The (published) Review identified by {reviewId} and associated with business {businessId} not found
+ *        "409":
+ *          description: Conflict - the User has already flagged the Review
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.post('/flags', async (req, resp, next) => {
+    const businessId = req.params.businessId;
+    const reviewId = req.params.reviewId;
+
+    const reason = req.body.reason;
+    if (typeof reason !== 'string' || !reason.trim()) {
+        resp.status(400).send(`Flag reason must be specified`);
+        return;
+    }
+
+    try {
+        const user = await actingUser(req);
+        if (!user) {
+            resp.status(401).send(`The User must be identified by the X-User-Id header`);
+            return;
+        }
+        const review = await publishedReview(businessId, reviewId);
+        if (!review) {
+            resp.status(404).send(`The specified business/review combination does not exist`);
+            return;
+        }
+        if (review.userId === user.id) {
+            resp.status(403).send(`A reviewer may not flag their own Review`);
+            return;
+        }
+
+        await db.transaction(async (trx) => {
+            await db('review_flags')
+                .insert({id: uuid.v4(), reviewId, userId: user.id, reason: reason.trim()})
+                .transacting(trx);
+
+            // the flag that brings the Review's (uncleared) flags up to the threshold hides it
+            const flagCount = await db('review_flags')
+                .count('* as c')
+                .where({reviewId})
+                .whereNull('clearedAt')
+                .transacting(trx);
+            if (flagCount[0]['c'] >= HIDE_AFTER_FLAGS) {
+                await db('reviews')
+                    .update({hidden: true, hiddenAt: db.fn.now()})
+                    .where({id: reviewId, hidden: false})
+                    .transacting(trx);
+            }
+        });
+
+        resp.status(200).end();
+    } catch (err) {
+        if (err.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(err.message)) {
+            resp.status(409).send(`The User has already flagged this Review`);
+            return;
+        }
+        console.error(`Error while flagging review ${reviewId} for businessId ${businessId} ${JSON.stringify(err)}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,206 @@
+'use strict';
+
+const db = require('../../../db')
+const reviews = require('./reviews');
+const feedback = require('./feedback');
+const moderation = require('../../moderation/reviews');
+const businesses = require('../businesses');
+const { HIDE_AFTER_FLAGS } = require('../../../moderation');
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+
+const app = express();
+
+app.use(bodyParser.json());
+app.use('/businesses', businesses);
+app.use('/businesses/:businessId/reviews', reviews);
+app.use('/businesses/:businessId/reviews/:reviewId', feedback);
+app.use('/moderation/reviews', moderation);
+
+let testBusiness;
+let testReview;
+let admin;
+let voters;
+
+const resetDb = async (done) => {
+    // We want to have a known starting point before each test, so we clear out any previous data and begin with
+    // a known initial set of seed data
+    await db.migrate.latest();
+    await db.table('businesses').del();
+    await db.seed.run();
+
+    // As the ids are dynamically determined and assigned, we cannot rely upon pre-determined values to identify a
+    // business or its Reviews.  Therefore, for testing purposes, we will arbitrarily choose the seed data business with
+    // three Reviews, along with its (2 star) Review to give feedback on, and the seed data's admin
+    const businesses = await db('businesses').orderBy('name');
+    testBusiness = businesses[1];
+    testReview = (await db('reviews').where({businessId: testBusiness.id, rating: 2}))[0];
+    admin = (await db('users').where({admin: true}))[0];
+
+    // and enough Users (none of whom wrote the Review) to hide it
+    voters = [];
+    for (let i = 0; i < HIDE_AFTER_FLAGS; i++) {
+        const voter = {id: `voter-${i}-${Date.now()}`, displayName: `Voter ${i}`, email: `voter-${i}-${Date.now()}@example.com`};
+        await db('users').insert(voter);
+        voters.push(voter);
+    }
+
+    done();
+}
+
+beforeAll(() => {
+    process.env.NODE_ENV = 'test';
+});
+
+beforeEach(async (done) => {
+    await resetDb(done);
+});
+
+const vote = (helpful, userId, reviewId = testReview.id) =>
+    request(app).put(`/businesses/${testBusiness.id}/reviews/${reviewId}/vote`)
+        .set('X-User-Id', userId)
+        .send({helpful});
+
+const flag = (reason, userId, reviewId = testReview.id) =>
+    request(app).post(`/businesses/${testBusiness.id}/reviews/${reviewId}/flags`)
+        .set('X-User-Id', userId)
+        .send({reason});
+
+test('PUT /businesses/<testBusiness.id>/reviews/<testReview.id>/vote to vote, change and withdraw votes', async (done) => {
+    await vote(true, voters[0].id)
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body).toEqual({helpfulCount: 1, unhelpfulCount: 0});
+        });
+    await vote(true, voters[1].id).expect(200);
+    await vote(false, voters[2].id).expect(200);
+
+    // each User has just the one vote, which they may change
+    await vote(true, voters[2].id)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body).toEqual({helpfulCount: 3, unhelpfulCount: 0});
+        });
+    await request(app).del(`/businesses/${testBusiness.id}/reviews/${testReview.id}/vote`)
+        .set('X-User-Id', voters[1].id)
+        .expect(200);
+
+    await request(app).get(`/businesses/${testBusiness.id}/reviews/${testReview.id}`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.helpfulCount).toEqual(2);
+            expect(res.body.unhelpfulCount).toEqual(0);
+        });
+
+    // the most helpful are listed first when sorted as such
+    await request(app).get(`/businesses/${testBusiness.id}/reviews?sort=helpful`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.map((review) => review.helpfulCount)).toEqual([2, 0, 0]);
+            expect(res.body[0].id).toEqual(testReview.id);
+        });
+    await request(app).get(`/businesses/${testBusiness.id}/reviews`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body[0].id).not.toEqual(testReview.id);
+        });
+    await request(app).get(`/businesses/${testBusiness.id}/reviews?sort=rating`)
+        .expect(400);
+    done();
+});
+
+test('PUT and POST /businesses/<testBusiness.id>/reviews/<testReview.id> votes and flags - Should be rejected', async (done) => {
+    await vote(true, testReview.userId).expect(403);
+    await vote('yes', voters[0].id).expect(400);
+    await vote(true, voters[0].id, 'unknown').expect(404);
+    await request(app).put(`/businesses/${testBusiness.id}/reviews/${testReview.id}/vote`)
+        .send({helpful: true})
+        .expect(401);
+
+    await flag('Not true', testReview.userId).expect(403);
+    await flag(' ', voters[0].id).expect(400);
+    await flag('Abusive', voters[0].id, 'unknown').expect(404);
+    await flag('Abusive', voters[0].id).expect(200);
+    await flag('Still abusive', voters[0].id).expect(409);
+
+    // only published reviews take feedback
+    await db('reviews').update({status: 'pending'}).where({id: testReview.id});
+    await vote(true, voters[1].id).expect(404);
+    await flag('Abusive', voters[1].id).expect(404);
+    done();
+});
+
+test('POST /businesses/<testBusiness.id>/reviews/<testReview.id>/flags hides the review until an admin clears them', async (done) => {
+    for (const voter of voters) {
+        await request(app).get(`/businesses/${testBusiness.id}/reviews`)
+            .expect(200)
+            .expect((res) => {
+                expect(res.body.map((review) => review.id)).toContain(testReview.id);
+            });
+        await flag('Insulting', voter.id).expect(200);
+    }
+
+    // once hidden, the review is no longer listed, retrievable or counted toward the avgRating
+    await request(app).get(`/businesses/${testBusiness.id}/reviews`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.map((review) => review.id)).not.toContain(testReview.id);
+        });
+    await request(app).get(`/businesses/${testBusiness.id}/reviews/${testReview.id}`)
+        .expect(404);
+    await request(app).get(`/businesses/${testBusiness.id}`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.avgRating).toBeCloseTo(4.5);
+        });
+
+    // though its reviewer still sees it, and admins see it along with its flags
+    await request(app).get(`/businesses/${testBusiness.id}/reviews/${testReview.id}`)
+        .set('X-User-Id', testReview.userId)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.hidden).toBe(true);
+        });
+    await request(app).get(`/moderation/reviews?hidden=true`)
+        .set('X-User-Id', admin.id)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.map((review) => review.id)).toEqual([testReview.id]);
+            expect(res.body[0].flagCount).toEqual(HIDE_AFTER_FLAGS);
+        });
+    await request(app).get(`/moderation/reviews/${testReview.id}`)
+        .set('X-User-Id', admin.id)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.flags.map((flag) => flag.reason)).toEqual(voters.map(() => 'Insulting'));
+        });
+
+    await request(app).del(`/moderation/reviews/${testReview.id}/flags`)
+        .set('X-User-Id', voters[0].id)
+        .expect(403);
+    await request(app).del(`/moderation/reviews/${testReview.id}/flags`)
+        .set('X-User-Id', admin.id)
+        .expect(200);
+
+    await request(app).get(`/businesses/${testBusiness.id}`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.avgRating).toBeCloseTo(3.7);
+            expect(res.body.reviews.map((review) => review.id)).toContain(testReview.id);
+        });
+    await request(app).get(`/moderation/reviews/${testReview.id}`)
+        .set('X-User-Id', admin.id)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.hidden).toBe(false);
+            expect(res.body.flagCount).toEqual(0);
+            expect(res.body.flags).toEqual([]);
+        });
+
+    // the Users who raised the cleared flags cannot raise them again
+    await flag('Insulting', voters[0].id).expect(409);
+    done();
+});
@@ -0,0 +1,277 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router({mergeParams: true});
+const uuid = require('uuid');
+const db = require('../../../db')
+const { actingUser, actsFor } = require('../../../identity');
+const { publishedReview, responsesQuery, presentedResponse } = require('../../../reviews');
+
+/**
+ * @swagger
+ *  components:
+ *    schemas:
+ *      ReviewResponse:
+ *        type: object
+ *        required:
+ *          - id
+ *          - reviewId
+ *          - businessId
+ *          - comment
+ *        properties:
+ *          id:
+ *            type: string
+ *            description: Unique id for the Response.
+ *          reviewId:
+ *            type: string
+ *            description: The id of the Review responded to.  A Review has at most one Response.
+ *          businessId:
+ *            type: string
+ *            description: The id of the business responding.
+ *          userId:
+ *            type: string
+ *            description: The id of the User who (last) wrote the Response on behalf of the business
+ *          responder:
+ *            type: object
+ *            description: The display information of the User who (last) wrote the Response
+ *            properties:
+ *              id:
+ *                type: string
+ *                description: The unique id of the User
+ *              displayName:
+ *                type: string
+ *                description: The name the User is presented by
+ *          comment:
+ *            type: string
+ *            description: The public response of the business to the Review
+ *          created_at:
+ *            type: string
+ *            description: Timestamp of when the business first responded
+ *          updated_at:
+ *            type: string
+ *            description: Timestamp of the latest revision of the Response
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Review Responses
+ *   description: Business Response (to a Review) API
+ */
+
+/**
+ * @swagger
+ * path:
+ *  /businesses/{businessId}/reviews/{reviewId}/response:
+ *    get:
+ *      summary: Retrieve the Response of the {businessId} business to its Review identified by {reviewId}
+ *      tags: [Review Responses]
+ *      parameters:
+ *        - in: path
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the business
+ *        - in: path
+ *          name: reviewId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the Review
+ *      responses:
+ *        "200":
+ *          description: The Response to the Review
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: '#/components/schemas/ReviewResponse'
+ *        "404":
+ *          description: The (published) Review identified by {reviewId} and associated with business {businessId} not found, or it has not been responded to
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.get('/', async (req, resp, next) => {
+    const businessId = req.params.businessId;
+    const reviewId = req.params.reviewId;
+
+    try {
+        if (!await publishedReview(businessId, reviewId)) {
+            resp.status(404).send(`The specified business/review combination does not exist`);
+            return;
+        }
+        const responses = await responsesQuery().where('review_responses.reviewId', reviewId);
+
+        if (responses.length) {
+            resp.status(200).json(presentedResponse(responses[0]));
+        } else {
+            resp.status(404).send(`The specified review has not been responded to`);
+        }
+    } catch (err) {
+        console.error(`Error while retrieving the response to review ${reviewId} for businessId ${businessId}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+/**
+ * @swagger
+ * path:
+ *  /businesses/{businessId}/reviews/{reviewId}/response:
+ *    put:
+ *      summary: Respond to the Review identified by {reviewId} on behalf of the {businessId} business, or revise its Response
+ *      tags: [Review Responses]
+ *      parameters:
+ *        - in: path
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the business
+ *        - in: path
+ *          name: reviewId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the Review
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The id of a User acting on behalf of the business, or of an admin
+ *      requestBody:
+ *        description: A sparse Response object (i.e. only the comment will be meaningful.  All other attributes are ignored if specified)
+ *        required: true
+ *        content:
+ *          application/json:
+ *            schema:
+ *              $ref: '#/components/schemas/ReviewResponse'
+ *      responses:
+ *        "200":
+ *          description: The Response has been added or revised
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: '#/components/schemas/ReviewResponse'
+ *        "400":
+ *          description: Bad Request - the comment is missing or blank
+ *        "401":
+ *          description: Unauthorized - the X-User-Id header does not identify a User
+ *        "403":
+ *          description: Forbidden - the User is neither an admin nor acts on behalf of the business
+ *        "404":
+ *          description: The (published) Review identified by {reviewId} and associated with business {businessId} not found
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.put('/', async (req, resp, next) => {
+    const businessId = req.params.businessId;
+    const reviewId = req.params.reviewId;
+
+    const comment = req.body.comment;
+    if (typeof comment !== 'string' || !comment.trim()) {
+        resp.status(400).send(`Response comment must be specified`);
+        return;
+    }
+
+    try {
+        const user = await actingUser(req);
+        if (!user) {
+            resp.status(401).send(`The responder must be identified by the X-User-Id header`);
+            return;
+        }
+        if (!actsFor(user, businessId)) {
+            resp.status(403).send(`Only the business or an admin may respond to its Reviews`);
+            return;
+        }
+
+        if (!await publishedReview(businessId, reviewId)) {
+            resp.status(404).send(`The specified business/review combination does not exist`);
+            return;
+        }
+
+        // revising the Response when there is one, and otherwise adding it, as one so that a Review only ever has one
+        const responses = await db.transaction(async (trx) => {
+            const revised = await db('review_responses')
+                .update({comment: comment.trim(), userId: user.id, 'updated_at': db.fn.now()})
+                .where({reviewId})
+                .transacting(trx);
+            if (!revised) {
+                await db('review_responses')
+                    .insert({id: uuid.v4(), reviewId, businessId, userId: user.id, comment: comment.trim()})
+                    .transacting(trx);
+            }
+
+            return responsesQuery().where('review_responses.reviewId', reviewId).transacting(trx);
+        });
+
+        resp.status(200).json(presentedResponse(responses[0]));
+    } catch (err) {
+        console.error(`Error while responding to review ${reviewId} for businessId ${businessId} ${JSON.stringify(err)}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+/**
+ * @swagger
+ * path:
+ *  /businesses/{businessId}/reviews/{reviewId}/response:
+ *    delete:
+ *      summary: Withdraw the Response of the {businessId} business to its Review identified by {reviewId}
+ *      tags: [Review Responses]
+ *      parameters:
+ *        - in: path
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the business
+ *        - in: path
+ *          name: reviewId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the Review
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The id of a User acting on behalf of the business, or of an admin
+ *      responses:
+ *        "200":
+ *          description: The Response has been successfully withdrawn
+ *        "401":
+ *          description: Unauthorized - the X-User-Id header does not identify a User
+ *        "403":
+ *          description: Forbidden - the User is neither an admin nor acts on behalf of the business
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.delete('/', async (req, resp, next) => {
+    const businessId = req.params.businessId;
+    const reviewId = req.params.reviewId;
+
+    try {
+        const user = await actingUser(req);
+        if (!user) {
+            resp.status(401).send(`The responder must be identified by the X-User-Id header`);
+            return;
+        }
+        if (!actsFor(user, businessId)) {
+            resp.status(403).send(`Only the business or an admin may withdraw its Responses`);
+            return;
+        }
+
+        await db('review_responses')
+            .del()
+            .where({reviewId, businessId});
+
+        resp.status(200).end();
+    } catch (err) {
+        console.error(`Error while withdrawing the response to review ${reviewId} for businessId ${businessId} ${JSON.stringify(err)}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+module.exports = router;
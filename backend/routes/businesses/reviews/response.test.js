@@ -0,0 +1,140 @@
+'use strict';
+
+const db = require('../../../db')
+const reviews = require('./reviews');
+const response = require('./response');
+const businesses = require('../businesses');
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+
+const app = express();
+
+app.use(bodyParser.json());
+app.use('/businesses', businesses);
+app.use('/businesses/:businessId/reviews', reviews);
+app.use('/businesses/:businessId/reviews/:reviewId/response', response);
+
+let testBusiness;
+let testReview;
+let office;
+
+const resetDb = async (done) => {
+    // We want to have a known starting point before each test, so we clear out any previous data and begin with
+    // a known initial set of seed data
+    await db.migrate.latest();
+    await db.table('businesses').del();
+    await db.seed.run();
+
+    // As the ids are dynamically determined and assigned, we cannot rely upon pre-determined values to identify a
+    // business, its Reviews or the User acting on its behalf.  Therefore, for testing purposes, we will arbitrarily
+    // choose the seed data business that has such a User, along with its (2 star) Review to respond to.
+    const businesses = await db('businesses').orderBy('name');
+    testBusiness = businesses[1];
+    testReview = (await db('reviews').where({businessId: testBusiness.id, rating: 2}))[0];
+    office = (await db('users').where({businessId: testBusiness.id}))[0];
+
+    done();
+}
+
+beforeAll(() => {
+    process.env.NODE_ENV = 'test';
+});
+
+beforeEach(async (done) => {
+    await resetDb(done);
+});
+
+const respond = (comment, userId = office.id, reviewId = testReview.id) =>
+    request(app).put(`/businesses/${testBusiness.id}/reviews/${reviewId}/response`)
+        .set('X-User-Id', userId)
+        .send({comment});
+
+test('PUT /businesses/<testBusiness.id>/reviews/<testReview.id>/response to respond and revise the response', async (done) => {
+    await request(app).get(`/businesses/${testBusiness.id}/reviews/${testReview.id}/response`)
+        .expect(404);
+
+    const first = await respond('We are sorry about your dishes, and have refunded the packing fee')
+        .expect('Content-Type', /json/)
+        .expect(200);
+    expect(first.body).toEqual(expect.objectContaining({
+        reviewId: testReview.id,
+        businessId: testBusiness.id,
+        comment: 'We are sorry about your dishes, and have refunded the packing fee',
+        responder: {id: office.id, displayName: 'Sample Business #2 Office'}
+    }));
+    expect(first.body.created_at).toBeTruthy();
+
+    // there remains just the one response, which is revised in place
+    const revised = await respond(' We have since retrained our packing crew ').expect(200);
+    expect(revised.body.id).toEqual(first.body.id);
+    expect(revised.body.comment).toEqual('We have since retrained our packing crew');
+    expect(await db('review_responses').where({reviewId: testReview.id})).toHaveLength(1);
+
+    await request(app).get(`/businesses/${testBusiness.id}/reviews/${testReview.id}/response`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.comment).toEqual('We have since retrained our packing crew');
+            done();
+        });
+});
+
+test('GET /businesses/<testBusiness.id> and its reviews embed the responses', async (done) => {
+    await respond('Thanks for letting us know').expect(200);
+
+    await request(app).get(`/businesses/${testBusiness.id}/reviews`)
+        .expect(200)
+        .expect((res) => {
+            const reviewed = res.body.find((review) => review.id === testReview.id);
+            expect(reviewed.response.comment).toEqual('Thanks for letting us know');
+            expect(reviewed.response.responder.displayName).toEqual('Sample Business #2 Office');
+            expect(reviewed).not.toHaveProperty('response_comment');
+            expect(res.body.filter((review) => review.response === null).length).toEqual(2);
+        });
+    await request(app).get(`/businesses/${testBusiness.id}/reviews/${testReview.id}`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.response.comment).toEqual('Thanks for letting us know');
+        });
+    await request(app).get(`/businesses/${testBusiness.id}`)
+        .expect(200)
+        .expect((res) => {
+            const reviewed = res.body.reviews.find((review) => review.id === testReview.id);
+            expect(reviewed.response.comment).toEqual('Thanks for letting us know');
+            expect(reviewed.response.updated_at).toBeTruthy();
+            done();
+        });
+});
+
+test('PUT and DEL /businesses/<testBusiness.id>/reviews/<testReview.id>/response by anyone but the business - Should be rejected', async (done) => {
+    await respond('Not so', testReview.userId).expect(403);
+    await request(app).put(`/businesses/${testBusiness.id}/reviews/${testReview.id}/response`)
+        .send({comment: 'Anonymous'})
+        .expect(401);
+    await respond(' ').expect(400);
+    await respond('Unknown review', office.id, 'unknown').expect(404);
+
+    // only published reviews may be responded to
+    await db('reviews').update({status: 'pending'}).where({id: testReview.id});
+    await respond('Too soon').expect(404);
+    await db('reviews').update({status: 'approved'}).where({id: testReview.id});
+
+    await respond('Thanks for letting us know').expect(200);
+    await request(app).del(`/businesses/${testBusiness.id}/reviews/${testReview.id}/response`)
+        .set('X-User-Id', testReview.userId)
+        .expect(403);
+    await request(app).del(`/businesses/${testBusiness.id}/reviews/${testReview.id}/response`)
+        .set('X-User-Id', office.id)
+        .expect(200);
+    await request(app).get(`/businesses/${testBusiness.id}/reviews/${testReview.id}/response`)
+        .expect(404);
+
+    // nor does a deleted review leave its response behind
+    await respond('Thanks for letting us know').expect(200);
+    await request(app).del(`/businesses/${testBusiness.id}/reviews/${testReview.id}`)
+        .set('X-User-Id', testReview.userId)
+        .expect(200);
+    expect(await db('review_responses').where({reviewId: testReview.id})).toEqual([]);
+    done();
+});
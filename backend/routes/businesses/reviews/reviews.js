@@ -4,6 +4,10 @@ const express = require('express');
 const router = express.Router({mergeParams: true});
 const uuid = require('uuid');
 const db = require('../../../db')
+const { actingUser, actsFor } = require('../../../identity');
+const { REVIEW_SORTS, publishedSql, isPublished, reviewsQuery, presentedReview, invalidRating } = require('../../../reviews');
+const { submittedReview } = require('../../../moderation');
+const { reviewStats } = require('../../../statistics');
 
 /**
  * @swagger
@@ -29,6 +33,53 @@ const db = require('../../../db')
  *          comment:
  *            type: string
  *            description: The review comment
+ *          userId:
+ *            type: string
+ *            description: The id of the User who wrote the Review (null for Reviews that predate reviewers being identified).  A User may review a Business just the once, after which they update their Review instead.
+ *          reviewer:
+ *            type: object
+ *            description: The display information of the User who wrote the Review (null for Reviews that predate reviewers being identified)
+ *            properties:
+ *              id:
+ *                type: string
+ *                description: The unique id of the User
+ *              displayName:
+ *                type: string
+ *                description: The name the User is presented by
+ *          verified:
+ *            type: boolean
+ *            description: Whether the business or an admin has confirmed that the job reviewed took place.  Defaults to false.
+ *          verifiedAt:
+ *            type: string
+ *            description: Timestamp of when the Review was (last) marked verified or unverified, if ever
+ *          verifiedBy:
+ *            type: string
+ *            description: The id of the User who (last) marked the Review verified or unverified, if ever
+ *          helpfulCount:
+ *            type: integer
+ *            description: The number of Users who found the Review helpful
+ *          unhelpfulCount:
+ *            type: integer
+ *            description: The number of Users who found the Review unhelpful
+ *          hidden:
+ *            type: boolean
+ *            description: Whether the Review has been hidden from the public (and the ratings of the business) for the abuse flags raised against it, until an admin clears them
+ *          response:
+ *            description: The public Response of the business to the Review (null if it has not responded)
+ *            allOf:
+ *              - $ref: '#/components/schemas/ReviewResponse'
+ *          status:
+ *            type: string
+ *            description: The moderation status of the Review; pending (as every Review is once written or updated), approved or rejected.  Only approved Reviews are published (and count toward the ratings of the business), though their reviewer can see their own Reviews whatever their status.
+ *          moderationReason:
+ *            type: string
+ *            description: The reason the moderator gave for their decision, if any (always given for a rejection)
+ *          moderatedAt:
+ *            type: string
+ *            description: Timestamp of the moderator's decision, if any yet
+ *          moderatedBy:
+ *            type: string
+ *            description: The id of the moderator who made the decision, if any yet
  *          created_at:
  *            type: string
  *            description: Timestamp of creation
@@ -58,15 +109,29 @@ const db = require('../../../db')
  *            type: string
  *          required: true
  *          description: The unique id for the business
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: The id of the acting User, whose own Reviews are included whatever their moderation status
+ *        - in: query
+ *          name: sort
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: The order of the Reviews; created (the default) for the order they were written in, or helpful for the most helpful (i.e. highest helpfulCount) first
  *      responses:
  *        "200":
- *          description: Reviews associated with the specified business
+ *          description: The published Reviews associated with the specified business (along with any of the acting User's own)
  *          content:
  *            application/json:
  *              schema:
  *                type: array
  *                items:
  *                  $ref: '#/components/schemas/Review'
+ *        "400":
+ *          description: Bad Request - the sort is invalid
  *        "404":
  *          description: business identified by {businessId} not found
  *        "5XX":
@@ -75,6 +140,12 @@ const db = require('../../../db')
 router.get('/', async (req, resp, next) => {
     const businessId = req.params.businessId;
 
+    const sort = req.query.sort === undefined ? 'created' : req.query.sort;
+    if (!REVIEW_SORTS[sort]) {
+        resp.status(400).send(`The sort is invalid; one of ${Object.keys(REVIEW_SORTS).join(', ')} is expected`);
+        return;
+    }
+
     try {
         const businessCount = await db('businesses')
             .count('* as c')
@@ -84,12 +155,117 @@ router.get('/', async (req, resp, next) => {
             return;
         }
 
-        const reviews = await db('reviews').where({businessId}).orderBy('created_at');
+        const user = await actingUser(req);
+        const reviews = await reviewsQuery()
+            .where('reviews.businessId', businessId)
+            .where((builder) => {
+                builder.whereRaw(publishedSql());
+                if (user) {
+                    builder.orWhere('reviews.userId', user.id);
+                }
+            })
+            .orderBy(REVIEW_SORTS[sort]);
 
-        resp.status(200).json(reviews);
+        resp.status(200).json(reviews.map(presentedReview));
     } catch (err) {
         console.error(`Error while retrieving reviews for businessId ${businessId}`);
-        resp.status(500).render('error', { error: err });
+        resp.status(500).send({ error: err });
+    }
+});
+
+/**
+ * @swagger
+ *  components:
+ *    schemas:
+ *      ReviewStats:
+ *        type: object
+ *        description: Only published Reviews are considered.  A Review counts under the whole part of its rating (e.g. 4.5 under 4 stars), with ratings below 1 counted under 1 star.
+ *        properties:
+ *          count:
+ *            type: integer
+ *            description: The number of Reviews
+ *          mean:
+ *            type: number
+ *            format: float
+ *            description: The mean rating (rounded to 2 decimal places), or null without any Reviews
+ *          median:
+ *            type: number
+ *            format: float
+ *            description: The median rating, or null without any Reviews
+ *          histogram:
+ *            type: array
+ *            description: One entry for each whole star rating (1 through 5)
+ *            items:
+ *              type: object
+ *              properties:
+ *                star:
+ *                  type: integer
+ *                count:
+ *                  type: integer
+ *          trend:
+ *            type: array
+ *            description: One entry for each month in which the business was reviewed, oldest first
+ *            items:
+ *              type: object
+ *              properties:
+ *                month:
+ *                  type: string
+ *                  description: The month, as YYYY-MM
+ *                count:
+ *                  type: integer
+ *                  description: The number of Reviews written that month
+ *                mean:
+ *                  type: number
+ *                  format: float
+ *                  description: The mean rating (rounded to 2 decimal places) of the Reviews written that month
+ *          commentShare:
+ *            type: number
+ *            format: float
+ *            description: The share (0 to 1, rounded to 2 decimal places) of the Reviews with a comment, or null without any Reviews
+ */
+
+/**
+ * @swagger
+ * path:
+ *  /businesses/{businessId}/reviews/stats:
+ *    get:
+ *      summary: Retrieve the statistics of the published Reviews associated with {businessId}
+ *      tags: [Reviews]
+ *      parameters:
+ *        - in: path
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the business
+ *      responses:
+ *        "200":
+ *          description: The statistics of the Reviews of the specified business
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: '#/components/schemas/ReviewStats'
+ *        "404":
+ *          description: business identified by {businessId} not found
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.get('/stats', async (req, resp, next) => {
+    const businessId = req.params.businessId;
+
+    try {
+        const businessCount = await db('businesses')
+            .count('* as c')
+            .where({id: businessId});
+        if (businessCount[0]['c'] < 1) {
+            resp.status(404).send(`The specified business does not exist`);
+            return;
+        }
+
+        resp.status(200).json(await reviewStats(businessId));
+    } catch (err) {
+        console.error(`Error while retrieving review stats for businessId ${businessId}`);
+        resp.status(500).send({ error: err });
     }
 });
 
@@ -113,6 +289,12 @@ router.get('/', async (req, resp, next) => {
  *            type: string
  *          required: true
  *          description: The unique id for the Review
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: The id of the acting User, who may retrieve their own Reviews (or any Review, if an admin) whatever their moderation status
  *      responses:
  *        "200":
  *          description: The Review identified by {id} and associated with business {businessId}
@@ -121,7 +303,7 @@ router.get('/', async (req, resp, next) => {
  *              schema:
  *                $ref: '#/components/schemas/Review'
  *        "404":
- *          description: Review identified by {id} and associated with business {businessId} not found
+ *          description: Review identified by {id} and associated with business {businessId} not found (or not published)
  *        "5XX":
  *          description: unexpected error
  */
@@ -130,17 +312,21 @@ router.get('/:id', async (req, resp, next) => {
     const id = req.params.id;
 
     try {
-        const reviews = await db('reviews').where({id, businessId});
+        const user = await actingUser(req);
+        const reviews = await reviewsQuery().where({'reviews.id': id, 'reviews.businessId': businessId});
+        // unpublished Reviews are only visible to their reviewer and admins
+        const visible = reviews.length &&
+            (isPublished(reviews[0]) || (user && (user.admin || reviews[0].userId === user.id)));
 
-        if (reviews && reviews.length) {
-            resp.status(200).json(reviews[0]);
+        if (visible) {
+            resp.status(200).json(presentedReview(reviews[0]));
         } else {
             resp.status(404).send(`The specified business/review combination does not exist`);
             return;
         }
     } catch (err) {
         console.error(`Error while retrieving reviews for businessId ${businessId}`);
-        resp.status(500).render('error', { error: err });
+        resp.status(500).send({ error: err });
     }
 });
 
@@ -149,7 +335,7 @@ router.get('/:id', async (req, resp, next) => {
  * path:
  *  /businesses/{businessId}/reviews:
  *    post:
- *      summary: Add a new Review associated with the {businessId} business
+ *      summary: Add a new Review of the {businessId} business by the acting User
  *      tags: [Reviews]
  *      parameters:
  *        - in: path
@@ -158,6 +344,12 @@ router.get('/:id', async (req, resp, next) => {
  *            type: string
  *          required: true
  *          description: The unique id for the business
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The id of the User writing the Review
  *      requestBody:
  *        description: A sparse Review object (i.e. only the rating and optional comment will be meaningful.  All other attributes are ignored if specified)
  *        required: true
@@ -167,31 +359,55 @@ router.get('/:id', async (req, resp, next) => {
  *              $ref: '#/components/schemas/Review'
  *      responses:
  *        "200":
- *          description: The new Review has been added and associated with the {businessId} business
+ *          description: The new Review has been added and associated with the {businessId} business, pending moderation
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: object
+ *                properties:
+ *                  id:
+ *                    type: string
+ *                    description: the unique id for the new Review
  *        "400":
  *          description: Bad Request - the Review rating is missing or invalid
+ *        "401":
+ *          description: Unauthorized - the X-User-Id header does not identify a User
+ *        "403":
+ *          description: Forbidden - the User acts on behalf of the business, which they may not review
  *        "404":
  *          description: business identified by {businessId} not found
+ *        "409":
+ *          description: Conflict - the User has already reviewed the business, and should update that Review instead
  *        "5XX":
  *          description: unexpected error
  */
 router.post('/', async (req, resp, next) => {
     const businessId = req.params.businessId;
 
-    const review = req.body;
-    if (review.rating === undefined || review.rating < 0 || review.rating > 5) {
-        resp.status(400).send(`Review rating must be specified: 0 <= rating <= 5`);
+    const invalid = invalidRating(req.body.rating);
+    if (invalid) {
+        resp.status(400).send(invalid);
         return;
     }
 
-    // TODO: Note: we ignore and override any ids that may have been specified in the body for simplicity reason for this
-    // exercise.  However, we would typically want to detect this and notify the caller in some manner
-    review.id = uuid.v4();
-    review.businessId = businessId;
-    delete review['created_at'];
-    delete review['updated_at'];
+    // TODO: Note: we ignore any other attributes (ids, verified etc.) that may have been specified in the body for
+    // simplicity reason for this exercise.  However, we would typically want to detect this and notify the caller in some manner
+    const review = {
+        id: uuid.v4(),
+        businessId,
+        rating: req.body.rating,
+        comment: req.body.comment
+    };
 
     try {
+        const user = await actingUser(req);
+        if (!user) {
+            resp.status(401).send(`The reviewer must be identified by the X-User-Id header`);
+            return;
+        }
+        review.userId = user.id;
+        Object.assign(review, submittedReview(review));
+
         const businessCount = await db('businesses')
             .count('* as c')
             .where({id: businessId});
@@ -200,24 +416,36 @@ router.post('/', async (req, resp, next) => {
             resp.status(404).send(`The specified business does not exist`);
             return;
         }
-        const reviews = await db('reviews').insert(review);
+        if (user.businessId === businessId) {
+            resp.status(403).send(`A User acting on behalf of a business may not review it`);
+            return;
+        }
 
-        resp.status(200).end();
+        const existing = await db('reviews').where({businessId, userId: user.id});
+        if (existing.length) {
+            resp.status(409).send(`The reviewer has already reviewed this business; update Review ${existing[0].id} instead`);
+            return;
+        }
+        await db('reviews').insert(review);
+
+        resp.status(200).send({id: review.id});
     } catch (err) {
+        if (err.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(err.message)) {
+            // a concurrent request by the same reviewer got there first
+            resp.status(409).send(`The reviewer has already reviewed this business`);
+            return;
+        }
         console.error(`Error while adding review for businessId ${businessId} ${JSON.stringify(err)}`);
         resp.status(500).send({ error: err });
     }
 });
 
 /**
- * TODO: Decide if we want to support modification of reviews or make them immutable.  In the absence of any specification
- * in the assignment, this is ability is included for now
- *
  * @swagger
  * path:
  *  /businesses/{businessId}/reviews/{id}:
  *    put:
- *      summary: Update the unique Review identified by {id} and associated with {businessId}
+ *      summary: Update the unique Review identified by {id} and associated with {businessId}, which only its reviewer may do.  The updated Review awaits moderation afresh.
  *      tags: [Reviews]
  *      parameters:
  *        - in: path
@@ -232,6 +460,12 @@ router.post('/', async (req, resp, next) => {
  *            type: string
  *          required: true
  *          description: The unique id for the Review
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The id of the User who wrote the Review
  *      requestBody:
  *        description: A sparse Review object (i.e. only the rating and optional comment will be meaningful.  All other attributes are ignored if specified)
  *        required: true
@@ -244,8 +478,12 @@ router.post('/', async (req, resp, next) => {
  *          description: The Review has been successfully modified
  *        "400":
  *          description: Bad Request - the Review rating is missing or invalid
+ *        "401":
+ *          description: Unauthorized - the X-User-Id header does not identify a User
+ *        "403":
+ *          description: Forbidden - the User did not write the Review
  *        "404":
- *          description: business identified by {businessId} not found
+ *          description: Review identified by {id} and associated with business {businessId} not found
  *        "5XX":
  *          description: unexpected error
  */
@@ -254,8 +492,9 @@ router.put('/:id', async (req, resp, next) => {
     const id = req.params.id;
 
     const review = req.body;
-    if (review.rating === undefined || review.rating < 0 || review.rating > 5) {
-        resp.status(400).send(`Review rating must be specified: 0 <= rating <= 5`);
+    const invalid = invalidRating(review.rating);
+    if (invalid) {
+        resp.status(400).send(invalid);
         return;
     }
 
@@ -263,12 +502,19 @@ router.put('/:id', async (req, resp, next) => {
     // an appropriate indication if it does.  However, for simplicity of this exercise, this is presently omitted.
 
     try {
-        const businessCount = await db('businesses')
-            .count('* as c')
-            .where({id: businessId});
+        const user = await actingUser(req);
+        if (!user) {
+            resp.status(401).send(`The reviewer must be identified by the X-User-Id header`);
+            return;
+        }
 
-        if (businessCount[0]['c'] < 1) {
-            resp.status(404).send(`The specified business does not exist`);
+        const reviews = await db('reviews').where({id, businessId});
+        if (!reviews.length) {
+            resp.status(404).send(`The specified business/review combination does not exist`);
+            return;
+        }
+        if (reviews[0].userId !== user.id) {
+            resp.status(403).send(`Only the reviewer who wrote the Review may update it`);
             return;
         }
 
@@ -280,7 +526,11 @@ router.put('/:id', async (req, resp, next) => {
             // support removal of a comment via null sentinel
             reviewUpdates.comment = review.comment === null ? db.raw('DEFAULT') : review.comment;
         }
-        const reviews = await db('reviews')
+        // the updated Review is unpublished until a moderator approves it once more
+        const resubmitted = submittedReview({comment: review.comment === undefined ? reviews[0].comment : review.comment});
+        delete resubmitted.comment;
+        Object.assign(reviewUpdates, resubmitted);
+        await db('reviews')
             .update(reviewUpdates)
             .where({id, businessId});
 
@@ -291,6 +541,97 @@ router.put('/:id', async (req, resp, next) => {
     }
 });
 
+/**
+ * @swagger
+ * path:
+ *  /businesses/{businessId}/reviews/{id}/verified:
+ *    put:
+ *      summary: Mark the unique Review identified by {id} and associated with {businessId} as verified (or not), once the business or an admin has confirmed that the job reviewed took place
+ *      tags: [Reviews]
+ *      parameters:
+ *        - in: path
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the business
+ *        - in: path
+ *          name: id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the Review
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The id of an admin, or of a User acting on behalf of the business
+ *      requestBody:
+ *        required: true
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              required:
+ *                - verified
+ *              properties:
+ *                verified:
+ *                  type: boolean
+ *                  description: Whether the job reviewed has been confirmed to have taken place
+ *      responses:
+ *        "200":
+ *          description: The Review has been successfully marked
+ *        "400":
+ *          description: Bad Request - verified is missing or not a boolean
+ *        "401":
+ *          description: Unauthorized - the X-User-Id header does not identify a User
+ *        "403":
+ *          description: Forbidden - the User is neither an admin nor acts on behalf of the business
+ *        "404":
+ *          description: Review identified by {id} and associated with business {businessId} not found
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.put('/:id/verified', async (req, resp, next) => {
+    const businessId = req.params.businessId;
+    const id = req.params.id;
+
+    if (typeof req.body.verified !== 'boolean') {
+        resp.status(400).send(`Review verified must be specified as true or false`);
+        return;
+    }
+
+    try {
+        const user = await actingUser(req);
+        if (!user) {
+            resp.status(401).send(`The User must be identified by the X-User-Id header`);
+            return;
+        }
+        if (!actsFor(user, businessId)) {
+            resp.status(403).send(`Only the business or an admin may verify its Reviews`);
+            return;
+        }
+
+        const updated = await db('reviews')
+            .update({
+                verified: req.body.verified,
+                verifiedAt: db.fn.now(),
+                verifiedBy: user.id
+            })
+            .where({id, businessId});
+        if (!updated) {
+            resp.status(404).send(`The specified business/review combination does not exist`);
+            return;
+        }
+
+        resp.status(200).end();
+    } catch (err) {
+        console.error(`Error while verifying review for businessId ${businessId} ${JSON.stringify(err)}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
 /**
  * TODO: Decide if we want to support deletion of reviews or make them immutable.  In the absence of any specification
  * in the assignment, this is ability is included for now
@@ -299,7 +640,7 @@ router.put('/:id', async (req, resp, next) => {
  * path:
  *  /businesses/{businessId}/reviews/{id}:
  *    delete:
- *      summary: Delete the unique Review identified by {id} and associated with {businessId}
+ *      summary: Delete the unique Review identified by {id} and associated with {businessId}, which only its reviewer or an admin may do
  *      tags: [Reviews]
  *      parameters:
  *        - in: path
@@ -314,9 +655,19 @@ router.put('/:id', async (req, resp, next) => {
  *            type: string
  *          required: true
  *          description: The unique id for the Review
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The id of the User who wrote the Review, or of an admin
  *      responses:
  *        "200":
  *          description: The Review has been successfully deleted
+ *        "401":
+ *          description: Unauthorized - the X-User-Id header does not identify a User
+ *        "403":
+ *          description: Forbidden - the User is neither the reviewer nor an admin
  *        "404":
  *          description: business identified by {businessId} not found
  *        "5XX":
@@ -327,6 +678,12 @@ router.delete('/:id', async (req, resp, next) => {
     const id = req.params.id;
 
     try {
+        const user = await actingUser(req);
+        if (!user) {
+            resp.status(401).send(`The User must be identified by the X-User-Id header`);
+            return;
+        }
+
         const businessCount = await db('businesses')
             .count('* as c')
             .where({id: businessId});
@@ -336,9 +693,27 @@ router.delete('/:id', async (req, resp, next) => {
             return;
         }
 
-        const reviews = await db('reviews')
-            .del()
-            .where({id, businessId});
+        const reviews = await db('reviews').where({id, businessId});
+        if (reviews.length && reviews[0].userId !== user.id && !user.admin) {
+            resp.status(403).send(`Only the reviewer who wrote the Review or an admin may delete it`);
+            return;
+        }
+        await db.transaction(async (trx) => {
+            await db('review_responses')
+                .del()
+                .where({reviewId: id, businessId})
+                .transacting(trx);
+            for (const feedback of ['review_votes', 'review_flags']) {
+                await db(feedback)
+                    .del()
+                    .whereIn('reviewId', db('reviews').select('id').where({id, businessId}))
+                    .transacting(trx);
+            }
+            await db('reviews')
+                .del()
+                .where({id, businessId})
+                .transacting(trx);
+        });
 
         resp.status(200).end();
     } catch (err) {
@@ -14,6 +14,8 @@ app.use('/businesses/:businessId/reviews', reviews);
 
 let testBusiness;
 let testReview;
+let admin;
+let office;
 
 const resetDb = async (done) => {
     // We want to have a known starting point before each test, so we clear out any previous data and begin with
@@ -33,9 +35,13 @@ const resetDb = async (done) => {
     // identify a business' Review.  However, many review based operations require a known review id.  Therefore, for
     // testing purposes, we will arbitrarily choose one of the initial seed data businesses' reviews to fulfill this need
     // and enable further testing.
-    const reviews = await db('reviews').where({businessId: testBusiness.id}).orderBy('created_at');
+    const reviews = await db('reviews').where({businessId: testBusiness.id}).orderBy(['created_at', 'rowid']);
     testReview = reviews[0];
 
+    // Likewise, the seed data's admin and the User acting on behalf of the test business
+    admin = (await db('users').where({admin: true}))[0];
+    office = (await db('users').where({businessId: testBusiness.id}))[0];
+
     done();
 }
 
@@ -63,6 +69,8 @@ test('GET /businesses/<testBusiness.id>/reviews for initial seed data (no filter
             expect(res.body.length).toEqual(3);
             expect(res.body[0].rating).toEqual(4);
             expect(res.body[0].comment).toEqual('Move out cleaning');
+            expect(res.body[0].reviewer).toEqual({id: testReview.userId, displayName: 'Jordan P.'});
+            expect(res.body[0].verified).toEqual(false);
             expect(res.body[2].rating).toEqual(5);
             expect(res.body[2].comment).toBeNull();
             done();
@@ -76,45 +84,108 @@ test('GET /businesses/<testBusiness.id>/reviews/<testReview.id> for initial seed
         .expect((res) => {
             expect(res.body.rating).toEqual(testReview.rating);
             expect(res.body.comment).toEqual(testReview.comment);
+            expect(res.body.reviewer.displayName).toEqual('Jordan P.');
+            expect(res.body).not.toHaveProperty('reviewerDisplayName');
             done();
         });
 });
 
 test('POST /businesses/<testBusiness.id>/reviews to add new review', async (done) => {
+    const userId = `new-reviewer-${Date.now()}`;
+    await db('users').insert({id: userId, displayName: 'Riley S.', email: `${userId}@example.com`});
+
     await request(app).post(`/businesses/${testBusiness.id}/reviews`)
+        .set('X-User-Id', userId)
         .send({rating: 5, comment: 'Fast, affordable, dependable!'})
         .expect(200)
         .expect(async (res) => {
-            // Verify that the added review is there
+            // Verify that the added review is there for its reviewer, but awaits moderation before it is published
             await request(app).get(`/businesses/${testBusiness.id}/reviews`)
+                .set('X-User-Id', userId)
                 .expect('Content-Type', /json/)
                 .expect(200)
                 .expect((res) => {
                     expect(res.body.length).toEqual(4);
                     expect(res.body[3].rating).toEqual(5);
                     expect(res.body[3].comment).toEqual('Fast, affordable, dependable!');
+                    expect(res.body[3].reviewer).toEqual({id: userId, displayName: 'Riley S.'});
+                    expect(res.body[3].status).toEqual('pending');
+                });
+            await request(app).get(`/businesses/${testBusiness.id}/reviews`)
+                .expect(200)
+                .expect((res) => {
+                    expect(res.body.length).toEqual(3);
                     done();
                 });
         });
 });
 
+test('GET /businesses/<testBusiness.id>/reviews/stats for initial seed data', async (done) => {
+    // the seed reviews were all written at the same time, so move one back a month to give the trend some history
+    await db('reviews').update({'created_at': '2026-09-15 12:00:00'}).where({businessId: testBusiness.id, rating: 5});
+    const month = (await db('reviews').select(db.raw(`strftime('%Y-%m', created_at) as month`)).where({id: testReview.id}))[0].month;
+
+    await request(app).get(`/businesses/${testBusiness.id}/reviews/stats`)
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body).toEqual({
+                count: 3,
+                mean: 3.67,
+                median: 4,
+                histogram: [
+                    {star: 1, count: 0},
+                    {star: 2, count: 1},
+                    {star: 3, count: 0},
+                    {star: 4, count: 1},
+                    {star: 5, count: 1}
+                ],
+                trend: [
+                    {month: '2026-09', count: 1, mean: 5},
+                    {month, count: 2, mean: 3}
+                ],
+                commentShare: 0.67
+            });
+        });
+
+    // only published reviews count, and a business without any has no mean, median or commentShare
+    await db('reviews').update({status: 'pending'}).where({businessId: testBusiness.id});
+    await request(app).get(`/businesses/${testBusiness.id}/reviews/stats`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body).toEqual(expect.objectContaining({count: 0, mean: null, median: null, trend: [], commentShare: null}));
+            expect(res.body.histogram.map((star) => star.count)).toEqual([0, 0, 0, 0, 0]);
+        });
+    await request(app).get(`/businesses/unknown/reviews/stats`)
+        .expect(404);
+    done();
+});
+
 test('PUT /businesses/<testBusiness.id>/reviews/<testReview.id> to change existing review name', async (done) => {
     const revisedReview = {
         ...testReview,
         rating: 3
     };
     await request(app).put(`/businesses/${testBusiness.id}/reviews/${testReview.id}`)
+        .set('X-User-Id', testReview.userId)
         .send(revisedReview)
         .expect(200)
         .expect(async (res) => {
-            // Verify that the modified review is there
+            // Verify that the modified review is there for its reviewer, but awaits moderation afresh before it is published
             await request(app).get(`/businesses/${testBusiness.id}/reviews`)
+                .set('X-User-Id', testReview.userId)
                 .expect('Content-Type', /json/)
                 .expect(200)
                 .expect((res) => {
                     expect(res.body.length).toEqual(3);
                     expect(res.body[0].rating).toEqual(revisedReview.rating);
                     expect(res.body[0].comment).toEqual(testReview.comment);
+                    expect(res.body[0].status).toEqual('pending');
+                });
+            await request(app).get(`/businesses/${testBusiness.id}/reviews`)
+                .expect(200)
+                .expect((res) => {
+                    expect(res.body.length).toEqual(2);
                     done();
                 });
         });
@@ -122,6 +193,7 @@ test('PUT /businesses/<testBusiness.id>/reviews/<testReview.id> to change existi
 
 test('DEL /businesses/<testBusiness.id>/reviews/<testReview.id> to delete an existing review', async (done) => {
     await request(app).del(`/businesses/${testBusiness.id}/reviews/${testReview.id}`)
+        .set('X-User-Id', testReview.userId)
         .expect(200)
         .expect(async (res) => {
             // Verify that the removed review is no longer there
@@ -136,3 +208,102 @@ test('DEL /businesses/<testBusiness.id>/reviews/<testReview.id> to delete an exi
         });
 });
 
+
+test('POST /businesses/<testBusiness.id>/reviews limits each reviewer to a single review of a business', async (done) => {
+    await request(app).post(`/businesses/${testBusiness.id}/reviews`)
+        .send({rating: 5, comment: 'Anonymous praise'})
+        .expect(401);
+    await request(app).post(`/businesses/${testBusiness.id}/reviews`)
+        .set('X-User-Id', 'unknown')
+        .send({rating: 5})
+        .expect(401);
+    await request(app).post(`/businesses/${testBusiness.id}/reviews`)
+        .set('X-User-Id', testReview.userId)
+        .send({rating: 1, comment: 'Another go'})
+        .expect(409)
+        .expect((res) => {
+            expect(res.text).toContain(testReview.id);
+        });
+    // nor may a business review itself
+    await request(app).post(`/businesses/${testBusiness.id}/reviews`)
+        .set('X-User-Id', office.id)
+        .send({rating: 5})
+        .expect(403);
+    await request(app).post(`/businesses/${testBusiness.id}/reviews`)
+        .set('X-User-Id', testReview.userId)
+        .send({rating: '5'})
+        .expect(400);
+
+    const reviews = await db('reviews').where({businessId: testBusiness.id});
+    expect(reviews.length).toEqual(3);
+    done();
+});
+
+test('PUT and DEL /businesses/<testBusiness.id>/reviews/<testReview.id> by anyone but its reviewer - Should be rejected', async (done) => {
+    const other = (await db('reviews').where({businessId: testBusiness.id}).whereNot({id: testReview.id}))[0];
+
+    await request(app).put(`/businesses/${testBusiness.id}/reviews/${testReview.id}`)
+        .send({rating: 1})
+        .expect(401);
+    await request(app).put(`/businesses/${testBusiness.id}/reviews/${testReview.id}`)
+        .set('X-User-Id', other.userId)
+        .send({rating: 1})
+        .expect(403);
+    await request(app).put(`/businesses/${testBusiness.id}/reviews/${testReview.id}`)
+        .set('X-User-Id', admin.id)
+        .send({rating: 1})
+        .expect(403);
+    await request(app).put(`/businesses/${testBusiness.id}/reviews/unknown`)
+        .set('X-User-Id', testReview.userId)
+        .send({rating: 1})
+        .expect(404);
+    await request(app).del(`/businesses/${testBusiness.id}/reviews/${testReview.id}`)
+        .set('X-User-Id', other.userId)
+        .expect(403);
+    expect((await db('reviews').where({id: testReview.id}))[0].rating).toEqual(testReview.rating);
+
+    // whereas an admin may remove it
+    await request(app).del(`/businesses/${testBusiness.id}/reviews/${testReview.id}`)
+        .set('X-User-Id', admin.id)
+        .expect(200);
+    expect(await db('reviews').where({id: testReview.id})).toEqual([]);
+    done();
+});
+
+test('PUT /businesses/<testBusiness.id>/reviews/<testReview.id>/verified by the business or an admin', async (done) => {
+    await request(app).put(`/businesses/${testBusiness.id}/reviews/${testReview.id}/verified`)
+        .set('X-User-Id', office.id)
+        .send({verified: true})
+        .expect(200);
+    await request(app).get(`/businesses/${testBusiness.id}/reviews/${testReview.id}`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.verified).toEqual(true);
+            expect(res.body.verifiedBy).toEqual(office.id);
+            expect(res.body.verifiedAt).toBeTruthy();
+        });
+
+    // the reviewer cannot vouch for their own review
+    await request(app).put(`/businesses/${testBusiness.id}/reviews/${testReview.id}/verified`)
+        .set('X-User-Id', testReview.userId)
+        .send({verified: false})
+        .expect(403);
+    await request(app).put(`/businesses/${testReview.businessId}/reviews/${testReview.id}/verified`)
+        .send({verified: false})
+        .expect(401);
+    await request(app).put(`/businesses/${testBusiness.id}/reviews/${testReview.id}/verified`)
+        .set('X-User-Id', admin.id)
+        .send({verified: 'no'})
+        .expect(400);
+
+    await request(app).put(`/businesses/${testBusiness.id}/reviews/${testReview.id}/verified`)
+        .set('X-User-Id', admin.id)
+        .send({verified: false})
+        .expect(200);
+    await request(app).put(`/businesses/${testBusiness.id}/reviews/unknown/verified`)
+        .set('X-User-Id', admin.id)
+        .send({verified: true})
+        .expect(404);
+    expect((await db('reviews').where({id: testReview.id}))[0].verified).toBeFalsy();
+    done();
+});
@@ -4,6 +4,7 @@ const express = require('express');
 const router = express.Router({mergeParams: true});
 const uuid = require('uuid');
 const db = require('../../../db')
+const { invalidSlotMinutes } = require('../../../availability');
 
 /**
  * @swagger
@@ -25,6 +26,9 @@ const db = require('../../../db')
  *          name:
  *            type: string
  *            description: Name for the Service, needs to be unique within the associated businessId.
+ *          slotMinutes:
+ *            type: integer
+ *            description: The length (5 <= slotMinutes <= 1440) of the slots in which the Service is booked.  Optional, in which case the default of 60 minutes applies (as it does again once null is specified).
  *          created_at:
  *            type: string
  *            description: Timestamp of creation
@@ -155,7 +159,7 @@ router.get('/:id', async (req, resp, next) => {
  *          required: true
  *          description: The unique id for the business
  *      requestBody:
- *        description: A sparse Service object (i.e. only the name must be specified.  All other attributes are ignored if specified)
+ *        description: A sparse Service object (i.e. only the name must be specified, while the slotMinutes is optional.  All other attributes are ignored if specified)
  *        required: true
  *        content:
  *          application/json:
@@ -165,7 +169,7 @@ router.get('/:id', async (req, resp, next) => {
  *        "200":
  *          description: The new Service has been added and associated with the {businessId} business
  *        "400":
- *          description: Bad Request - the Service name must be specified
+ *          description: Bad Request - the Service name must be specified and any slotMinutes must be valid
  *        "404":
  *          description: business identified by {businessId} not found
  *        "5XX":
@@ -180,6 +184,11 @@ router.post('/', async (req, resp, next) => {
         resp.status(400).send(`Service name must be specified`);
         return;
     }
+    const invalid = invalidSlotMinutes(service.slotMinutes);
+    if (invalid) {
+        resp.status(400).send(invalid);
+        return;
+    }
 
     // TODO: Note: we would typically want to check here to make sure the requested service does not already exist and return an
     // appropriate indication if it does.  However, for simplicity of this exercise, this is presently omitted.
@@ -230,7 +239,7 @@ router.post('/', async (req, resp, next) => {
  *          required: true
  *          description: The unique id for the Service
  *      requestBody:
- *        description: A sparse Service object (i.e. only the name must be specified.  All other attributes are ignored if specified)
+ *        description: A sparse Service object (i.e. only the name must be specified, while the slotMinutes is optional and left as is unless specified.  All other attributes are ignored if specified)
  *        required: true
  *        content:
  *          application/json:
@@ -238,9 +247,9 @@ router.post('/', async (req, resp, next) => {
  *              $ref: '#/components/schemas/Service'
  *      responses:
  *        "200":
- *          description: The Service name has been successfully modified
+ *          description: The Service name and/or slotMinutes have been successfully modified
  *        "400":
- *          description: Bad Request - the Service name must be specified
+ *          description: Bad Request - the Service name must be specified and any slotMinutes must be valid
  *        "404":
  *          description: business identified by {businessId} not found
  *        "5XX":
@@ -255,6 +264,11 @@ router.put('/:id', async (req, resp, next) => {
         resp.status(400).send(`Service name must be specified`);
         return;
     }
+    const invalid = invalidSlotMinutes(service.slotMinutes);
+    if (invalid) {
+        resp.status(400).send(invalid);
+        return;
+    }
 
     // TODO: Note: we would typically want to check here to make sure the revised service name does not already exist and return
     // an appropriate indication if it does.  However, for simplicity of this exercise, this is presently omitted.
@@ -273,7 +287,7 @@ router.put('/:id', async (req, resp, next) => {
         }
 
         const services = await db('services')
-            .update({name: service.name, 'updated_at': db.fn.now()})
+            .update({name: service.name, slotMinutes: service.slotMinutes, 'updated_at': db.fn.now()})
             .where({id, businessId});
 
         resp.status(200).end();
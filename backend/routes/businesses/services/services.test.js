@@ -117,6 +117,30 @@ test('PUT /businesses/<testBusiness.id>/services/<testService.id> to change exis
         });
 });
 
+test('POST and PUT /businesses/<testBusiness.id>/services with the length of their booking slots', async (done) => {
+    await request(app).post(`/businesses/${testBusiness.id}/services`)
+        .send({name: 'AAA', slotMinutes: 90})
+        .expect(200);
+    await request(app).put(`/businesses/${testBusiness.id}/services/${testService.id}`)
+        .send({name: testService.name, slotMinutes: 30})
+        .expect(200);
+    await request(app).post(`/businesses/${testBusiness.id}/services`)
+        .send({name: 'BBB', slotMinutes: 0})
+        .expect(400);
+    await request(app).put(`/businesses/${testBusiness.id}/services/${testService.id}`)
+        .send({name: testService.name, slotMinutes: 'half an hour'})
+        .expect(400);
+
+    await request(app).get(`/businesses/${testBusiness.id}/services`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.find((service) => service.name === 'AAA').slotMinutes).toEqual(90);
+            expect(res.body.find((service) => service.id === testService.id).slotMinutes).toEqual(30);
+            expect(res.body.filter((service) => service.name === 'BBB')).toEqual([]);
+            done();
+        });
+});
+
 test('DEL /businesses/<testBusiness.id>/services/<testService.id> to delete an existing service', async (done) => {
     await request(app).del(`/businesses/${testBusiness.id}/services/${testService.id}`)
         .expect(200)
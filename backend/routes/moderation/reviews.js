@@ -0,0 +1,375 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router({mergeParams: true});
+const db = require('../../db')
+const { actingUser } = require('../../identity');
+const { REVIEW_ORDER, reviewsQuery, moderatedReview } = require('../../reviews');
+const { REVIEW_STATUSES, invalidDecision } = require('../../moderation');
+
+/**
+ * @swagger
+ *  components:
+ *    schemas:
+ *      ModeratedReview:
+ *        allOf:
+ *          - $ref: '#/components/schemas/Review'
+ *          - type: object
+ *            properties:
+ *              prescreenFlags:
+ *                type: array
+ *                items:
+ *                  type: string
+ *                description: The reasons the automatic pre-screen flagged the Review for (e.g. contains a URL), per the banned words and checks configured in moderation.json.  Empty if it was not flagged.
+ *              flagCount:
+ *                type: integer
+ *                description: The number of abuse flags raised against the Review by Users (that an admin has yet to clear)
+ *              flags:
+ *                type: array
+ *                description: The abuse flags raised against the Review (that an admin has yet to clear), oldest first.  Only included when a single Review is retrieved.
+ *                items:
+ *                  type: object
+ *                  properties:
+ *                    id:
+ *                      type: string
+ *                      description: The unique id for the flag
+ *                    userId:
+ *                      type: string
+ *                      description: The id of the User who raised the flag
+ *                    reason:
+ *                      type: string
+ *                      description: Why the User considers the Review abusive
+ *                    created_at:
+ *                      type: string
+ *                      description: Timestamp of when the flag was raised
+ */
+
+// The count of the abuse flags raised against a Review that have yet to be cleared
+const flagCount = () => db.raw(
+    '(select count(*) from review_flags where review_flags.reviewId = reviews.id and review_flags.clearedAt is null) as flagCount');
+
+// A query of the abuse flags raised against the Review identified by reviewId that have yet to be cleared
+const flagsQuery = (reviewId) => db('review_flags')
+    .select('id', 'userId', 'reason', 'created_at')
+    .where({reviewId})
+    .whereNull('clearedAt');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Moderation
+ *   description: Review moderation API (for admins only)
+ */
+
+// Every moderation operation is reserved for admins
+router.use(async (req, resp, next) => {
+    try {
+        const user = await actingUser(req);
+        if (!user) {
+            resp.status(401).send(`The admin must be identified by the X-User-Id header`);
+            return;
+        }
+        if (!user.admin) {
+            resp.status(403).send(`Only an admin may moderate Reviews`);
+            return;
+        }
+        req.user = user;
+        next();
+    } catch (err) {
+        console.error(`Error while identifying the moderator ${JSON.stringify(err)}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+/**
+ * @swagger
+ * path:
+ *  /moderation/reviews:
+ *    get:
+ *      summary: Retrieve the Reviews awaiting (or having received) moderation, or those hidden for their abuse flags, flagged Reviews first and then oldest first
+ *      tags: [Moderation]
+ *      parameters:
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The id of the admin
+ *        - in: query
+ *          name: status
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: The moderation status of the Reviews to retrieve; pending (the default, unless hidden is specified), approved or rejected
+ *        - in: query
+ *          name: flagged
+ *          schema:
+ *            type: boolean
+ *          required: false
+ *          description: Limits the Reviews to those the automatic pre-screen did (true) or did not (false) flag
+ *        - in: query
+ *          name: hidden
+ *          schema:
+ *            type: boolean
+ *          required: false
+ *          description: Limits the Reviews to those that are (true) or are not (false) hidden for the abuse flags raised against them
+ *        - in: query
+ *          name: businessId
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: Limits the Reviews to those of the business
+ *      responses:
+ *        "200":
+ *          description: The Reviews with the moderation status
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: array
+ *                items:
+ *                  $ref: '#/components/schemas/ModeratedReview'
+ *        "400":
+ *          description: Bad Request - the status, flagged or hidden value is invalid
+ *        "401":
+ *          description: Unauthorized - the X-User-Id header does not identify a User
+ *        "403":
+ *          description: Forbidden - the User is not an admin
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.get('/', async (req, resp, next) => {
+    // hidden Reviews were approved before they were flagged, so they are not limited to pending ones by default
+    const status = req.query.status === undefined && req.query.hidden === undefined ? 'pending' : req.query.status;
+    if (status !== undefined && !REVIEW_STATUSES.includes(status)) {
+        resp.status(400).send(`The status is invalid; one of ${REVIEW_STATUSES.join(', ')} is expected`);
+        return;
+    }
+    for (const parameter of ['flagged', 'hidden']) {
+        if (req.query[parameter] !== undefined && !['true', 'false'].includes(req.query[parameter])) {
+            resp.status(400).send(`The ${parameter} value is invalid; true or false is expected`);
+            return;
+        }
+    }
+
+    try {
+        const reviews = await reviewsQuery()
+            .select(flagCount())
+            .modify((query) => {
+                if (status !== undefined) {
+                    query.where('reviews.status', status);
+                }
+                if (req.query.hidden !== undefined) {
+                    query.where('reviews.hidden', req.query.hidden === 'true');
+                }
+                if (req.query.flagged !== undefined) {
+                    query.where('reviews.prescreenFlags', req.query.flagged === 'true' ? '<>' : '=', '[]');
+                }
+                if (req.query.businessId !== undefined) {
+                    query.where('reviews.businessId', req.query.businessId);
+                }
+            })
+            .orderByRaw(`reviews.prescreenFlags = '[]'`)
+            .orderBy(REVIEW_ORDER);
+
+        resp.status(200).json(reviews.map(moderatedReview));
+    } catch (err) {
+        console.error(`Error while retrieving ${status || 'hidden'} reviews for moderation`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+/**
+ * @swagger
+ * path:
+ *  /moderation/reviews/{id}:
+ *    get:
+ *      summary: Retrieve the unique Review identified by {id}, whatever its moderation status
+ *      tags: [Moderation]
+ *      parameters:
+ *        - in: path
+ *          name: id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the Review
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The id of the admin
+ *      responses:
+ *        "200":
+ *          description: The Review identified by {id}
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: '#/components/schemas/ModeratedReview'
+ *        "401":
+ *          description: Unauthorized - the X-User-Id header does not identify a User
+ *        "403":
+ *          description: Forbidden - the User is not an admin
+ *        "404":
+ *          description: Review identified by {id} not found
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.get('/:id', async (req, resp, next) => {
+    const id = req.params.id;
+
+    try {
+        const reviews = await reviewsQuery().select(flagCount()).where('reviews.id', id);
+
+        if (reviews.length) {
+            const flags = await flagsQuery(id).orderBy('created_at');
+            resp.status(200).json({...moderatedReview(reviews[0]), flags});
+        } else {
+            resp.status(404).send(`The specified review does not exist`);
+        }
+    } catch (err) {
+        console.error(`Error while retrieving review ${id} for moderation`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+/**
+ * @swagger
+ * path:
+ *  /moderation/reviews/{id}:
+ *    put:
+ *      summary: Approve (i.e. publish) or reject the unique Review identified by {id}, or return it to pending
+ *      tags: [Moderation]
+ *      parameters:
+ *        - in: path
+ *          name: id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the Review
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The id of the admin
+ *      requestBody:
+ *        required: true
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              required:
+ *                - status
+ *              properties:
+ *                status:
+ *                  type: string
+ *                  description: The decision; approved, rejected or pending
+ *                reason:
+ *                  type: string
+ *                  description: The reason for the decision, which the reviewer can see.  Required when rejecting a Review.
+ *      responses:
+ *        "200":
+ *          description: The decision has been recorded
+ *        "400":
+ *          description: Bad Request - the status is invalid, or a rejection has no reason
+ *        "401":
+ *          description: Unauthorized - the X-User-Id header does not identify a User
+ *        "403":
+ *          description: Forbidden - the User is not an admin
+ *        "404":
+ *          description: Review identified by {id} not found
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.put('/:id', async (req, resp, next) => {
+    const id = req.params.id;
+
+    const invalid = invalidDecision(req.body);
+    if (invalid) {
+        resp.status(400).send(invalid);
+        return;
+    }
+
+    try {
+        const updated = await db('reviews')
+            .update({
+                status: req.body.status,
+                moderationReason: req.body.reason ? req.body.reason.trim() : null,
+                moderatedAt: db.fn.now(),
+                moderatedBy: req.user.id
+            })
+            .where({id});
+        if (!updated) {
+            resp.status(404).send(`The specified review does not exist`);
+            return;
+        }
+
+        resp.status(200).end();
+    } catch (err) {
+        console.error(`Error while moderating review ${id} ${JSON.stringify(err)}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+/**
+ * @swagger
+ * path:
+ *  /moderation/reviews/{id}/flags:
+ *    delete:
+ *      summary: Clear the abuse flags raised against the unique Review identified by {id}, which shows it once more if they had hidden it
+ *      tags: [Moderation]
+ *      parameters:
+ *        - in: path
+ *          name: id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the Review
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The id of the admin
+ *      responses:
+ *        "200":
+ *          description: The flags have been cleared
+ *        "401":
+ *          description: Unauthorized - the X-User-Id header does not identify a User
+ *        "403":
+ *          description: Forbidden - the User is not an admin
+ *        "404":
+ *          description: Review identified by {id} not found
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.delete('/:id/flags', async (req, resp, next) => {
+    const id = req.params.id;
+
+    try {
+        let shown = 0;
+        await db.transaction(async (trx) => {
+            shown = await db('reviews')
+                .update({hidden: false, hiddenAt: null})
+                .where({id})
+                .transacting(trx);
+            // the flags are kept (as cleared) so that the Users who raised them cannot flag the Review again
+            await db('review_flags')
+                .update({clearedAt: db.fn.now(), clearedBy: req.user.id, 'updated_at': db.fn.now()})
+                .where({reviewId: id})
+                .whereNull('clearedAt')
+                .transacting(trx);
+        });
+        if (!shown) {
+            resp.status(404).send(`The specified review does not exist`);
+            return;
+        }
+
+        resp.status(200).end();
+    } catch (err) {
+        console.error(`Error while clearing the flags of review ${id} ${JSON.stringify(err)}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,205 @@
+'use strict';
+
+const db = require('../../db')
+const moderation = require('./reviews');
+const reviews = require('../businesses/reviews/reviews');
+const businesses = require('../businesses/businesses');
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+
+const app = express();
+
+app.use(bodyParser.json());
+app.use('/businesses', businesses);
+app.use('/businesses/:businessId/reviews', reviews);
+app.use('/moderation/reviews', moderation);
+
+let testBusiness;
+let admin;
+let reviewer;
+
+const resetDb = async (done) => {
+    // We want to have a known starting point before each test, so we clear out any previous data and begin with
+    // a known initial set of seed data
+    await db.migrate.latest();
+    await db.table('businesses').del();
+    await db.seed.run();
+
+    // As the ids are dynamically determined and assigned, we arbitrarily choose the seed data business with a single
+    // (5 star) review to be reviewed further, along with the seed data's admin
+    const businesses = await db('businesses').orderBy('name');
+    testBusiness = businesses[2];
+    admin = (await db('users').where({admin: true}))[0];
+
+    // and a reviewer who has yet to review it
+    reviewer = {id: `reviewer-${Date.now()}`, displayName: 'Riley S.', email: `riley-${Date.now()}@example.com`};
+    await db('users').insert(reviewer);
+
+    done();
+}
+
+beforeAll(() => {
+    process.env.NODE_ENV = 'test';
+});
+
+beforeEach(async (done) => {
+    await resetDb(done);
+});
+
+// Writes a review of the test business by a new reviewer, resolving to its id
+const review = async (rating, comment) => {
+    const id = `${reviewer.id}-${rating}-${Math.random()}`;
+    await db('users').insert({id, displayName: 'Someone', email: `${id}@example.com`});
+    const res = await request(app).post(`/businesses/${testBusiness.id}/reviews`)
+        .set('X-User-Id', id)
+        .send({rating, comment})
+        .expect(200);
+    return res.body.id;
+}
+
+test('GET /moderation/reviews by anyone but an admin - Should be rejected', async (done) => {
+    await request(app).get(`/moderation/reviews`)
+        .expect(401);
+    await request(app).get(`/moderation/reviews`)
+        .set('X-User-Id', reviewer.id)
+        .expect(403);
+    await request(app).put(`/moderation/reviews/anything`)
+        .set('X-User-Id', reviewer.id)
+        .send({status: 'approved'})
+        .expect(403);
+    done();
+});
+
+test('GET /moderation/reviews lists the pending reviews, those the pre-screen flagged first', async (done) => {
+    const clean = await review(4, 'Prompt and tidy');
+    const linked = await review(1, 'Call www.cheaper-movers.com instead');
+    const phoned = await review(2, 'Ring me on (303) 555-0100 for the full story');
+    const rude = await review(1, 'A total SCAM, run by crooks');
+
+    await request(app).get(`/moderation/reviews`)
+        .set('X-User-Id', admin.id)
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.map((review) => review.id)).toEqual([linked, phoned, rude, clean]);
+            expect(res.body.every((review) => review.status === 'pending')).toBe(true);
+            expect(res.body[0].prescreenFlags).toEqual(['contains a URL']);
+            expect(res.body[1].prescreenFlags).toEqual(['contains a phone number']);
+            expect(res.body[2].prescreenFlags).toEqual(['contains the banned word "scam"', 'contains the banned word "crooks"']);
+            expect(res.body[3].prescreenFlags).toEqual([]);
+        });
+    await request(app).get(`/moderation/reviews?flagged=false&businessId=${testBusiness.id}`)
+        .set('X-User-Id', admin.id)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.map((review) => review.id)).toEqual([clean]);
+        });
+    await request(app).get(`/moderation/reviews?status=approved&businessId=${testBusiness.id}`)
+        .set('X-User-Id', admin.id)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.length).toEqual(1);
+            expect(res.body[0].rating).toEqual(5);
+        });
+    await request(app).get(`/moderation/reviews/${rude}`)
+        .set('X-User-Id', admin.id)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.prescreenFlags.length).toEqual(2);
+        });
+    // the flags are only for moderators to see
+    const pending = await db('reviews').where({id: rude});
+    await request(app).get(`/businesses/${testBusiness.id}/reviews/${rude}`)
+        .set('X-User-Id', pending[0].userId)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body).not.toHaveProperty('prescreenFlags');
+        });
+
+    await request(app).get(`/moderation/reviews?status=unknown`)
+        .set('X-User-Id', admin.id)
+        .expect(400);
+    await request(app).get(`/moderation/reviews?flagged=maybe`)
+        .set('X-User-Id', admin.id)
+        .expect(400);
+    await request(app).get(`/moderation/reviews/unknown`)
+        .set('X-User-Id', admin.id)
+        .expect(404);
+    done();
+});
+
+test('PUT /moderation/reviews/<id> publishes only the approved reviews', async (done) => {
+    const approved = await review(1, 'Never showed up, the appointment was a waste');
+    const rejected = await review(1, 'Worst movers ever, zebra');
+
+    // pending reviews are neither published nor counted, nor searchable
+    await request(app).get(`/businesses/${testBusiness.id}/reviews/${approved}`)
+        .expect(404);
+    await request(app).get(`/businesses/${testBusiness.id}?fields=avgRating,reviewCount`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body).toEqual({id: testBusiness.id, avgRating: 5, reviewCount: 1});
+        });
+    await request(app).post('/businesses/search')
+        .send({q: 'appointment'})
+        .expect(404);
+
+    await request(app).put(`/moderation/reviews/${approved}`)
+        .set('X-User-Id', admin.id)
+        .send({status: 'approved'})
+        .expect(200);
+    await request(app).put(`/moderation/reviews/${rejected}`)
+        .set('X-User-Id', admin.id)
+        .send({status: 'rejected'})
+        .expect(400);
+    await request(app).put(`/moderation/reviews/${rejected}`)
+        .set('X-User-Id', admin.id)
+        .send({status: 'rejected', reason: 'Not about a job the business did'})
+        .expect(200);
+    await request(app).put(`/moderation/reviews/${rejected}`)
+        .set('X-User-Id', admin.id)
+        .send({status: 'published'})
+        .expect(400);
+    await request(app).put(`/moderation/reviews/unknown`)
+        .set('X-User-Id', admin.id)
+        .send({status: 'approved'})
+        .expect(404);
+
+    await request(app).get(`/businesses/${testBusiness.id}/reviews`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.map((review) => review.id)).toContain(approved);
+            expect(res.body.map((review) => review.id)).not.toContain(rejected);
+        });
+    await request(app).get(`/businesses/${testBusiness.id}`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.avgRating).toEqual(3);
+            expect(res.body.reviewCount).toEqual(2);
+            expect(res.body.reviews.map((review) => review.id)).toContain(approved);
+            expect(res.body.reviews.map((review) => review.id)).not.toContain(rejected);
+        });
+    await request(app).post('/businesses/search')
+        .send({q: 'appointment'})
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businesses.map((business) => business.id)).toEqual([testBusiness.id]);
+        });
+    await request(app).post('/businesses/search')
+        .send({q: 'zebra'})
+        .expect(404);
+
+    // the reviewer can see why theirs was rejected
+    const stored = await db('reviews').where({id: rejected});
+    expect(stored[0].moderatedBy).toEqual(admin.id);
+    await request(app).get(`/businesses/${testBusiness.id}/reviews/${rejected}`)
+        .set('X-User-Id', stored[0].userId)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.status).toEqual('rejected');
+            expect(res.body.moderationReason).toEqual('Not about a job the business did');
+            done();
+        });
+});
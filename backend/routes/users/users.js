@@ -0,0 +1,312 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router({mergeParams: true});
+const uuid = require('uuid');
+const db = require('../../db')
+const { actingUser, presentedUser } = require('../../identity');
+
+// TODO: Note: this only catches obvious typos; confirming that the address is deliverable (and belongs to the User) would
+// take sending it a confirmation message, which is out of scope for this exercise
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @swagger
+ *  components:
+ *    schemas:
+ *      User:
+ *        type: object
+ *        required:
+ *          - id
+ *          - displayName
+ *          - email
+ *        properties:
+ *          id:
+ *            type: string
+ *            description: Unique id for the User, by which they identify themselves in the X-User-Id header of their requests.
+ *          displayName:
+ *            type: string
+ *            description: The name the User is presented by (e.g. alongside their Reviews)
+ *          email:
+ *            type: string
+ *            description: The User's (unique) email address, which is never presented
+ *          businessId:
+ *            type: string
+ *            description: The id of the business the User acts on behalf of (e.g. as its owner or office staff), if any.  Only an admin may specify it.
+ *          admin:
+ *            type: boolean
+ *            description: Whether the User administers the site.  Only an admin may specify it.  Defaults to false.
+ *          created_at:
+ *            type: string
+ *            description: Timestamp of creation
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Users
+ *   description: User (reviewer, business and admin) API
+ */
+
+// Returns a validation message if the (sparse) User is invalid, otherwise undefined
+const invalidUser = (user) => {
+    if (user.displayName !== undefined && (typeof user.displayName !== 'string' || !user.displayName.trim())) {
+        return `User displayName must not be blank`;
+    }
+    if (user.email !== undefined && (typeof user.email !== 'string' || !EMAIL.test(user.email.trim()))) {
+        return `User email is invalid`;
+    }
+    if (user.admin !== undefined && typeof user.admin !== 'boolean') {
+        return `User admin must be true or false`;
+    }
+    return undefined;
+}
+
+// Only an admin may grant admin or business privileges
+const privileged = (user) => user.admin !== undefined || user.businessId !== undefined;
+
+/**
+ * @swagger
+ * path:
+ *  /users/{id}:
+ *    get:
+ *      summary: Retrieve the unique User identified by {id}
+ *      tags: [Users]
+ *      parameters:
+ *        - in: path
+ *          name: id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the User
+ *      responses:
+ *        "200":
+ *          description: The User identified by {id}, without their email
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: '#/components/schemas/User'
+ *        "404":
+ *          description: User identified by {id} not found
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.get('/:id', async (req, resp, next) => {
+    const id = req.params.id;
+
+    try {
+        const users = await db('users').where({id});
+
+        if (users.length) {
+            resp.status(200).json(presentedUser(users[0]));
+        } else {
+            resp.status(404).send(`The specified user does not exist`);
+        }
+    } catch (err) {
+        console.error(`Error while retrieving user ${id}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+/**
+ * @swagger
+ * path:
+ *  /users:
+ *    post:
+ *      summary: Add a new User
+ *      tags: [Users]
+ *      parameters:
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: false
+ *          description: The id of the admin adding the User, which is only required when businessId or admin is specified
+ *      requestBody:
+ *        description: A sparse User object (i.e. only the displayName, email and optional businessId and admin will be meaningful.  All other attributes are ignored if specified)
+ *        required: true
+ *        content:
+ *          application/json:
+ *            schema:
+ *              $ref: '#/components/schemas/User'
+ *      responses:
+ *        "200":
+ *          description: The new User has been added
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: object
+ *                properties:
+ *                  id:
+ *                    type: string
+ *                    description: the unique id for the new User
+ *        "400":
+ *          description: Bad Request - the displayName and email must be specified and valid, and any businessId must identify a business
+ *        "403":
+ *          description: Forbidden - only an admin may specify businessId or admin
+ *        "409":
+ *          description: Conflict - a User with the email already exists
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.post('/', async (req, resp, next) => {
+    if (req.body.displayName === undefined || req.body.email === undefined) {
+        resp.status(400).send(`User displayName and email must be specified`);
+        return;
+    }
+    const invalid = invalidUser(req.body);
+    if (invalid) {
+        resp.status(400).send(invalid);
+        return;
+    }
+
+    // TODO: Note: we ignore any other attributes (ids etc.) that may have been specified in the body for simplicity reason
+    // for this exercise.  However, we would typically want to detect this and notify the caller in some manner
+    const user = {
+        id: uuid.v4(),
+        displayName: req.body.displayName.trim(),
+        email: req.body.email.trim().toLowerCase(),
+        businessId: req.body.businessId,
+        admin: req.body.admin === true
+    };
+
+    try {
+        if (privileged(req.body)) {
+            const acting = await actingUser(req);
+            if (!acting || !acting.admin) {
+                resp.status(403).send(`Only an admin may specify a User's businessId or admin`);
+                return;
+            }
+        }
+        if (user.businessId !== undefined && user.businessId !== null) {
+            const businessCount = await db('businesses')
+                .count('* as c')
+                .where({id: user.businessId});
+            if (businessCount[0]['c'] < 1) {
+                resp.status(400).send(`The specified business does not exist`);
+                return;
+            }
+        }
+
+        await db('users').insert(user);
+
+        resp.status(200).send({id: user.id});
+    } catch (err) {
+        if (err.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(err.message)) {
+            resp.status(409).send(`A User with the email ${user.email} already exists`);
+            return;
+        }
+        console.error(`Error while adding user ${JSON.stringify(err)}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+/**
+ * @swagger
+ * path:
+ *  /users/{id}:
+ *    put:
+ *      summary: Update the unique User identified by {id}, which only they or an admin may do
+ *      tags: [Users]
+ *      parameters:
+ *        - in: path
+ *          name: id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The unique id for the User
+ *        - in: header
+ *          name: X-User-Id
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: The id of the User themselves, or of an admin
+ *      requestBody:
+ *        description: A sparse User object (i.e. only the displayName, email, businessId and admin will be meaningful.  All other attributes are ignored if specified)
+ *        required: true
+ *        content:
+ *          application/json:
+ *            schema:
+ *              $ref: '#/components/schemas/User'
+ *      responses:
+ *        "200":
+ *          description: The User has been successfully modified
+ *        "400":
+ *          description: Bad Request - the displayName, email or businessId is invalid, or none of them are specified
+ *        "401":
+ *          description: Unauthorized - the X-User-Id header does not identify a User
+ *        "403":
+ *          description: Forbidden - the User is neither the one identified by {id} nor an admin, or is not an admin but specified businessId or admin
+ *        "404":
+ *          description: User identified by {id} not found
+ *        "409":
+ *          description: Conflict - another User with the email already exists
+ *        "5XX":
+ *          description: unexpected error
+ */
+router.put('/:id', async (req, resp, next) => {
+    const id = req.params.id;
+
+    const invalid = invalidUser(req.body);
+    if (invalid) {
+        resp.status(400).send(invalid);
+        return;
+    }
+    const updates = {};
+    if (req.body.displayName !== undefined) {
+        updates.displayName = req.body.displayName.trim();
+    }
+    if (req.body.email !== undefined) {
+        updates.email = req.body.email.trim().toLowerCase();
+    }
+    if (req.body.businessId !== undefined) {
+        updates.businessId = req.body.businessId;
+    }
+    if (req.body.admin !== undefined) {
+        updates.admin = req.body.admin;
+    }
+    if (!Object.keys(updates).length) {
+        resp.status(400).send(`At least one of displayName, email, businessId or admin must be specified`);
+        return;
+    }
+
+    try {
+        const acting = await actingUser(req);
+        if (!acting) {
+            resp.status(401).send(`The User must be identified by the X-User-Id header`);
+            return;
+        }
+        if ((acting.id !== id || privileged(req.body)) && !acting.admin) {
+            resp.status(403).send(`Only the User themselves or an admin may update a User, and only an admin may specify their businessId or admin`);
+            return;
+        }
+        if (updates.businessId !== undefined && updates.businessId !== null) {
+            const businessCount = await db('businesses')
+                .count('* as c')
+                .where({id: updates.businessId});
+            if (businessCount[0]['c'] < 1) {
+                resp.status(400).send(`The specified business does not exist`);
+                return;
+            }
+        }
+
+        const updated = await db('users')
+            .update({...updates, 'updated_at': db.fn.now()})
+            .where({id});
+        if (!updated) {
+            resp.status(404).send(`The specified user does not exist`);
+            return;
+        }
+
+        resp.status(200).end();
+    } catch (err) {
+        if (err.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(err.message)) {
+            resp.status(409).send(`A User with the email ${updates.email} already exists`);
+            return;
+        }
+        console.error(`Error while updating user ${id} ${JSON.stringify(err)}`);
+        resp.status(500).send({ error: err });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+'use strict';
+
+const db = require('../../db')
+const users = require('./users');
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+
+const app = express();
+
+app.use(bodyParser.json());
+app.use('/users', users);
+
+let admin;
+let reviewer;
+
+const resetDb = async (done) => {
+    // We want to have a known starting point before each test, so we clear out any previous data and begin with
+    // a known initial set of seed data
+    await db.migrate.latest();
+    await db.table('businesses').del();
+    await db.seed.run();
+
+    // As the ids are dynamically determined and assigned, we identify the seed data's admin and one of its reviewers
+    // by their (unique) emails
+    admin = (await db('users').where({email: 'admin@homeadvisor.example'}))[0];
+    reviewer = (await db('users').where({email: 'jordan@example.com'}))[0];
+
+    done();
+}
+
+beforeAll(() => {
+    process.env.NODE_ENV = 'test';
+});
+
+beforeEach(async (done) => {
+    await resetDb(done);
+});
+
+test('GET /users/<reviewer.id> for initial seed data', async (done) => {
+    await request(app).get(`/users/${reviewer.id}`)
+        .expect('Content-Type', /json/)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.displayName).toEqual('Jordan P.');
+            expect(res.body.admin).toEqual(false);
+            expect(res.body).not.toHaveProperty('email');
+        });
+    await request(app).get(`/users/unknown`)
+        .expect(404);
+    done();
+});
+
+test('POST /users to add new users', async (done) => {
+    const res = await request(app).post(`/users`)
+        .send({displayName: ' Riley S. ', email: 'Riley@Example.com'})
+        .expect(200);
+    const added = await db('users').where({id: res.body.id});
+    expect(added[0]).toEqual(expect.objectContaining({displayName: 'Riley S.', email: 'riley@example.com'}));
+
+    // the email is unique, whatever its case
+    await request(app).post(`/users`)
+        .send({displayName: 'Riley Again', email: 'RILEY@example.com'})
+        .expect(409);
+    await request(app).post(`/users`)
+        .send({displayName: 'No Email'})
+        .expect(400);
+    await request(app).post(`/users`)
+        .send({displayName: 'Bad Email', email: 'not an email'})
+        .expect(400);
+    await request(app).post(`/users`)
+        .send({displayName: ' ', email: 'blank@example.com'})
+        .expect(400);
+    done();
+});
+
+test('POST /users with privileges - Should require an admin', async (done) => {
+    const business = (await db('businesses').orderBy('name'))[0];
+
+    await request(app).post(`/users`)
+        .send({displayName: 'Wannabe', email: 'wannabe@example.com', admin: true})
+        .expect(403);
+    await request(app).post(`/users`)
+        .set('X-User-Id', reviewer.id)
+        .send({displayName: 'Wannabe', email: 'wannabe@example.com', businessId: business.id})
+        .expect(403);
+    await request(app).post(`/users`)
+        .set('X-User-Id', admin.id)
+        .send({displayName: 'Front Desk', email: 'desk@example.com', businessId: 'unknown'})
+        .expect(400);
+    const res = await request(app).post(`/users`)
+        .set('X-User-Id', admin.id)
+        .send({displayName: 'Front Desk', email: 'desk@example.com', businessId: business.id})
+        .expect(200);
+    await request(app).get(`/users/${res.body.id}`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.businessId).toEqual(business.id);
+        });
+    done();
+});
+
+test('PUT /users/<reviewer.id> by the user themselves or an admin', async (done) => {
+    await request(app).put(`/users/${reviewer.id}`)
+        .set('X-User-Id', reviewer.id)
+        .send({displayName: 'Jordan Pierce'})
+        .expect(200);
+    await request(app).put(`/users/${reviewer.id}`)
+        .set('X-User-Id', reviewer.id)
+        .send({admin: true})
+        .expect(403);
+    await request(app).put(`/users/${admin.id}`)
+        .set('X-User-Id', reviewer.id)
+        .send({displayName: 'Hijacked'})
+        .expect(403);
+    await request(app).put(`/users/${reviewer.id}`)
+        .send({displayName: 'Anonymous'})
+        .expect(401);
+    await request(app).put(`/users/${reviewer.id}`)
+        .set('X-User-Id', reviewer.id)
+        .send({email: 'casey@example.com'})
+        .expect(409);
+    await request(app).put(`/users/${reviewer.id}`)
+        .set('X-User-Id', reviewer.id)
+        .send({})
+        .expect(400);
+    await request(app).put(`/users/unknown`)
+        .set('X-User-Id', admin.id)
+        .send({displayName: 'Nobody'})
+        .expect(404);
+
+    await request(app).put(`/users/${reviewer.id}`)
+        .set('X-User-Id', admin.id)
+        .send({admin: true})
+        .expect(200);
+    await request(app).get(`/users/${reviewer.id}`)
+        .expect(200)
+        .expect((res) => {
+            expect(res.body.displayName).toEqual('Jordan Pierce');
+            expect(res.body.admin).toEqual(true);
+        });
+    done();
+});
@@ -0,0 +1,351 @@
+'use strict';
+
+/*
+ Business Hours are stored as minutes since midnight.  They are presented, as they originally were, with their open and
+ close as numbers of hours (e.g. 9, or 9.5 for 09:30), along with the same times as "HH:MM" (24 hour clock) openTime and
+ closeTime.  Times are accepted either way.  Hour exceptions (e.g. a holiday closure) replace the weekly Hours on the
+ specific "YYYY-MM-DD" date they are for.  All of these are local to the Business' IANA time zone (UTC when it has none).
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Parses a time into minutes since midnight.  Returns undefined if the value is not a valid time.  As a closing time,
+ * 24:00 (i.e. the end of the day) is also valid when endOfDay is true.
+ */
+const parseTime = (value, endOfDay = false) => {
+    let minutes;
+    if (typeof value === 'number') {
+        // a number of hours, which must come to a whole number of minutes
+        minutes = Math.round(value * 60);
+        if (!Number.isFinite(value) || Math.abs(minutes - value * 60) > 1e-6) {
+            return undefined;
+        }
+    } else {
+        const time = /^(\d{1,2})(?::(\d{2}))?$/.exec(typeof value === 'string' ? value.trim() : '');
+        if (!time || (time[2] !== undefined && Number(time[2]) > 59)) {
+            return undefined;
+        }
+        minutes = Number(time[1]) * 60 + Number(time[2] || 0);
+    }
+    return minutes >= 0 && (minutes < MINUTES_PER_DAY || (endOfDay && minutes === MINUTES_PER_DAY)) ? minutes : undefined;
+}
+
+/**
+ * Whether the time is given as a whole hour (e.g. 17 or "17") rather than as "HH:MM".
+ */
+const isWholeHour = (value) => {
+    return Number.isInteger(value) || (typeof value === 'string' && /^\d{1,2}$/.test(value.trim()));
+}
+
+const formatTime = (minutes) => {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Returns a validation message if the allDay, open or close of an Hour (or Hour exception) is invalid
+const invalidTimes = (hour, kind) => {
+    if (hour.allDay !== undefined && typeof hour.allDay !== 'boolean') {
+        return `${kind} allDay is invalid: true or false is expected`;
+    }
+    if (hour.allDay) {
+        return undefined;
+    }
+    const open = parseTime(hour.open);
+    if (open === undefined) {
+        return `${kind} open must be specified as a number of hours or a "HH:MM" time: 00:00 <= open <= 23:59 (24 hour clock with 00:00 === midnight)`;
+    }
+    const close = parseTime(hour.close, true);
+    if (close === undefined) {
+        return `${kind} close must be specified as a number of hours or a "HH:MM" time: 00:00 <= close <= 24:00 (24 hour clock with 00:00 === midnight)`;
+    }
+    if (open === close || (close === MINUTES_PER_DAY && open === 0)) {
+        return `${kind} open must differ from close: an ${kind} that is open around the clock should be specified as allDay`;
+    }
+    return undefined;
+}
+
+/**
+ * Returns a validation message if the Hour's dayOfWeek, open, close or allDay is missing or invalid, otherwise
+ * undefined.  An allDay Hour needs no open or close, while one that closes at or before it opens runs overnight into
+ * the following day.
+ */
+const invalidHour = (hour) => {
+    if (hour.dayOfWeek === undefined || !Number.isInteger(hour.dayOfWeek) || hour.dayOfWeek < 0 || hour.dayOfWeek > 6) {
+        return `Hour dayOfWeek must be specified: 0 <= dayOfWeek <= 6 (0 for Sunday, 1 for Monday, 2 for Tuesday, ..., 6 for Saturday)`;
+    }
+    return invalidTimes(hour, 'Hour');
+}
+
+/**
+ * The stored form of a (valid) Hour, with its open and close times in minutes since midnight.  An allDay Hour is stored
+ * as open from 00:00 to 24:00.  The presented openTime and closeTime are dropped, should they be echoed back.
+ */
+const storedHour = (hour) => {
+    const { openTime, closeTime, ...stored } = hour;
+    if (stored.allDay) {
+        return Object.assign(stored, {open: 0, close: MINUTES_PER_DAY, allDay: true});
+    }
+    return Object.assign(stored, {open: parseTime(stored.open), close: parseTime(stored.close, true), allDay: false});
+}
+
+/**
+ * The presented form of a stored Hour, with its open and close times as numbers of hours and its openTime and closeTime
+ * as "HH:MM".
+ */
+const presentedHour = (hour) => {
+    return Object.assign({}, hour, {
+        open: hour.open / 60,
+        close: hour.close / 60,
+        openTime: formatTime(hour.open),
+        closeTime: formatTime(hour.close),
+        allDay: !!hour.allDay
+    });
+}
+
+/**
+ * Parses a "YYYY-MM-DD" calendar date.  Returns undefined if the value is not a valid date.
+ */
+const parseDate = (value) => {
+    const date = /^\d{4}-\d{2}-\d{2}$/.exec(typeof value === 'string' ? value.trim() : '');
+    if (!date) {
+        return undefined;
+    }
+    // Date rolls impossible dates (e.g. 2026-02-30) over into the following month, which gives them away
+    const parsed = new Date(`${date[0]}T00:00:00Z`);
+    return !isNaN(parsed) && parsed.toISOString().startsWith(date[0]) ? date[0] : undefined;
+}
+
+/**
+ * Parses an ISO 8601 timestamp with an explicit UTC offset (e.g. "2026-10-19T15:30:00Z" or "2026-10-19T09:30-06:00")
+ * into a Date, since without one it would be ambiguous which instant is meant.  Returns undefined if the value is not
+ * such a timestamp.
+ */
+const parseInstant = (value) => {
+    const timestamp = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/i
+        .exec(typeof value === 'string' ? value.trim() : '');
+    const parsed = timestamp && parseDate(timestamp[0].slice(0, 10)) ? new Date(timestamp[0]) : undefined;
+    return parsed && !isNaN(parsed) ? parsed : undefined;
+}
+
+const dayOfWeekOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+const addDays = (date, days) => {
+    const shifted = new Date(`${date}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Returns a validation message if the Hour exception's date, closed, open, close or allDay is missing or invalid,
+ * otherwise undefined.  A closed exception needs no times, while the others are specified just as Hours are.
+ */
+const invalidException = (exception) => {
+    if (parseDate(exception.date) === undefined) {
+        return `Hour exception date must be specified as a "YYYY-MM-DD" date`;
+    }
+    if (exception.closed !== undefined && typeof exception.closed !== 'boolean') {
+        return `Hour exception closed is invalid: true or false is expected`;
+    }
+    return exception.closed ? undefined : invalidTimes(exception, 'Hour exception');
+}
+
+/**
+ * The stored form of a (valid) Hour exception, with its open and close times (if any) in minutes since midnight.
+ */
+const storedException = (exception) => {
+    const date = parseDate(exception.date);
+    if (exception.closed) {
+        const { openTime, closeTime, ...stored } = exception;
+        return Object.assign(stored, {date, closed: true, open: null, close: null, allDay: false});
+    }
+    return Object.assign(storedHour(exception), {date, closed: false});
+}
+
+/**
+ * The presented form of a stored Hour exception, with its times (if any) presented just as an Hour's are.
+ */
+const presentedException = (exception) => {
+    if (exception.closed) {
+        return Object.assign({}, exception, {closed: true, open: null, close: null, openTime: null, closeTime: null, allDay: false});
+    }
+    return Object.assign(presentedHour(exception), {closed: false});
+}
+
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+// The span of the week (in minutes since Sunday 00:00) covered by a stored Hour, which may extend beyond the week's end
+const weekSpan = (hour) => {
+    const start = hour.dayOfWeek * MINUTES_PER_DAY + hour.open;
+    return {start, end: start + hour.close - hour.open + (hour.close <= hour.open ? MINUTES_PER_DAY : 0)};
+}
+
+/**
+ * Returns the first of the stored hours (if any) that overlaps the stored hour, taking overnight Hours (including
+ * Saturday's into Sunday) into account.
+ */
+const overlappingHour = (hour, hours) => {
+    const span = weekSpan(hour);
+    return hours.find((other) => {
+        const otherSpan = weekSpan(other);
+        return [-MINUTES_PER_WEEK, 0, MINUTES_PER_WEEK].some((shift) =>
+            span.start < otherSpan.end + shift && otherSpan.start + shift < span.end);
+    });
+}
+
+/**
+ * Compares the stored hours of a Business with the stored hours replacing them as its weekly schedule.  Identical Hours
+ * are unchanged, the remaining replacements are paired (in order of opening) with the remaining Hours on the same day of
+ * the week as changes to them, and any left over are either added or removed.  Returns
+ * {unchanged, changed: [{from, to}], added, removed}.
+ */
+const diffHours = (hours, replacements) => {
+    const sameTimes = (a, b) => a.dayOfWeek === b.dayOfWeek && a.open === b.open && a.close === b.close && !!a.allDay === !!b.allDay;
+    const byOpening = (a, b) => a.dayOfWeek - b.dayOfWeek || a.open - b.open;
+    const remaining = hours.slice().sort(byOpening);
+    const diff = {unchanged: [], changed: [], added: [], removed: []};
+
+    const unmatched = replacements.slice().sort(byOpening).filter((hour) => {
+        const same = remaining.findIndex((other) => sameTimes(other, hour));
+        if (same >= 0) {
+            diff.unchanged.push(remaining.splice(same, 1)[0]);
+        }
+        return same < 0;
+    });
+    unmatched.forEach((hour) => {
+        const sameDay = remaining.findIndex((other) => other.dayOfWeek === hour.dayOfWeek);
+        if (sameDay >= 0) {
+            diff.changed.push({from: remaining.splice(sameDay, 1)[0], to: hour});
+        } else {
+            diff.added.push(hour);
+        }
+    });
+    diff.removed = remaining;
+    return diff;
+}
+
+/**
+ * Returns the first of the stored exceptions (if any) that conflicts with the stored exception; i.e. that is on the same
+ * date and either overlaps it or is (or it is) a closure.
+ */
+const conflictingException = (exception, exceptions) => {
+    const onDate = exceptions.filter((other) => other.date === exception.date);
+    if (exception.closed) {
+        return onDate[0];
+    }
+    const asHour = (e) => Object.assign({}, e, {dayOfWeek: 0});
+    return onDate.find((other) => other.closed) || overlappingHour(asHour(exception), onDate.map(asHour));
+}
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+const validTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || !timeZone.trim()) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', {timeZone});
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * The local {date, dayOfWeek, time} (time in minutes since midnight) of the instant (a Date) in the IANA time zone.
+ */
+const localTime = (instant, timeZone = DEFAULT_TIME_ZONE) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+    }).formatToParts(instant).forEach((part) => {
+        parts[part.type] = part.value;
+    });
+    const date = `${parts.year}-${parts.month}-${parts.day}`;
+    return {date, dayOfWeek: dayOfWeekOf(date), time: Number(parts.hour) * 60 + Number(parts.minute)};
+}
+
+/**
+ * How far (in milliseconds) the wall clock of the IANA time zone is ahead of UTC at the instant (a Date).
+ */
+const offsetAt = (instant, timeZone) => {
+    const local = localTime(instant, timeZone);
+    const wall = Date.parse(`${local.date}T00:00:00Z`) + local.time * 60000;
+    return wall - Math.floor(instant.getTime() / 60000) * 60000;
+}
+
+/**
+ * The instant (a Date) at which the wall clock of the IANA time zone reads the time (minutes since midnight) on the date.
+ */
+const zonedInstant = (date, time, timeZone = DEFAULT_TIME_ZONE) => {
+    const wall = Date.parse(`${date}T00:00:00Z`) + time * 60000;
+    const guess = wall - offsetAt(new Date(wall), timeZone);
+    // the offset at the guess may differ from that at the wall time whenever a daylight saving change lies between them
+    return new Date(wall - offsetAt(new Date(guess), timeZone));
+}
+
+/**
+ * The stored Hours (or Hour exceptions) a Business keeps on the date: its Hour exceptions on the date if it has any
+ * (other than a closure), otherwise its weekly Hours on that day of the week.
+ */
+const scheduledOn = (date, hours, exceptions) => {
+    const excepted = exceptions.filter((exception) => exception.date === date);
+    return excepted.length ? excepted.filter((exception) => !exception.closed) :
+        hours.filter((hour) => hour.dayOfWeek === dayOfWeekOf(date));
+}
+
+/**
+ * Whether a Business with the stored hours and exceptions is open at the instant (a Date) in its time zone and, when it
+ * is not, the ISO timestamp at which it next opens (null if it never does).  This mirrors the open <= time < close
+ * matching of the hour searches, overnight Hours included.
+ */
+const openingStatus = (hours, exceptions, timeZone, instant) => {
+    const zone = timeZone || DEFAULT_TIME_ZONE;
+    const {date, time} = localTime(instant, zone);
+    const overnight = (hour) => hour.close <= hour.open;
+
+    const isOpenNow = scheduledOn(date, hours, exceptions)
+        .some((hour) => hour.open <= time && (time < hour.close || overnight(hour))) ||
+        scheduledOn(addDays(date, -1), hours, exceptions).some((hour) => overnight(hour) && time < hour.close);
+    if (isOpenNow) {
+        return {isOpenNow, nextOpenAt: null};
+    }
+
+    // The weekly Hours repeat themselves beyond the last of the exceptions, so a week past it is as far as need be looked
+    const lastDate = exceptions.reduce((last, exception) => exception.date > last ? exception.date : last, date);
+    for (let day = date; day <= addDays(lastDate, 7); day = addDays(day, 1)) {
+        const opens = scheduledOn(day, hours, exceptions)
+            .map((hour) => hour.open)
+            .filter((open) => day !== date || open > time);
+        if (opens.length) {
+            return {isOpenNow, nextOpenAt: zonedInstant(day, Math.min(...opens), zone).toISOString()};
+        }
+    }
+    return {isOpenNow, nextOpenAt: null};
+}
+
+module.exports = {
+    MINUTES_PER_DAY,
+    parseTime,
+    isWholeHour,
+    formatTime,
+    invalidHour,
+    storedHour,
+    presentedHour,
+    overlappingHour,
+    diffHours,
+    parseDate,
+    parseInstant,
+    dayOfWeekOf,
+    addDays,
+    invalidException,
+    storedException,
+    presentedException,
+    conflictingException,
+    DEFAULT_TIME_ZONE,
+    validTimeZone,
+    localTime,
+    offsetAt,
+    zonedInstant,
+    scheduledOn,
+    openingStatus
+};
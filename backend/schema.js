@@ -0,0 +1,20 @@
+'use strict';
+
+/*
+ Helpers shared by the migrations' schema changes.  knex drops SQLite columns by rebuilding the table, which the triggers
+ on it (e.g. those keeping the search index in sync) do not survive, so migrations drop their columns with dropColumns
+ instead.
+ */
+
+/**
+ * Drops the columns of the table in place, rather than by rebuilding it as knex would.
+ */
+const dropColumns = async (knex, table, columns) => {
+    for (const column of columns) {
+        await knex.raw('ALTER TABLE ?? DROP COLUMN ??', [table, column]);
+    }
+}
+
+module.exports = {
+    dropColumns
+};
@@ -0,0 +1,73 @@
+'use strict';
+
+/*
+ The triggers that keep the business_search full-text index (see the search_index migration) in sync with the name of
+ each Business, the names of the Services it offers and the comments of the Reviews it has received.  Later migrations
+ narrow which Reviews' comments are indexed, so each passes the SQL condition (on reviews) that it indexes them by, which
+ keeps every migration pinned to the index it built regardless of what later ones do.
+
+ knex drops SQLite columns by rebuilding the table, which these triggers do not survive, so migrations drop their columns
+ with dropColumns (see schema.js) instead.
+ */
+
+const reviewedSql = (reviewed) => (reviewed ? ` AND ${reviewed}` : '');
+
+// The index row of a single Business, from its current name, services and (matching) reviews
+const indexedSql = (reviewed) => `
+    SELECT business_search_rows.id, businesses.name,
+           (SELECT group_concat(name, ' ') FROM services WHERE services.businessId = businesses.id),
+           (SELECT group_concat(comment, ' ') FROM reviews WHERE reviews.businessId = businesses.id${reviewedSql(reviewed)})
+    FROM businesses JOIN business_search_rows ON business_search_rows.businessId = businesses.id`;
+
+const triggers = (reviewed) => {
+    const refresh = (businessId) => `
+        INSERT OR IGNORE INTO business_search_rows (businessId) SELECT id FROM businesses WHERE id = ${businessId};
+        DELETE FROM business_search WHERE rowid = (SELECT id FROM business_search_rows WHERE businessId = ${businessId});
+        INSERT INTO business_search (rowid, name, services, comments) ${indexedSql(reviewed)}
+            WHERE businesses.id = ${businessId};`;
+
+    return {
+        business_search_businesses_insert: `AFTER INSERT ON businesses BEGIN ${refresh('new.id')} END`,
+        business_search_businesses_update: `AFTER UPDATE OF name ON businesses BEGIN ${refresh('new.id')} END`,
+        business_search_businesses_delete: `AFTER DELETE ON businesses BEGIN
+            DELETE FROM business_search WHERE rowid = (SELECT id FROM business_search_rows WHERE businessId = old.id);
+            DELETE FROM business_search_rows WHERE businessId = old.id;
+        END`,
+        business_search_services_insert: `AFTER INSERT ON services BEGIN ${refresh('new.businessId')} END`,
+        business_search_services_update: `AFTER UPDATE ON services BEGIN ${refresh('old.businessId')} ${refresh('new.businessId')} END`,
+        business_search_services_delete: `AFTER DELETE ON services BEGIN ${refresh('old.businessId')} END`,
+        business_search_reviews_insert: `AFTER INSERT ON reviews BEGIN ${refresh('new.businessId')} END`,
+        business_search_reviews_update: `AFTER UPDATE ON reviews BEGIN ${refresh('old.businessId')} ${refresh('new.businessId')} END`,
+        business_search_reviews_delete: `AFTER DELETE ON reviews BEGIN ${refresh('old.businessId')} END`
+    };
+}
+
+/**
+ * Drops the search index triggers.
+ */
+const dropIndexTriggers = async (knex) => {
+    for (const name of Object.keys(triggers())) {
+        await knex.raw(`DROP TRIGGER IF EXISTS ${name}`);
+    }
+}
+
+/**
+ * (Re)creates the search index triggers, indexing the comments of the Reviews matching the reviewed SQL condition (all
+ * of them if none), and rebuilds the index of every Business to match.
+ */
+const reindex = async (knex, reviewed) => {
+    await dropIndexTriggers(knex);
+    const replacements = triggers(reviewed);
+    for (const name of Object.keys(replacements)) {
+        await knex.raw(`CREATE TRIGGER ${name} ${replacements[name]}`);
+    }
+
+    await knex.raw(`INSERT OR IGNORE INTO business_search_rows (businessId) SELECT id FROM businesses`);
+    await knex.raw(`DELETE FROM business_search`);
+    await knex.raw(`INSERT INTO business_search (rowid, name, services, comments) ${indexedSql(reviewed)}`);
+}
+
+module.exports = {
+    reindex,
+    dropIndexTriggers
+};
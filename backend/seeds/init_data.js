@@ -1,8 +1,17 @@
 const uuid = require('uuid');
 
 exports.seed = (knex) => {
+  const reviewers = {jordan: uuid.v4(), casey: uuid.v4(), morgan: uuid.v4()};
+
   // Deletes ALL existing entries
   return knex('businesses').del()
+    .then(() => knex('users').del())
+    .then(() => knex('users').insert([
+        {id: uuid.v4(), displayName: 'Site Admin', email: 'admin@homeadvisor.example', admin: true},
+        {id: reviewers.jordan, displayName: 'Jordan P.', email: 'jordan@example.com', admin: false},
+        {id: reviewers.casey, displayName: 'Casey R.', email: 'casey@example.com', admin: false},
+        {id: reviewers.morgan, displayName: 'Morgan T.', email: 'morgan@example.com', admin: false}
+    ]))
     .then(function () {
       // Inserts seed entries
       let businessId = uuid.v4();
@@ -13,7 +22,10 @@ exports.seed = (knex) => {
           addressline2: 'Suite 500',
           city: 'Denver',
           state: 'CO',
-          postal: '80210'
+          postal: '80210',
+          latitude: 39.678,
+          longitude: -104.9631,
+          timeZone: 'America/Denver'
       }).then(async () => {
           await knex('services').insert([
               {id: uuid.v4(), businessId, name: 'Maid Services'},
@@ -23,27 +35,27 @@ exports.seed = (knex) => {
       })
       .then(async () => {
           await knex('hours').insert([
-              {id: uuid.v4(), businessId, dayOfWeek: 1, open: 9, close: 17},
-              {id: uuid.v4(), businessId, dayOfWeek: 2, open: 9, close: 17},
-              {id: uuid.v4(), businessId, dayOfWeek: 3, open: 9, close: 17},
-              {id: uuid.v4(), businessId, dayOfWeek: 4, open: 9, close: 17},
-              {id: uuid.v4(), businessId, dayOfWeek: 5, open: 9, close: 17}
+              {id: uuid.v4(), businessId, dayOfWeek: 1, open: 9 * 60, close: 17 * 60},
+              {id: uuid.v4(), businessId, dayOfWeek: 2, open: 9 * 60, close: 17 * 60},
+              {id: uuid.v4(), businessId, dayOfWeek: 3, open: 9 * 60, close: 17 * 60},
+              {id: uuid.v4(), businessId, dayOfWeek: 4, open: 9 * 60, close: 17 * 60},
+              {id: uuid.v4(), businessId, dayOfWeek: 5, open: 9 * 60, close: 17 * 60}
           ]);
       }).then(async () => {
           await knex('locations').insert([
-              {id: uuid.v4(), businessId, name: 'Denver'},
-              {id: uuid.v4(), businessId, name: 'Lakewood'},
-              {id: uuid.v4(), businessId, name: 'Thorton'},
-              {id: uuid.v4(), businessId, name: 'Golden'},
-              {id: uuid.v4(), businessId, name: 'Arvada'},
-              {id: uuid.v4(), businessId, name: 'Centennial'},
-              {id: uuid.v4(), businessId, name: 'Parker'}
+              {id: uuid.v4(), businessId, name: 'Denver', latitude: 39.7392, longitude: -104.9903},
+              {id: uuid.v4(), businessId, name: 'Lakewood', latitude: 39.7047, longitude: -105.0814},
+              {id: uuid.v4(), businessId, name: 'Thorton', latitude: 39.868, longitude: -104.9719},
+              {id: uuid.v4(), businessId, name: 'Golden', latitude: 39.7555, longitude: -105.2211},
+              {id: uuid.v4(), businessId, name: 'Arvada', latitude: 39.8028, longitude: -105.0875},
+              {id: uuid.v4(), businessId, name: 'Centennial', latitude: 39.5807, longitude: -104.8772},
+              {id: uuid.v4(), businessId, name: 'Parker', latitude: 39.5186, longitude: -104.7614}
           ]);
       }).then(async () => {
           await knex('reviews').insert([
-              {id: uuid.v4(), businessId, rating: 4.5, comment: 'Use them weekly to clean our home. Do a great job every time'},
-              {id: uuid.v4(), businessId, rating: 4, comment: 'Helped us move homes, very timely'},
-              {id: uuid.v4(), businessId, rating: 4, comment: 'On time, did a good job'}
+              {id: uuid.v4(), businessId, userId: reviewers.jordan, status: 'approved', rating: 4.5, comment: 'Use them weekly to clean our home. Do a great job every time'},
+              {id: uuid.v4(), businessId, userId: reviewers.casey, status: 'approved', rating: 4, comment: 'Helped us move homes, very timely'},
+              {id: uuid.v4(), businessId, userId: reviewers.morgan, status: 'approved', rating: 4, comment: 'On time, did a good job'}
           ]);
       }).then(async () => {
           // console.log(`Data seeded for Sample Business #1`);
@@ -56,7 +68,10 @@ exports.seed = (knex) => {
               addressline2: 'Suite 500',
               city: 'Denver',
               state: 'CO',
-              postal: '80201'
+              postal: '80201',
+              latitude: 39.7472,
+              longitude: -104.9925,
+              timeZone: 'America/Denver'
           }).then(async () => {
               await knex('services').insert([
                   {id: uuid.v4(), businessId, name: 'Maid Services'},
@@ -67,27 +82,30 @@ exports.seed = (knex) => {
           })
           .then(async () => {
               await knex('hours').insert([
-                  {id: uuid.v4(), businessId, dayOfWeek: 1, open: 10, close: 19},
-                  {id: uuid.v4(), businessId, dayOfWeek: 2, open: 9, close: 19},
-                  {id: uuid.v4(), businessId, dayOfWeek: 3, open: 10, close: 19},
-                  {id: uuid.v4(), businessId, dayOfWeek: 4, open: 9, close: 19},
-                  {id: uuid.v4(), businessId, dayOfWeek: 5, open: 10, close: 19},
-                  {id: uuid.v4(), businessId, dayOfWeek: 6, open: 9, close: 12}
+                  {id: uuid.v4(), businessId, dayOfWeek: 1, open: 10 * 60, close: 19 * 60},
+                  {id: uuid.v4(), businessId, dayOfWeek: 2, open: 9 * 60, close: 19 * 60},
+                  {id: uuid.v4(), businessId, dayOfWeek: 3, open: 10 * 60, close: 19 * 60},
+                  {id: uuid.v4(), businessId, dayOfWeek: 4, open: 9 * 60, close: 19 * 60},
+                  {id: uuid.v4(), businessId, dayOfWeek: 5, open: 10 * 60, close: 19 * 60},
+                  {id: uuid.v4(), businessId, dayOfWeek: 6, open: 9 * 60, close: 12 * 60}
               ]);
           }).then(async () => {
               await knex('locations').insert([
-                  {id: uuid.v4(), businessId, name: 'Denver'},
-                  {id: uuid.v4(), businessId, name: 'Thorton'},
-                  {id: uuid.v4(), businessId, name: 'Golden'},
-                  {id: uuid.v4(), businessId, name: 'Arvada'},
-                  {id: uuid.v4(), businessId, name: 'Centennial'},
-                  {id: uuid.v4(), businessId, name: 'Parker'}
+                  {id: uuid.v4(), businessId, name: 'Denver', latitude: 39.7392, longitude: -104.9903},
+                  {id: uuid.v4(), businessId, name: 'Thorton', latitude: 39.868, longitude: -104.9719},
+                  {id: uuid.v4(), businessId, name: 'Golden', latitude: 39.7555, longitude: -105.2211},
+                  {id: uuid.v4(), businessId, name: 'Arvada', latitude: 39.8028, longitude: -105.0875},
+                  {id: uuid.v4(), businessId, name: 'Centennial', latitude: 39.5807, longitude: -104.8772},
+                  {id: uuid.v4(), businessId, name: 'Parker', latitude: 39.5186, longitude: -104.7614}
               ]);
           }).then(async () => {
               await knex('reviews').insert([
-                  {id: uuid.v4(), businessId, rating: 4, comment: 'Move out cleaning'},
-                  {id: uuid.v4(), businessId, rating: 2, comment: 'Broke our dishes because they didn\'t pack right'},
-                  {id: uuid.v4(), businessId, rating: 5},
+                  {id: uuid.v4(), businessId, userId: reviewers.jordan, status: 'approved', rating: 4, comment: 'Move out cleaning'},
+                  {id: uuid.v4(), businessId, userId: reviewers.casey, status: 'approved', rating: 2, comment: 'Broke our dishes because they didn\'t pack right'},
+                  {id: uuid.v4(), businessId, userId: reviewers.morgan, status: 'approved', rating: 5},
+              ])
+              await knex('users').insert([
+                  {id: uuid.v4(), displayName: 'Sample Business #2 Office', email: 'office@samplebusiness2.example', businessId}
               ])
           })
           .then(async () => {
@@ -101,7 +119,10 @@ exports.seed = (knex) => {
                   addressline2: 'Suite A',
                   city: 'Henderson',
                   state: 'CO',
-                  postal: '80640'
+                  postal: '80640',
+                  latitude: 39.8861,
+                  longitude: -104.8705,
+                  timeZone: 'America/Denver'
               }).then(async () => {
                   await knex('services').insert([
                       {id: uuid.v4(), businessId, name: 'Packing'},
@@ -110,24 +131,24 @@ exports.seed = (knex) => {
               })
               .then(async () => {
                   await knex('hours').insert([
-                      {id: uuid.v4(), businessId, dayOfWeek: 1, open: 8, close: 18},
-                      {id: uuid.v4(), businessId, dayOfWeek: 2, open: 8, close: 18},
-                      {id: uuid.v4(), businessId, dayOfWeek: 3, open: 8, close: 18},
-                      {id: uuid.v4(), businessId, dayOfWeek: 4, open: 8, close: 18},
-                      {id: uuid.v4(), businessId, dayOfWeek: 5, open: 8, close: 18},
-                      {id: uuid.v4(), businessId, dayOfWeek: 6, open: 8, close: 18}
+                      {id: uuid.v4(), businessId, dayOfWeek: 1, open: 8 * 60, close: 18 * 60},
+                      {id: uuid.v4(), businessId, dayOfWeek: 2, open: 8 * 60, close: 18 * 60},
+                      {id: uuid.v4(), businessId, dayOfWeek: 3, open: 8 * 60, close: 18 * 60},
+                      {id: uuid.v4(), businessId, dayOfWeek: 4, open: 8 * 60, close: 18 * 60},
+                      {id: uuid.v4(), businessId, dayOfWeek: 5, open: 8 * 60, close: 18 * 60},
+                      {id: uuid.v4(), businessId, dayOfWeek: 6, open: 8 * 60, close: 18 * 60}
                   ]);
               }).then(async () => {
                   await knex('locations').insert([
-                      {id: uuid.v4(), businessId, name: 'Denver'},
-                      {id: uuid.v4(), businessId, name: 'Commerce City'},
-                      {id: uuid.v4(), businessId, name: 'Thorton'},
-                      {id: uuid.v4(), businessId, name: 'Henderson'},
-                      {id: uuid.v4(), businessId, name: 'Northglenn'}
+                      {id: uuid.v4(), businessId, name: 'Denver', latitude: 39.7392, longitude: -104.9903},
+                      {id: uuid.v4(), businessId, name: 'Commerce City', latitude: 39.8083, longitude: -104.9339},
+                      {id: uuid.v4(), businessId, name: 'Thorton', latitude: 39.868, longitude: -104.9719},
+                      {id: uuid.v4(), businessId, name: 'Henderson', latitude: 39.9219, longitude: -104.8672},
+                      {id: uuid.v4(), businessId, name: 'Northglenn', latitude: 39.8961, longitude: -104.9811}
                   ]);
               }).then(async () => {
                   await knex('reviews').insert([
-                      {id: uuid.v4(), businessId, rating: 5, comment: 'Helped us move across the country, they\'re great'}
+                      {id: uuid.v4(), businessId, userId: reviewers.jordan, status: 'approved', rating: 5, comment: 'Helped us move across the country, they\'re great'}
                   ])
               })
               .then(() => {
@@ -0,0 +1,85 @@
+'use strict';
+
+const db = require('./db');
+const { publishedSql } = require('./reviews');
+
+/*
+ Aggregates of the ratings a Business has received, beyond its avgRating: how they are distributed across the 1 to 5
+ stars, how they have moved from month to month, and how many of its reviewers left a comment.  As with the avgRating,
+ only published reviews are considered.
+
+ A review counts under the whole part of its rating (e.g. 4.5 under 4 stars), with ratings below 1 counted under 1 star
+ so that every review falls under one of the stars, just as the ratings facet of a search buckets Businesses.
+ */
+
+const STARS = [1, 2, 3, 4, 5];
+
+const STAR_SQL = 'min(max(cast(rating as integer), 1), 5)';
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+const mean = (ratings) => round(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length, 2);
+
+// The middle of the (ascending) ratings, or the mean of the middle two when there is an even number of them
+const median = (ratings) => {
+    const middle = Math.floor(ratings.length / 2);
+    return ratings.length % 2 ? ratings[middle] : mean(ratings.slice(middle - 1, middle + 1));
+}
+
+/**
+ * Resolves to the review statistics of the Business identified by businessId: the count of its published reviews, the
+ * mean and median of their ratings (null without any), a histogram of them ({star, count} for each of the 1 to 5 stars),
+ * their trend ({month, count, mean} for each month reviewed, oldest first) and the share (0 to 1) of them with a comment
+ * (null without any).  The mean and share are rounded to 2 decimal places.
+ */
+const reviewStats = async (businessId) => {
+    const reviews = await db('reviews')
+        .select('rating',
+            db.raw(`${STAR_SQL} as star`),
+            db.raw(`strftime('%Y-%m', created_at) as month`),
+            db.raw(`coalesce(trim(comment), '') <> '' as commented`))
+        .where('businessId', businessId)
+        .whereRaw(publishedSql())
+        .orderBy('rating');
+
+    const ratings = reviews.map((review) => review.rating);
+    const months = [...new Set(reviews.map((review) => review.month))].sort();
+    const monthly = (month) => reviews.filter((review) => review.month === month).map((review) => review.rating);
+
+    return {
+        count: reviews.length,
+        mean: ratings.length ? mean(ratings) : null,
+        median: ratings.length ? median(ratings) : null,
+        histogram: STARS.map((star) => ({star, count: reviews.filter((review) => review.star === star).length})),
+        trend: months.map((month) => ({month, count: monthly(month).length, mean: mean(monthly(month))})),
+        commentShare: reviews.length ? round(reviews.filter((review) => review.commented).length / reviews.length, 2) : null
+    };
+}
+
+/**
+ * Resolves to the compact rating histogram of each of the Businesses identified by businessIds, by id; the count of
+ * their published reviews under each of the 1 to 5 stars, in that order.
+ */
+const ratingHistograms = async (businessIds) => {
+    const counts = await db('reviews')
+        .select('businessId', db.raw(`${STAR_SQL} as star`))
+        .count('* as count')
+        .whereIn('businessId', businessIds)
+        .whereRaw(publishedSql())
+        .groupBy('businessId', 'star');
+
+    const histograms = {};
+    businessIds.forEach((businessId) => {
+        histograms[businessId] = STARS.map(() => 0);
+    });
+    counts.forEach(({businessId, star, count}) => {
+        histograms[businessId][star - 1] = count;
+    });
+    return histograms;
+}
+
+module.exports = {
+    STARS,
+    reviewStats,
+    ratingHistograms
+};